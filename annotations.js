@@ -0,0 +1,249 @@
+/**
+ * XDR Story Parser - Annotation Module
+ * Keeps analyst verdicts, notes and bookmarks per node of a story
+ */
+
+class XDRAnnotations {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        this.statuses = {
+            malicious: { label: 'Malicious', icon: '🔴' },
+            benign: { label: 'Benign', icon: '🟢' },
+            'needs-review': { label: 'Needs review', icon: '🟡' }
+        };
+
+        // Bump when the sidecar format changes
+        this.sidecarVersion = 1;
+        this.sidecarKey = 'xdrAnnotations';
+
+        // No prototype, node IDs like "constructor" must not hit inherited properties
+        this.annotations = Object.create(null);
+    }
+
+    /**
+     * Build a key that identifies a story across visits
+     * The key is a hash of the device and the node IDs, so the same export always gets the same key
+     * @param {Object} story - The story
+     * @returns {string} - The story key
+     */
+    getStoryKey(story) {
+        const parts = [story.deviceId || story.deviceName || ''];
+        this.parser.walkItems(story.items, item => {
+            if (item.id) parts.push(item.id);
+        });
+
+        return this.parser.hashText(parts.join('|'));
+    }
+
+    /**
+     * Check if a node can be annotated
+     * Nodes without an ID get a new random node ID on every render, annotations would get lost
+     * @param {Object} item - The item
+     * @returns {boolean} - Whether the node has a stable ID
+     */
+    canAnnotate(item) {
+        return !!(item && item.id);
+    }
+
+    /**
+     * Replace all annotations, e.g. with the ones saved for a story
+     * @param {Object} annotations - Node ID to annotation
+     * @returns {Object} - The number of added annotations and the validation errors
+     */
+    setAnnotations(annotations) {
+        this.annotations = Object.create(null);
+        return this.mergeAnnotations(annotations, true);
+    }
+
+    /**
+     * Add annotations to the current ones
+     * @param {Object} annotations - Node ID to annotation
+     * @param {boolean} overwrite - Replace existing annotations of the same node
+     * @returns {Object} - The number of added annotations and the validation errors
+     */
+    mergeAnnotations(annotations, overwrite = false) {
+        const result = { added: 0, errors: [] };
+        if (!annotations || typeof annotations !== 'object' || Array.isArray(annotations)) {
+            result.errors.push('Annotations must be an object of node IDs');
+            return result;
+        }
+
+        Object.entries(annotations).forEach(([nodeId, annotation]) => {
+            const error = this.validateAnnotation(annotation);
+            if (error) {
+                result.errors.push(`${nodeId}: ${error}`);
+                return;
+            }
+            if (!overwrite && this.annotations[nodeId]) return;
+
+            this.annotations[nodeId] = this.normalizeAnnotation(annotation);
+            result.added++;
+        });
+
+        return result;
+    }
+
+    /**
+     * Check an annotation for invalid fields
+     * @param {Object} annotation - The annotation
+     * @returns {string|null} - The error, or null if it is valid
+     */
+    validateAnnotation(annotation) {
+        if (!annotation || typeof annotation !== 'object') return 'Annotation must be an object';
+        if (annotation.status && !this.statuses[annotation.status]) {
+            return `Unknown status "${annotation.status}", use ${Object.keys(this.statuses).join(', ')}`;
+        }
+        if (annotation.note !== undefined && typeof annotation.note !== 'string') return 'Note must be a string';
+        return null;
+    }
+
+    /**
+     * Keep only the known fields of an annotation
+     * @param {Object} annotation - The annotation
+     * @returns {Object} - Status, note, bookmark flag and update time
+     */
+    normalizeAnnotation(annotation) {
+        return {
+            status: annotation.status || null,
+            note: annotation.note || '',
+            bookmarked: !!annotation.bookmarked,
+            updated: annotation.updated || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get the annotation of a node
+     * @param {string} nodeId - The node ID
+     * @returns {Object|null} - The annotation
+     */
+    getAnnotation(nodeId) {
+        return this.annotations[nodeId] || null;
+    }
+
+    /**
+     * Set or remove the annotation of a node
+     * An annotation without status, note and bookmark is removed
+     * @param {string} nodeId - The node ID
+     * @param {Object} annotation - Status, note and bookmark flag
+     * @returns {Object|null} - The stored annotation, or null if it was removed
+     */
+    setAnnotation(nodeId, annotation) {
+        const error = this.validateAnnotation(annotation);
+        if (error) throw new Error(error);
+
+        const normalized = this.normalizeAnnotation({ ...annotation, updated: null });
+        if (!normalized.status && !normalized.note.trim() && !normalized.bookmarked) {
+            delete this.annotations[nodeId];
+            return null;
+        }
+
+        this.annotations[nodeId] = normalized;
+        return normalized;
+    }
+
+    /**
+     * Get the number of annotated nodes
+     * @returns {number} - The count
+     */
+    getCount() {
+        return Object.keys(this.annotations).length;
+    }
+
+    /**
+     * Create the sidecar section that is stored with a story export
+     * @param {Function|null} redactNote - Redacts a note or node ID, null to keep the values
+     * @returns {Object|null} - The sidecar, or null without annotations
+     */
+    createSidecar(redactNote = null) {
+        if (this.getCount() === 0) return null;
+
+        const annotations = {};
+        Object.entries(this.annotations).forEach(([nodeId, annotation]) => {
+            const key = redactNote ? redactNote(nodeId) : nodeId;
+            annotations[key] = {
+                ...annotation,
+                note: redactNote && annotation.note ? redactNote(annotation.note) : annotation.note
+            };
+        });
+
+        return {
+            version: this.sidecarVersion,
+            exported: new Date().toISOString(),
+            annotations: annotations
+        };
+    }
+
+    /**
+     * Take the sidecar section out of a story
+     * @param {Object} story - The parsed story, the sidecar is removed from it
+     * @returns {Object|null} - The annotations of the sidecar, or null if there is none
+     */
+    takeSidecar(story) {
+        const sidecar = story ? story[this.sidecarKey] : null;
+        if (!sidecar) return null;
+
+        delete story[this.sidecarKey];
+        return sidecar.annotations || null;
+    }
+
+    /**
+     * List the annotated nodes of a tree, bookmarks first
+     * @param {Array} items - The root items
+     * @param {Function} getKey - Returns the annotation key of an item, e.g. the original ID of a redacted item
+     * @returns {Array} - Entries with item, node ID, title, time and annotation
+     */
+    getAnnotatedNodes(items, getKey = item => item.id) {
+        const nodes = [];
+        this.parser.walkItems(items, item => {
+            if (!this.canAnnotate(item)) return;
+            const nodeId = getKey(item);
+            const annotation = this.annotations[nodeId];
+            if (!annotation) return;
+            nodes.push({ item: item, nodeId: nodeId, title: this.parser.getNodeTitle(item), time: item.time || '', annotation: annotation });
+        });
+
+        return nodes.sort((a, b) =>
+            Number(b.annotation.bookmarked) - Number(a.annotation.bookmarked) || a.time.localeCompare(b.time)
+        );
+    }
+
+    /**
+     * Format the annotated nodes as text
+     * @param {Array} nodes - The nodes from getAnnotatedNodes
+     * @param {string} modeText - The view mode text for the header
+     * @param {Function|null} redactNote - Redacts a note, null to keep the values
+     * @returns {string} - The list text
+     */
+    formatAnnotatedNodes(nodes, modeText = '', redactNote = null) {
+        let output = `# Annotations${modeText}\n`;
+        output += `# ${nodes.length} annotated node${nodes.length === 1 ? '' : 's'}\n`;
+        output += `# Generated: ${new Date().toLocaleString()}\n\n`;
+
+        if (nodes.length === 0) {
+            return output + '# No annotations yet, use 📝 on a node to add one\n';
+        }
+
+        nodes.forEach(node => {
+            const status = node.annotation.status ? this.statuses[node.annotation.status] : null;
+            const label = status ? `${status.icon} ${status.label}` : 'No verdict';
+            output += `${node.annotation.bookmarked ? '⭐ ' : ''}${label}  ${node.title}${node.time ? `  (${this.parser.formatTime(node.time)})` : ''}\n`;
+            if (node.annotation.note) {
+                const note = redactNote ? redactNote(node.annotation.note) : node.annotation.note;
+                note.split(/\r?\n/).forEach(line => {
+                    output += `    ${line}\n`;
+                });
+            }
+            output += '\n';
+        });
+
+        return output;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRAnnotations;
+}
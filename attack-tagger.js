@@ -0,0 +1,267 @@
+/**
+ * XDR Story Parser - MITRE ATT&CK Tagging Module
+ * Tags nodes with ATT&CK techniques based on command lines, image names and node details
+ */
+
+class XDRAttackTagger {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Tactics in the order of the Enterprise matrix
+        this.tactics = [
+            'Reconnaissance', 'Resource Development', 'Initial Access', 'Execution', 'Persistence',
+            'Privilege Escalation', 'Defense Evasion', 'Credential Access', 'Discovery', 'Lateral Movement',
+            'Collection', 'Command and Control', 'Exfiltration', 'Impact'
+        ];
+
+        // Conditions are case-insensitive regular expressions, all given conditions must match:
+        // image (image file name), commandLine, details (all entity values as "Key: value" lines)
+        this.builtInRules = [
+            { technique: 'T1059.001', name: 'PowerShell', tactic: 'Execution', image: '^(powershell|pwsh)(\\.exe)?$' },
+            { technique: 'T1027', name: 'Obfuscated Files or Information', tactic: 'Defense Evasion', commandLine: '(^|\\s)[-/]e(c|n|nc\\w*)?\\s+[A-Za-z0-9+/=]{20,}' },
+            { technique: 'T1059.003', name: 'Windows Command Shell', tactic: 'Execution', image: '^cmd(\\.exe)?$', commandLine: '\\s/[ck]\\s' },
+            { technique: 'T1059.005', name: 'Visual Basic', tactic: 'Execution', image: '^[wc]script(\\.exe)?$', commandLine: '\\.(vbs|vbe)\\b' },
+            { technique: 'T1059.007', name: 'JavaScript', tactic: 'Execution', image: '^[wc]script(\\.exe)?$', commandLine: '\\.(js|jse)\\b' },
+            { technique: 'T1047', name: 'Windows Management Instrumentation', tactic: 'Execution', commandLine: 'wmic(\\.exe)?\\b.*(process\\s+call\\s+create|/node:)' },
+            { technique: 'T1053.005', name: 'Scheduled Task', tactic: 'Persistence', commandLine: 'schtasks(\\.exe)?\\s+.*/create|Register-ScheduledTask' },
+            { technique: 'T1543.003', name: 'Windows Service', tactic: 'Persistence', commandLine: '\\bsc(\\.exe)?\\s+(\\\\\\\\\\S+\\s+)?create\\b|New-Service\\b' },
+            { technique: 'T1547.001', name: 'Registry Run Keys / Startup Folder', tactic: 'Persistence', details: '\\\\CurrentVersion\\\\Run(Once)?\\b|\\\\Start Menu\\\\Programs\\\\Startup\\\\' },
+            { technique: 'T1112', name: 'Modify Registry', tactic: 'Defense Evasion', commandLine: '\\breg(\\.exe)?\\s+(add|delete)\\s' },
+            { technique: 'T1562.001', name: 'Disable or Modify Tools', tactic: 'Defense Evasion', commandLine: 'Set-MpPreference\\s.*-Disable|DisableRealtimeMonitoring|Add-MpPreference\\s.*-Exclusion' },
+            { technique: 'T1070.001', name: 'Clear Windows Event Logs', tactic: 'Defense Evasion', commandLine: 'wevtutil(\\.exe)?\\s+(cl|clear-log)\\b|Clear-EventLog' },
+            { technique: 'T1140', name: 'Deobfuscate/Decode Files or Information', tactic: 'Defense Evasion', commandLine: 'certutil(\\.exe)?\\s.*-decode' },
+            { technique: 'T1218.005', name: 'Mshta', tactic: 'Defense Evasion', image: '^mshta(\\.exe)?$', commandLine: 'https?:|javascript:|vbscript:' },
+            { technique: 'T1218.010', name: 'Regsvr32', tactic: 'Defense Evasion', image: '^regsvr32(\\.exe)?$', commandLine: '/i:\\s*https?:|scrobj' },
+            // Odd exports: ordinals, script protocols and DLLs from user-writable folders
+            { technique: 'T1218.011', name: 'Rundll32', tactic: 'Defense Evasion', image: '^rundll32(\\.exe)?$', commandLine: ',\\s*#\\d+|javascript:|\\\\(temp|appdata|programdata|users\\\\public)\\\\[^,]*,' },
+            { technique: 'T1003.001', name: 'LSASS Memory', tactic: 'Credential Access', commandLine: 'lsass.*\\.dmp|comsvcs(\\.dll)?.*minidump|procdump.*lsass|sekurlsa::' },
+            { technique: 'T1003.002', name: 'Security Account Manager', tactic: 'Credential Access', commandLine: '\\breg(\\.exe)?\\s+save\\s+hklm\\\\+(sam|system|security)\\b' },
+            { technique: 'T1003.003', name: 'NTDS', tactic: 'Credential Access', commandLine: 'ntdsutil.*ifm|\\\\ntds\\.dit' },
+            { technique: 'T1558.003', name: 'Kerberoasting', tactic: 'Credential Access', commandLine: 'Invoke-Kerberoast|kerberoast' },
+            { technique: 'T1087.001', name: 'Local Account', tactic: 'Discovery', commandLine: '\\bnet1?(\\.exe)?\\s+(user|localgroup)\\b(?!.*/domain)' },
+            { technique: 'T1087.002', name: 'Domain Account', tactic: 'Discovery', commandLine: '\\bnet1?(\\.exe)?\\s+(user|group)\\b.*/domain|Get-ADUser|adfind' },
+            { technique: 'T1033', name: 'System Owner/User Discovery', tactic: 'Discovery', image: '^whoami(\\.exe)?$' },
+            { technique: 'T1082', name: 'System Information Discovery', tactic: 'Discovery', image: '^systeminfo(\\.exe)?$' },
+            { technique: 'T1016', name: 'System Network Configuration Discovery', tactic: 'Discovery', commandLine: 'ipconfig(\\.exe)?\\s+/all|\\broute(\\.exe)?\\s+print|\\barp(\\.exe)?\\s+-a\\b' },
+            { technique: 'T1021.002', name: 'SMB/Windows Admin Shares', tactic: 'Lateral Movement', commandLine: '\\\\\\\\[^\\\\\\s]+\\\\(admin|c|ipc)\\$' },
+            { technique: 'T1569.002', name: 'Service Execution', tactic: 'Execution', image: '^(psexec(64)?|paexec)(\\.exe)?$' },
+            { technique: 'T1105', name: 'Ingress Tool Transfer', tactic: 'Command and Control', commandLine: 'certutil(\\.exe)?\\s.*-urlcache|bitsadmin(\\.exe)?\\s.*/transfer|Invoke-WebRequest|\\biwr\\s|DownloadFile|DownloadString|Start-BitsTransfer' },
+            { technique: 'T1490', name: 'Inhibit System Recovery', tactic: 'Impact', commandLine: 'vssadmin(\\.exe)?\\s+delete\\s+shadows|wmic(\\.exe)?\\s+shadowcopy\\s+delete|bcdedit(\\.exe)?\\s.*recoveryenabled\\s+no|wbadmin(\\.exe)?\\s+delete\\s+catalog' }
+        ];
+
+        this.customRules = [];
+        this.rules = [];
+        this.cache = new WeakMap();
+        this.compileRules();
+    }
+
+    /**
+     * Replace the custom rules
+     * @param {Array|Object} rules - Rules as array or as object with a rules array, e.g. from a local JSON file
+     * @returns {Object} - The number of added rules and the errors of invalid rules
+     */
+    setCustomRules(rules) {
+        const ruleList = Array.isArray(rules) ? rules : (rules && Array.isArray(rules.rules) ? rules.rules : null);
+        if (!ruleList) {
+            throw new Error('Expected an array of rules or an object with a "rules" array');
+        }
+
+        const errors = [];
+        const validRules = [];
+        ruleList.forEach((rule, index) => {
+            const error = this.validateRule(rule);
+            if (error) {
+                errors.push(`Rule ${index + 1}: ${error}`);
+            } else {
+                validRules.push(rule);
+            }
+        });
+
+        this.customRules = validRules;
+        this.compileRules();
+
+        return { added: validRules.length, errors: errors };
+    }
+
+    /**
+     * Check a custom rule
+     * @param {Object} rule - The rule
+     * @returns {string|null} - The error message, or null for a valid rule
+     */
+    validateRule(rule) {
+        if (!rule || typeof rule !== 'object') return 'not an object';
+        if (!/^T\d{4}(\.\d{3})?$/.test(rule.technique || '')) return 'technique must be an ID like T1059 or T1059.001';
+        if (!rule.name || typeof rule.name !== 'string') return 'name is missing';
+        if (!this.tactics.includes(rule.tactic)) return `tactic must be one of ${this.tactics.join(', ')}`;
+
+        const conditions = ['image', 'commandLine', 'details'].filter(field => rule[field] !== undefined);
+        if (conditions.length === 0) return 'at least one of image, commandLine or details is required';
+
+        for (const field of conditions) {
+            try {
+                new RegExp(rule[field], 'i');
+            } catch (error) {
+                return `${field} is not a valid regular expression (${error.message})`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compile the built-in and custom rules and clear the cached tags
+     */
+    compileRules() {
+        this.rules = [...this.builtInRules, ...this.customRules].map(rule => ({
+            technique: rule.technique,
+            name: rule.name,
+            tactic: rule.tactic,
+            isCustom: this.customRules.includes(rule),
+            conditions: ['image', 'commandLine', 'details']
+                .filter(field => rule[field] !== undefined)
+                .map(field => ({ field: field, regex: new RegExp(rule[field], 'i') }))
+        }));
+        this.cache = new WeakMap();
+    }
+
+    /**
+     * Get the ATT&CK techniques of a node
+     * @param {Object} item - The item
+     * @returns {Array} - Techniques with technique ID, name and tactic, sorted by ID
+     */
+    getTechniques(item) {
+        if (!item) return [];
+        if (this.cache.has(item)) return this.cache.get(item);
+
+        const fields = this.getMatchFields(item);
+        const techniques = new Map();
+
+        this.rules.forEach(rule => {
+            if (techniques.has(rule.technique)) return;
+
+            const matches = rule.conditions.every(condition =>
+                fields[condition.field] !== '' && condition.regex.test(fields[condition.field])
+            );
+            if (matches) {
+                techniques.set(rule.technique, { technique: rule.technique, name: rule.name, tactic: rule.tactic });
+            }
+        });
+
+        const result = Array.from(techniques.values()).sort((a, b) => a.technique.localeCompare(b.technique));
+        this.cache.set(item, result);
+        return result;
+    }
+
+    /**
+     * Get the texts of a node the rule conditions are matched against
+     * @param {Object} item - The item
+     * @returns {Object} - The image file name, command line and details text
+     */
+    getMatchFields(item) {
+        const entity = item.entity || {};
+        const imageFile = entity.ImageFile || {};
+        const imagePath = imageFile.FullPath || imageFile.FileName || '';
+
+        const details = [];
+        const collect = (value, key) => {
+            if (typeof value === 'string' || typeof value === 'number') {
+                details.push(`${key}: ${value}`);
+            } else if (value && typeof value === 'object') {
+                Object.keys(value).forEach(childKey => collect(value[childKey], childKey));
+            }
+        };
+        collect(entity, 'entity');
+        if (item.title && item.title.main) details.push(`Title: ${item.title.main}`);
+
+        return {
+            image: imagePath.split(/[\\/]/).pop() || '',
+            commandLine: this.parser.unescapeForwardSlashes(this.parser.getNodeCommandLine(item) || ''),
+            details: details.join('\n')
+        };
+    }
+
+    /**
+     * Build the summary of all techniques in the items, grouped by tactic
+     * @param {Array} items - The root items
+     * @returns {Object} - Tactics in matrix order with their techniques and node titles, and the number of tagged nodes
+     */
+    buildMatrix(items) {
+        const techniques = new Map();
+        let taggedNodes = 0;
+
+        this.parser.walkItems(items, item => {
+            if (this.parser.isHiddenNode(item)) return;
+
+            const itemTechniques = this.getTechniques(item);
+            if (itemTechniques.length === 0) return;
+            taggedNodes++;
+
+            itemTechniques.forEach(technique => {
+                if (!techniques.has(technique.technique)) {
+                    techniques.set(technique.technique, { ...technique, nodes: [] });
+                }
+                techniques.get(technique.technique).nodes.push(this.parser.getNodeTitle(item));
+            });
+        });
+
+        const tactics = this.tactics
+            .map(tactic => ({
+                tactic: tactic,
+                techniques: Array.from(techniques.values())
+                    .filter(technique => technique.tactic === tactic)
+                    .sort((a, b) => a.technique.localeCompare(b.technique))
+            }))
+            .filter(tactic => tactic.techniques.length > 0);
+
+        return { tactics: tactics, techniqueCount: techniques.size, taggedNodes: taggedNodes };
+    }
+
+    /**
+     * Format the technique summary as text
+     * @param {Object} matrix - The summary from buildMatrix
+     * @param {string} modeText - The view mode text for the header
+     * @returns {string} - The summary text
+     */
+    formatMatrix(matrix, modeText = '') {
+        let output = `# MITRE ATT&CK Summary${modeText}\n`;
+        output += `# ${matrix.techniqueCount} techniques in ${matrix.tactics.length} tactics on ${matrix.taggedNodes} node${matrix.taggedNodes === 1 ? '' : 's'}\n`;
+        output += `# Rules: ${this.builtInRules.length} built-in, ${this.customRules.length} custom\n`;
+        output += `# Generated: ${new Date().toLocaleString()}\n\n`;
+
+        if (matrix.techniqueCount === 0) {
+            return output + '# No techniques found\n';
+        }
+
+        matrix.tactics.forEach(({ tactic, techniques }) => {
+            output += `## ${tactic}\n`;
+            techniques.forEach(technique => {
+                const count = `${technique.nodes.length} node${technique.nodes.length === 1 ? '' : 's'}`;
+                output += `  ${technique.technique.padEnd(10)} ${technique.name.padEnd(42)} ${count}\n`;
+                Array.from(new Set(technique.nodes)).slice(0, 5).forEach(title => {
+                    output += `      - ${title}\n`;
+                });
+                if (new Set(technique.nodes).size > 5) {
+                    output += `      - ... and ${new Set(technique.nodes).size - 5} more\n`;
+                }
+            });
+            output += '\n';
+        });
+
+        return output;
+    }
+
+    /**
+     * Get the ATT&CK website link of a technique
+     * @param {string} technique - The technique ID, e.g. T1059.001
+     * @returns {string} - The URL
+     */
+    getTechniqueUrl(technique) {
+        return `https://attack.mitre.org/techniques/${technique.replace('.', '/')}/`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRAttackTagger;
+}
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * XDR Story Parser - Command Line Interface
+ * Batch-processes saved story/timeline JSON files and writes the redacted JSON,
+ * command lines, PowerShell scripts, the event table and the text process tree to an output folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XDRStoryParser = require('./story-parser.js');
+const XDRPowerShellDeobfuscator = require('./powershell-deobfuscator.js');
+
+const deobfuscator = new XDRPowerShellDeobfuscator();
+
+// Command line names of the pattern-based redaction categories
+const REDACTION_CATEGORIES = {
+    ips: 'ipAddresses',
+    hostnames: 'hostnames',
+    unc: 'uncPaths',
+    emails: 'emails',
+    profiles: 'userProfilePaths'
+};
+
+const USAGE = `Usage: node cli.js [options] <file|directory>...
+
+Options:
+  -o, --out <dir>   Output folder (default: ./xdr-output)
+  --no-redact       Keep original values instead of redacting users, domains, devices and SIDs
+  --keep <list>     Don't redact these pattern categories (comma separated):
+                    ips, hostnames, unc, emails, profiles
+  --pseudonymize    Replace values with stable tokens (USER-1, HOST-2, ...) instead of
+                    REDACTED and write the mapping table next to the JSON
+  -v, --verbose     Show parser log messages
+  -h, --help        Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - The arguments without node and script path
+ * @returns {Object} - The parsed options
+ */
+function parseArguments(argv) {
+    const options = {
+        inputs: [],
+        outDir: 'xdr-output',
+        redact: true,
+        redaction: {},
+        pseudonymize: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--out':
+                if (!argv[i + 1]) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                options.outDir = argv[++i];
+                break;
+            case '--no-redact':
+                options.redact = false;
+                break;
+            case '--keep':
+                if (!argv[i + 1]) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                argv[++i].split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+                    if (!REDACTION_CATEGORIES[name]) {
+                        throw new Error(`Unknown redaction category: ${name}`);
+                    }
+                    options.redaction[REDACTION_CATEGORIES[name]] = false;
+                });
+                break;
+            case '--pseudonymize':
+                options.pseudonymize = true;
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Expand files and directories into a list of story files
+ * @param {Array<string>} inputs - Files or directories given on the command line
+ * @param {XDRStoryParser} parser - Parser used to check file extensions
+ * @returns {Array<string>} - The story file paths
+ */
+function collectInputFiles(inputs, parser) {
+    const files = [];
+    // Resolved paths, so the same file given twice or together with its folder is processed once
+    const seen = new Set();
+    const addFile = file => {
+        const resolved = path.resolve(file);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+        files.push(file);
+    };
+
+    inputs.forEach(input => {
+        if (!fs.existsSync(input)) {
+            throw new Error(`Input not found: ${input}`);
+        }
+
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => parser.isValidFileType(name))
+                .sort()
+                .forEach(name => addFile(path.join(input, name)));
+        } else {
+            addFile(input);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Get the output base name of every story file
+ * Files with the same name from different folders get a numbered suffix, so their outputs don't overwrite each other
+ * @param {Array<string>} files - The story file paths
+ * @returns {Map<string, string>} - The base name of each file path
+ */
+function getOutputBaseNames(files) {
+    const baseNames = new Map();
+    // Compared case-insensitively, Windows and macOS don't tell story.json and Story.json apart
+    const used = new Set();
+
+    files.forEach(file => {
+        const name = path.basename(file).replace(/\.jsonc?$/i, '');
+        let baseName = name;
+        for (let suffix = 2; used.has(baseName.toLowerCase()); suffix++) {
+            baseName = `${name}-${suffix}`;
+        }
+
+        used.add(baseName.toLowerCase());
+        baseNames.set(file, baseName);
+    });
+
+    return baseNames;
+}
+
+/**
+ * Add the deobfuscated command line or script to extraction entries
+ * @param {Array} entries - Entries from extractCommandLines or extractPowerShellScripts
+ * @param {Function} getText - Returns the readable text of an entry
+ * @param {XDRStoryParser} parser - The story parser
+ * @param {boolean} redact - Whether the story is redacted
+ */
+function addDeobfuscated(entries, getText, parser, redact) {
+    entries.forEach(entry => {
+        const result = deobfuscator.deobfuscate(getText(entry));
+        // Encoded payloads are not covered by the redaction of the story
+        if (result && redact) {
+            result.text = parser.anonymizeString(result.text);
+        }
+        entry.deobfuscated = result;
+    });
+}
+
+/**
+ * Process a single story file and write all outputs
+ * @param {string} file - The story file path
+ * @param {XDRStoryParser} parser - The story parser
+ * @param {Object} options - The parsed command line options
+ * @param {string} baseName - The base name of the output files
+ * @param {Set<string>} inputPaths - The resolved paths of all input files, they are never overwritten
+ * @returns {Array<string>} - The written output paths
+ */
+function processFile(file, parser, options, baseName = getOutputBaseNames([file]).get(file), inputPaths = new Set([path.resolve(file)])) {
+    const text = fs.readFileSync(file, 'utf8');
+    const story = parser.parseStoryText(text);
+    const model = parser.analyze(story, { anonymize: options.redact });
+
+    addDeobfuscated(model.commandLines, cmd => parser.unescapeForwardSlashes(cmd.commandLine), parser, options.redact);
+    addDeobfuscated(model.powerShellScripts, script => parser.unescapeScriptContent(script.scriptContent), parser, options.redact);
+
+    const outputs = [];
+
+    const write = (suffix, content) => {
+        outputs.push({ path: path.join(options.outDir, `${baseName}${suffix}`), content: content });
+    };
+
+    write(options.redact ? '_anonymized.json' : '.json', JSON.stringify(model.data, null, 2));
+
+    // Redacting the deobfuscated text can add pseudonyms
+    const pseudonyms = options.redact ? parser.getPseudonymMapping() : [];
+    if (pseudonyms.length > 0) {
+        write('_pseudonyms.json', JSON.stringify(pseudonyms, null, 2));
+    }
+
+    if (model.commandLines.length > 0) {
+        write('_commandlines.txt', parser.formatCommandLines(model.commandLines));
+    }
+
+    if (model.powerShellScripts.length > 0) {
+        write('_powershell.ps1', parser.formatPowerShellScripts(model.powerShellScripts));
+    }
+
+    write('_events.csv', parser.formatEventTable(parser.buildEventTable(model.data.items)));
+
+    let tree = `# Process Tree (Complete View)\n`;
+    tree += `# Total Items: ${model.stats.total}\n`;
+    tree += `# Generated: ${new Date().toLocaleString()}\n\n`;
+    tree += model.processTree;
+    write('_process_tree.txt', tree);
+
+    // Checked before anything is written, e.g. <name>.json of --no-redact in the input folder
+    const conflict = outputs.find(output => inputPaths.has(path.resolve(output.path)));
+    if (conflict) {
+        throw new Error(`Output ${conflict.path} would overwrite an input file, choose another output folder with --out`);
+    }
+
+    outputs.forEach(output => fs.writeFileSync(output.path, output.content, 'utf8'));
+    return outputs.map(output => output.path);
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - The arguments without node and script path
+ * @returns {number} - The process exit code
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const quietLogger = { log() { }, warn() { }, error() { } };
+    const parser = new XDRStoryParser({
+        logger: options.verbose ? console : quietLogger,
+        redaction: options.redaction,
+        redactionMode: options.pseudonymize ? 'pseudonymize' : 'redact'
+    });
+
+    let files;
+    try {
+        files = collectInputFiles(options.inputs, parser);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (files.length === 0) {
+        console.error('No .json or .jsonc files found in the given inputs');
+        return 2;
+    }
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    const baseNames = getOutputBaseNames(files);
+    const inputPaths = new Set(files.map(file => path.resolve(file)));
+
+    let failed = 0;
+    files.forEach(file => {
+        try {
+            const written = processFile(file, parser, options, baseNames.get(file), inputPaths);
+            console.log(`✅ ${file} -> ${written.length} file(s)`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${file}: ${error.message}`);
+        }
+    });
+
+    console.log(`Processed ${files.length - failed} of ${files.length} file(s) into ${options.outDir}`);
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArguments, collectInputFiles, getOutputBaseNames, processFile, main };
@@ -0,0 +1,224 @@
+/**
+ * XDR Story Parser - Graph Export Module
+ * Emits the process tree as Graphviz DOT, Mermaid flowchart and GraphML
+ */
+
+class XDRGraphExporter {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Same colors as the node types of the default theme
+        this.typeColors = {
+            process: '#10b981',
+            file: '#f59e0b',
+            account: '#f97316',
+            network: '#8b5cf6',
+            registry: '#ec4899',
+            other: '#06b6d4',
+            alert: '#ef4444'
+        };
+    }
+
+    /**
+     * Build a graph from the items, skipping hidden nodes and attaching their children to the closest shown ancestor
+     * @param {Array} items - The root items
+     * @returns {Object} - Nodes with id, label, type, time and command line, and edges with from, to and alert flag
+     */
+    buildGraph(items) {
+        const nodes = [];
+        const edges = [];
+
+        const visit = (itemList, parentId) => {
+            if (!Array.isArray(itemList)) return;
+
+            itemList.forEach(item => {
+                if (!item) return;
+
+                let nodeId = parentId;
+                if (!this.parser.isHiddenNode(item)) {
+                    nodeId = `n${nodes.length + 1}`;
+                    nodes.push({
+                        id: nodeId,
+                        label: this.parser.getNodeTitle(item),
+                        type: this.parser.getTypeCategory(item),
+                        time: item.time || '',
+                        commandLine: this.parser.unescapeForwardSlashes(this.parser.getNodeCommandLine(item) || '')
+                    });
+
+                    // Edges on the way to an alert are highlighted
+                    if (parentId) {
+                        edges.push({ from: parentId, to: nodeId, alert: this.parser.nodeHasAlertsInTree(item) });
+                    }
+
+                    (item.associatedAlerts || []).forEach(alert => {
+                        if (!alert.alertDisplayName) return;
+                        const alertId = `n${nodes.length + 1}`;
+                        nodes.push({ id: alertId, label: alert.alertDisplayName, type: 'alert', time: '', commandLine: '' });
+                        edges.push({ from: nodeId, to: alertId, alert: true });
+                    });
+                }
+
+                visit(item.children, nodeId);
+                visit(item.nestedItems, nodeId);
+            });
+        };
+
+        visit(items, null);
+        return { nodes, edges };
+    }
+
+    /**
+     * Format the graph as Graphviz DOT
+     * @param {Array} items - The root items
+     * @returns {string} - The DOT source
+     */
+    formatDot(items) {
+        const graph = this.buildGraph(items);
+
+        let output = 'digraph XDRStory {\n';
+        output += '    rankdir=LR;\n';
+        output += '    node [shape=box, style="rounded,filled", fontname="Helvetica", fontcolor="#ffffff"];\n';
+        output += '    edge [color="#64748b"];\n\n';
+
+        graph.nodes.forEach(node => {
+            const shape = node.type === 'alert' ? ', shape=octagon' : '';
+            output += `    ${node.id} [label="${this.escapeDot(node.label)}", fillcolor="${this.typeColors[node.type]}"${shape}];\n`;
+        });
+
+        output += '\n';
+        graph.edges.forEach(edge => {
+            const style = edge.alert ? ' [color="#ef4444", penwidth=2]' : '';
+            output += `    ${edge.from} -> ${edge.to}${style};\n`;
+        });
+
+        output += '}\n';
+        return output;
+    }
+
+    /**
+     * Format the graph as a Mermaid flowchart
+     * @param {Array} items - The root items
+     * @returns {string} - The Mermaid source
+     */
+    formatMermaid(items) {
+        const graph = this.buildGraph(items);
+
+        let output = 'flowchart LR\n';
+
+        graph.nodes.forEach(node => {
+            const label = this.escapeMermaid(node.label);
+            output += node.type === 'alert'
+                ? `    ${node.id}{{"🚨 ${label}"}}\n`
+                : `    ${node.id}["${label}"]\n`;
+        });
+
+        const alertLinks = [];
+        graph.edges.forEach((edge, index) => {
+            output += `    ${edge.from} --> ${edge.to}\n`;
+            if (edge.alert) alertLinks.push(index);
+        });
+
+        output += '\n';
+        Object.entries(this.typeColors).forEach(([type, color]) => {
+            output += `    classDef ${type} fill:${color},stroke:${color},color:#ffffff\n`;
+        });
+
+        Object.keys(this.typeColors).forEach(type => {
+            const ids = graph.nodes.filter(node => node.type === type).map(node => node.id);
+            if (ids.length > 0) {
+                output += `    class ${ids.join(',')} ${type}\n`;
+            }
+        });
+
+        if (alertLinks.length > 0) {
+            output += `    linkStyle ${alertLinks.join(',')} stroke:#ef4444,stroke-width:2px\n`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Format the graph as GraphML for graph tools like yEd, Gephi or Cytoscape
+     * @param {Array} items - The root items
+     * @returns {string} - The GraphML document
+     */
+    formatGraphMl(items) {
+        const graph = this.buildGraph(items);
+
+        let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        output += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n';
+        output += '  <key id="label" for="node" attr.name="label" attr.type="string"/>\n';
+        output += '  <key id="type" for="node" attr.name="type" attr.type="string"/>\n';
+        output += '  <key id="color" for="node" attr.name="color" attr.type="string"/>\n';
+        output += '  <key id="time" for="node" attr.name="time" attr.type="string"/>\n';
+        output += '  <key id="commandLine" for="node" attr.name="commandLine" attr.type="string"/>\n';
+        output += '  <key id="alert" for="edge" attr.name="alert" attr.type="boolean"/>\n';
+        output += '  <graph id="XDRStory" edgedefault="directed">\n';
+
+        graph.nodes.forEach(node => {
+            output += `    <node id="${node.id}">\n`;
+            output += `      <data key="label">${this.escapeXml(node.label)}</data>\n`;
+            output += `      <data key="type">${node.type}</data>\n`;
+            output += `      <data key="color">${this.typeColors[node.type]}</data>\n`;
+            if (node.time) output += `      <data key="time">${this.escapeXml(node.time)}</data>\n`;
+            if (node.commandLine) output += `      <data key="commandLine">${this.escapeXml(node.commandLine)}</data>\n`;
+            output += '    </node>\n';
+        });
+
+        graph.edges.forEach((edge, index) => {
+            output += `    <edge id="e${index + 1}" source="${edge.from}" target="${edge.to}">\n`;
+            output += `      <data key="alert">${edge.alert}</data>\n`;
+            output += '    </edge>\n';
+        });
+
+        output += '  </graph>\n';
+        output += '</graphml>\n';
+        return output;
+    }
+
+    /**
+     * Escape a label for a quoted DOT string
+     * @param {string} text - The label
+     * @returns {string} - The escaped label
+     */
+    escapeDot(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Escape a label for a quoted Mermaid node text
+     * @param {string} text - The label
+     * @returns {string} - The escaped label
+     */
+    escapeMermaid(text) {
+        return String(text)
+            .replace(/"/g, '#quot;')
+            .replace(/</g, '#lt;')
+            .replace(/>/g, '#gt;')
+            .replace(/\r?\n/g, ' ');
+    }
+
+    /**
+     * Escape text for XML content
+     * @param {string} text - The text
+     * @returns {string} - The escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRGraphExporter;
+}
@@ -0,0 +1,357 @@
+/**
+ * XDR Story Parser - IOC Extraction Module
+ * Collects de-duplicated hashes, file paths, IPs, domains, URLs and registry keys from story items
+ */
+
+class XDRIocExtractor {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Order matters: URLs are matched before domains, longer hashes before shorter ones
+        this.iocTypes = [
+            { type: 'sha256', label: 'SHA256' },
+            { type: 'sha1', label: 'SHA1' },
+            { type: 'md5', label: 'MD5' },
+            { type: 'url', label: 'URLs' },
+            { type: 'domain', label: 'Domains' },
+            { type: 'ipv4', label: 'IPv4 addresses' },
+            { type: 'ipv6', label: 'IPv6 addresses' },
+            { type: 'path', label: 'File paths' },
+            { type: 'registry', label: 'Registry keys' }
+        ];
+
+        this.patterns = {
+            sha256: /\b[a-f0-9]{64}\b/gi,
+            sha1: /\b[a-f0-9]{40}\b/gi,
+            md5: /\b[a-f0-9]{32}\b/gi,
+            url: /\b(?:https?|ftp):\/\/[^\s"'<>`]+/gi,
+            domain: /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{1,62}\b/gi,
+            // Drive paths and UNC paths like \\fs01.corp.local\share
+            path: /(?:\b[a-z]:|\\\\(?=[a-z0-9])[\w.$-]+)\\[^\s"'<>|*?,;]*/gi,
+            registry: /\b(?:HKLM|HKCU|HKCR|HKU|HKCC|HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG)(?:\\[^\s"'\\,;]+)+/gi
+        };
+
+        // PowerShell and .NET code that looks like domains, e.g. New-Object System.Net.WebClient,
+        // [System.Text.Encoding]::UTF8, $env:TEMP or $client.DownloadString
+        this.codePatterns = [
+            /New-Object\s+(?:-TypeName\s+)?[\w.]+/gi,
+            /\[[\w.]+(?:\[\])?\]/g,
+            /[\w.]+::[\w.]*/g,
+            /\$[\w:]+(?:\.\w+)*/g
+        ];
+
+        // Paths and registry keys may contain spaces when they are the whole value or quoted
+        this.spacedPatterns = {
+            path: /^(?:[a-z]:|\\\\(?=[a-z0-9])[\w.$-]+)\\[^"<>|*?\r\n]*$/i,
+            registry: /^(?:HKLM|HKCU|HKCR|HKU|HKCC|HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG)(?:\\[^"\\\r\n]+)+$/i
+        };
+
+        // Tokens that look like domains but are file names
+        this.fileExtensions = new Set([
+            'exe', 'dll', 'sys', 'bat', 'cmd', 'ps1', 'psm1', 'psd1', 'vbs', 'js', 'jse', 'hta', 'msi',
+            'lnk', 'scr', 'cpl', 'ocx', 'tmp', 'dat', 'log', 'txt', 'json', 'jsonc', 'xml', 'ini', 'cfg',
+            'config', 'zip', 'rar', '7z', 'cab', 'iso', 'img', 'vhd', 'vhdx', 'doc', 'docx', 'docm', 'xls',
+            'xlsx', 'xlsm', 'ppt', 'pptx', 'pdf', 'rtf', 'csv', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico',
+            'etl', 'evtx', 'db', 'sqlite', 'mui', 'manifest', 'pf', 'cs', 'py', 'sh', 'wsf', 'inf', 'reg',
+            'drv', 'efi', 'bin', 'old', 'bak', 'ldf', 'mdf', 'pst', 'ost', 'lock', 'dmp', 'mof',
+            'winmd', 'nls', 'tlb', 'ax', 'acm'
+        ]);
+
+        // .com is a TLD, only these Windows programs are file names
+        this.comPrograms = new Set(['command', 'win', 'more', 'tree', 'chcp', 'format', 'mode', 'edit', 'debug', 'diskcopy', 'keyb']);
+    }
+
+    /**
+     * Extract IOCs from items
+     * @param {Array} items - The items to extract from
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive=true] - Also walk children and nested items
+     * @returns {Array} - IOC entries with type, value and the nodes they appear in
+     */
+    extractIocs(items, options = {}) {
+        const recursive = options.recursive !== false;
+        const iocs = new Map();
+
+        const collect = (item) => {
+            const nodeRef = {
+                id: item.id || null,
+                title: this.parser.getNodeTitle(item)
+            };
+
+            // Structured fields first
+            const imageFile = item.entity && item.entity.ImageFile;
+            if (imageFile) {
+                this.addIoc(iocs, 'sha256', imageFile.Sha256, nodeRef);
+                this.addIoc(iocs, 'sha1', imageFile.Sha1, nodeRef);
+                this.addIoc(iocs, 'md5', imageFile.Md5, nodeRef);
+                this.addIoc(iocs, 'path', imageFile.FullPath, nodeRef);
+            }
+
+            // Free text values
+            this.getItemTextValues(item).forEach(text => this.scanText(iocs, text, nodeRef));
+        };
+
+        if (recursive) {
+            this.parser.walkItems(items, collect);
+        } else if (Array.isArray(items)) {
+            items.forEach(collect);
+        }
+
+        const order = this.iocTypes.map(entry => entry.type);
+        return Array.from(iocs.values()).sort((a, b) =>
+            order.indexOf(a.type) - order.indexOf(b.type) || a.value.localeCompare(b.value)
+        );
+    }
+
+    /**
+     * Collect the free text values of an item: command line, details and additional details
+     * @param {Object} item - The item
+     * @returns {Array<string>} - The text values
+     */
+    getItemTextValues(item) {
+        const values = [];
+
+        const commandLine = this.parser.getNodeCommandLine(item);
+        if (commandLine) values.push(commandLine);
+
+        const addDetails = (details) => {
+            if (!Array.isArray(details)) return;
+            details.forEach(detail => {
+                if (detail && detail.value !== undefined && detail.value !== null && typeof detail.value !== 'object') {
+                    values.push(String(detail.value));
+                }
+            });
+        };
+
+        addDetails(item.details);
+        if (Array.isArray(item.additionalDetails)) {
+            item.additionalDetails.forEach(section => addDetails(section && section.details));
+        }
+
+        return values.map(value => this.parser.unescapeForwardSlashes(value));
+    }
+
+    /**
+     * Scan free text for all IOC types
+     * @param {Map} iocs - The IOC map to add to
+     * @param {string} text - The text to scan
+     * @param {Object} nodeRef - The node the text belongs to
+     */
+    scanText(iocs, text, nodeRef) {
+        let remaining = text;
+
+        // URLs first, their host is added as domain or IP and the URL is removed from further matching
+        remaining = remaining.replace(this.patterns.url, (match) => {
+            const url = match.replace(/[),.;\]]+$/, '');
+            this.addIoc(iocs, 'url', url, nodeRef);
+            const host = url.replace(/^[a-z]+:\/\//i, '').split(/[\/:?#]/)[0];
+            if (host) this.scanText(iocs, host, nodeRef);
+            return ' ';
+        });
+
+        // Hashes: match longest first and remove so shorter patterns don't match inside them
+        ['sha256', 'sha1', 'md5'].forEach(type => {
+            remaining = remaining.replace(this.patterns[type], (match) => {
+                this.addIoc(iocs, type, match, nodeRef);
+                return ' ';
+            });
+        });
+
+        // Registry keys and paths are removed as well so their segments aren't reported as domains
+        ['registry', 'path'].forEach(type => {
+            remaining = this.extractSpacedValues(remaining, type, iocs, nodeRef);
+            remaining = remaining.replace(this.patterns[type], (match) => {
+                this.addLocation(iocs, type, match.replace(/[.)\]]+$/, ''), nodeRef);
+                return ' ';
+            });
+        });
+
+        (remaining.match(this.parser.patterns.ipv4) || []).forEach(match => {
+            this.addIoc(iocs, 'ipv4', match, nodeRef);
+        });
+
+        (remaining.match(this.parser.patterns.ipv6) || []).forEach(match => {
+            // Require at least two groups to skip tokens like "a::"
+            if (match.split(':').filter(Boolean).length >= 2) {
+                this.addIoc(iocs, 'ipv6', match, nodeRef);
+            }
+        });
+
+        this.codePatterns.forEach(pattern => {
+            remaining = remaining.replace(pattern, ' ');
+        });
+
+        (remaining.match(this.patterns.domain) || []).forEach(match => {
+            if (this.isLikelyDomain(match)) {
+                this.addIoc(iocs, 'domain', match, nodeRef);
+            }
+        });
+    }
+
+    /**
+     * Extract paths or registry keys that contain spaces, either as the whole text or quoted
+     * @param {string} text - The text to scan
+     * @param {string} type - 'path' or 'registry'
+     * @param {Map} iocs - The IOC map to add to
+     * @param {Object} nodeRef - The node the text belongs to
+     * @returns {string} - The text with the extracted values removed
+     */
+    extractSpacedValues(text, type, iocs, nodeRef) {
+        const pattern = this.spacedPatterns[type];
+
+        if (pattern.test(text.trim())) {
+            this.addLocation(iocs, type, text.trim(), nodeRef);
+            return ' ';
+        }
+
+        return text.replace(/"([^"]+)"/g, (match, inner) => {
+            if (pattern.test(inner.trim())) {
+                this.addLocation(iocs, type, inner.trim(), nodeRef);
+                return ' ';
+            }
+            return match;
+        });
+    }
+
+    /**
+     * Add a path or registry key, the host of a UNC path is added as domain or IP like the host of a URL
+     * @param {Map} iocs - The IOC map to add to
+     * @param {string} type - 'path' or 'registry'
+     * @param {string} value - The path or registry key
+     * @param {Object} nodeRef - The node the value appears in
+     */
+    addLocation(iocs, type, value, nodeRef) {
+        this.addIoc(iocs, type, value, nodeRef);
+
+        const uncHost = type === 'path' && value.match(/^\\\\([^\\]+)\\/);
+        if (uncHost) this.scanText(iocs, uncHost[1], nodeRef);
+    }
+
+    /**
+     * Check if a domain-like token is a domain and not a file name, version, IP or .NET type name
+     * @param {string} value - The token
+     * @returns {boolean} - Whether the token is likely a domain
+     */
+    isLikelyDomain(value) {
+        if (/^system\./i.test(value)) return false;
+
+        // TLDs are written in lower or upper case, mixed case is a type or member name like Net.WebClient
+        const lastLabel = value.split('.').pop();
+        if (lastLabel !== lastLabel.toLowerCase() && lastLabel !== lastLabel.toUpperCase()) return false;
+
+        const parts = value.toLowerCase().split('.');
+        const tld = parts[parts.length - 1];
+
+        if (/^\d+$/.test(tld)) return false;
+        if (this.fileExtensions.has(tld)) return false;
+        // .local is the TLD of internal hosts, and the DLL redirection file of a program like app.exe.local
+        if (tld === 'local' && this.fileExtensions.has(parts[parts.length - 2])) return false;
+        if (tld === 'com' && parts.length === 2 && this.comPrograms.has(parts[0])) return false;
+
+        // Require an alphabetic TLD
+        return /^[a-z]{2,}$/.test(tld);
+    }
+
+    /**
+     * Add an IOC occurrence
+     * @param {Map} iocs - The IOC map
+     * @param {string} type - The IOC type
+     * @param {string} value - The IOC value
+     * @param {Object} nodeRef - The node the IOC appears in
+     */
+    addIoc(iocs, type, value, nodeRef) {
+        if (value === undefined || value === null) return;
+        const text = String(value).trim();
+        if (text === '') return;
+        const isHash = ['sha256', 'sha1', 'md5'].includes(type);
+        // Structured hash fields are only reported when they have the format of their type
+        if (isHash && !this.parser.isValidHash(type, text)) return;
+
+        // Hashes are case-insensitive; normalize to lower case for de-duplication
+        const normalized = isHash ? text.toLowerCase() : text;
+        const key = `${type}|${normalized.toLowerCase()}`;
+        let entry = iocs.get(key);
+        if (!entry) {
+            entry = { type: type, value: normalized, nodes: [] };
+            iocs.set(key, entry);
+        }
+
+        const alreadyListed = entry.nodes.some(node => node.id === nodeRef.id && node.title === nodeRef.title);
+        if (!alreadyListed) {
+            entry.nodes.push(nodeRef);
+        }
+    }
+
+    /**
+     * Get the display label of an IOC type
+     * @param {string} type - The IOC type
+     * @returns {string} - The label
+     */
+    getTypeLabel(type) {
+        const entry = this.iocTypes.find(iocType => iocType.type === type);
+        return entry ? entry.label : type;
+    }
+
+    /**
+     * Format IOCs grouped by type, with the nodes they appear in
+     * @param {Array} iocs - Entries from extractIocs
+     * @returns {string} - The formatted output, empty if there are no entries
+     */
+    formatIocs(iocs) {
+        let output = '';
+
+        this.iocTypes.forEach(({ type, label }) => {
+            const entries = iocs.filter(ioc => ioc.type === type);
+            if (entries.length === 0) return;
+
+            output += `# ${label} (${entries.length})\n`;
+            entries.forEach(ioc => {
+                const nodes = ioc.nodes.map(node => this.parser.unescapeForwardSlashes(node.title)).join(', ');
+                output += `${ioc.value}\n    └─ Seen in: ${nodes}\n`;
+            });
+            output += '\n';
+        });
+
+        return output;
+    }
+
+    /**
+     * Format IOCs as CSV
+     * @param {Array} iocs - Entries from extractIocs
+     * @returns {string} - CSV text with a header row
+     */
+    formatIocsAsCsv(iocs) {
+        const rows = [['type', 'value', 'node_count', 'nodes', 'node_ids']];
+        iocs.forEach(ioc => {
+            rows.push([
+                ioc.type,
+                ioc.value,
+                ioc.nodes.length,
+                ioc.nodes.map(node => node.title).join(' | '),
+                ioc.nodes.map(node => node.id || '').filter(Boolean).join(' | ')
+            ]);
+        });
+
+        return rows.map(row => row.map(value => this.parser.formatTableCell(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format IOCs as a plain list, one value per line, for blocklists
+     * @param {Array} iocs - Entries from extractIocs
+     * @param {Array<string>} [types] - Only include these types
+     * @returns {string} - The values, one per line
+     */
+    formatIocsAsList(iocs, types = null) {
+        return iocs
+            .filter(ioc => !types || types.includes(ioc.type))
+            .map(ioc => ioc.value)
+            .join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRIocExtractor;
+}
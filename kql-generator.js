@@ -0,0 +1,224 @@
+/**
+ * XDR Story Parser - KQL Hunting Query Module
+ * Builds Defender Advanced Hunting queries to pivot from a node of the story
+ */
+
+class XDRKqlGenerator {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Advanced Hunting keeps 30 days of data
+        this.lookback = '30d';
+    }
+
+    /**
+     * Check if hunting queries can be built for a node
+     * @param {Object} item - The item
+     * @returns {boolean} - Whether the node has a process, hash or file name to pivot on
+     */
+    canGenerate(item) {
+        const facts = this.getNodeFacts(item, {});
+        return !!(facts.sha256 || facts.fileName || facts.processId !== null);
+    }
+
+    /**
+     * Collect the values of a node that can be used in a query
+     * @param {Object} item - The item
+     * @param {Object} story - The story with deviceId and deviceName
+     * @returns {Object} - Hashes, file name, command line, process ID, creation time and device
+     */
+    getNodeFacts(item, story) {
+        const entity = item.entity || {};
+        const imageFile = entity.ImageFile || {};
+        const commandLine = this.parser.getNodeCommandLine(item);
+        const type = this.parser.getItemType(item);
+
+        let fileName = imageFile.FileName || null;
+        if (!fileName && type === 'file' && item.title && item.title.main) {
+            fileName = item.title.main;
+        }
+
+        return {
+            type: type,
+            sha256: imageFile.Sha256 || null,
+            sha1: imageFile.Sha1 || null,
+            fileName: fileName,
+            commandLine: commandLine ? this.parser.unescapeForwardSlashes(commandLine) : null,
+            processId: entity.ProcessId !== undefined && entity.ProcessId !== null && !isNaN(Number(entity.ProcessId))
+                ? Number(entity.ProcessId)
+                : null,
+            creationTime: this.toKqlDatetime(entity.CreationTime),
+            deviceId: story.deviceId || null,
+            deviceName: story.deviceName || null
+        };
+    }
+
+    /**
+     * Build all hunting queries that apply to a node
+     * @param {Object} item - The item
+     * @param {Object} story - The story with deviceId and deviceName
+     * @returns {Array} - Queries with name, description and KQL text
+     */
+    buildQueries(item, story) {
+        const facts = this.getNodeFacts(item, story);
+        const deviceFilter = this.getDeviceFilter(facts);
+        const queries = [];
+
+        const isProcess = facts.processId !== null && facts.creationTime;
+
+        if (isProcess && deviceFilter) {
+            queries.push({
+                name: 'This process',
+                description: 'The process creation event of this node on the device of the story',
+                query: [
+                    'DeviceProcessEvents',
+                    `| where Timestamp between (${facts.creationTime} - 1h .. ${facts.creationTime} + 1h)`,
+                    deviceFilter,
+                    `| where ProcessId == ${facts.processId} and ${this.getCreationTimeFilter('ProcessCreationTime', facts.creationTime)}`,
+                    '| project Timestamp, DeviceName, AccountDomain, AccountName, FileName, FolderPath, SHA256, ProcessCommandLine, InitiatingProcessFileName, InitiatingProcessCommandLine'
+                ].join('\n')
+            });
+
+            queries.push({
+                name: 'Children of this process',
+                description: 'All processes started by this process',
+                query: [
+                    'DeviceProcessEvents',
+                    `| where Timestamp >= ${facts.creationTime}`,
+                    deviceFilter,
+                    `| where InitiatingProcessId == ${facts.processId} and ${this.getCreationTimeFilter('InitiatingProcessCreationTime', facts.creationTime)}`,
+                    '| project Timestamp, DeviceName, FileName, FolderPath, SHA256, ProcessId, ProcessCommandLine, AccountName',
+                    '| order by Timestamp asc'
+                ].join('\n')
+            });
+
+            queries.push({
+                name: 'Activity of this process',
+                description: 'File, network, registry and image load events initiated by this process',
+                query: [
+                    'union DeviceFileEvents, DeviceNetworkEvents, DeviceRegistryEvents, DeviceImageLoadEvents',
+                    `| where Timestamp >= ${facts.creationTime}`,
+                    deviceFilter,
+                    `| where InitiatingProcessId == ${facts.processId} and ${this.getCreationTimeFilter('InitiatingProcessCreationTime', facts.creationTime)}`,
+                    '| project Timestamp, DeviceName, ActionType, FileName, FolderPath, SHA256, RemoteIP, RemotePort, RemoteUrl, RegistryKey, RegistryValueName, RegistryValueData',
+                    '| order by Timestamp asc'
+                ].join('\n')
+            });
+        }
+
+        if (facts.sha256) {
+            queries.push({
+                name: 'Same hash fleet-wide',
+                description: 'Every device that created, ran or loaded a file with this SHA256',
+                query: [
+                    'union DeviceProcessEvents, DeviceFileEvents, DeviceImageLoadEvents',
+                    `| where Timestamp > ago(${this.lookback})`,
+                    `| where SHA256 == ${this.toKqlString(facts.sha256)}`,
+                    '| summarize FirstSeen = min(Timestamp), LastSeen = max(Timestamp), Events = count(), ActionTypes = make_set(ActionType), Paths = make_set(FolderPath) by DeviceName, DeviceId',
+                    '| order by FirstSeen asc'
+                ].join('\n')
+            });
+        }
+
+        if (facts.fileName) {
+            const table = facts.type === 'file' ? 'DeviceFileEvents' : 'DeviceProcessEvents';
+            queries.push({
+                name: 'Same file name fleet-wide',
+                description: `Every device with ${table === 'DeviceFileEvents' ? 'file events' : 'process creations'} for this file name, grouped by hash`,
+                query: [
+                    table,
+                    `| where Timestamp > ago(${this.lookback})`,
+                    `| where FileName =~ ${this.toKqlString(facts.fileName)}`,
+                    '| summarize FirstSeen = min(Timestamp), LastSeen = max(Timestamp), Devices = dcount(DeviceId), Paths = make_set(FolderPath) by SHA256',
+                    '| order by Devices asc'
+                ].join('\n')
+            });
+        }
+
+        const fragments = this.parser.getCommandLineTerms(facts.commandLine);
+        if (fragments.length > 0) {
+            queries.push({
+                name: 'Similar command lines fleet-wide',
+                description: 'Processes whose command line contains the most distinctive parts of this one',
+                query: [
+                    'DeviceProcessEvents',
+                    `| where Timestamp > ago(${this.lookback})`,
+                    `| where ProcessCommandLine has_all (${fragments.map(fragment => this.toKqlString(fragment)).join(', ')})`,
+                    '| project Timestamp, DeviceName, AccountName, FileName, ProcessCommandLine, InitiatingProcessFileName',
+                    '| order by Timestamp asc'
+                ].join('\n')
+            });
+        }
+
+        return queries;
+    }
+
+    /**
+     * Format queries as one KQL text with comment headers
+     * @param {Array} queries - Queries from buildQueries
+     * @param {string} title - The node title
+     * @returns {string} - The queries, separated by blank lines
+     */
+    formatQueries(queries, title) {
+        if (queries.length === 0) {
+            return `// No hunting queries available for ${title}\n// The node has no process, hash or file name to pivot on`;
+        }
+
+        let output = `// Hunting queries for ${title}\n// Generated: ${new Date().toLocaleString()}\n\n`;
+        queries.forEach(query => {
+            output += `// ===== ${query.name} =====\n`;
+            output += `// ${query.description}\n`;
+            output += `${query.query}\n\n`;
+        });
+        return output;
+    }
+
+    /**
+     * Get the filter for the device of the story
+     * @param {Object} facts - The node facts
+     * @returns {string|null} - The where clause, or null without device information
+     */
+    getDeviceFilter(facts) {
+        if (facts.deviceId) return `| where DeviceId == ${this.toKqlString(facts.deviceId)}`;
+        if (facts.deviceName) return `| where DeviceName =~ ${this.toKqlString(facts.deviceName)}`;
+        return null;
+    }
+
+    /**
+     * Format a value as verbatim KQL string literal
+     * @param {string} value - The value
+     * @returns {string} - The literal
+     */
+    toKqlString(value) {
+        return `@"${String(value).replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Build the condition that matches a process creation time
+     * The story keeps more digits than the milliseconds of the literal, so the time is matched as a 1ms range
+     * @param {string} column - The creation time column
+     * @param {string} creationTime - The KQL datetime literal
+     * @returns {string} - The KQL condition
+     */
+    getCreationTimeFilter(column, creationTime) {
+        return `${column} between (${creationTime} .. ${creationTime} + 1ms)`;
+    }
+
+    /**
+     * Format a date as KQL datetime literal
+     * @param {string} value - The date
+     * @returns {string|null} - The literal, or null for invalid dates
+     */
+    toKqlDatetime(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : `datetime(${date.toISOString()})`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRKqlGenerator;
+}
@@ -0,0 +1,231 @@
+/**
+ * XDR Story Parser - PowerShell Deobfuscation Module
+ * Decodes encoded commands and undoes common string obfuscation tricks for readability
+ */
+
+class XDRPowerShellDeobfuscator {
+    constructor() {
+        // Decoded payloads can contain further encoded layers
+        this.maxPasses = 8;
+
+        this.encodedCommand = /(^|\s)[-/]e(?:c|n|nc\w*)?\s+(['"]?)([A-Za-z0-9+/]{16,}={0,2})\2(?=\s|$)/gi;
+        this.fromBase64 = /\[(?:System\.)?Text\.Encoding\]::(Unicode|UTF8|ASCII|Default|UTF32)\.GetString\(\s*\[(?:System\.)?Convert\]::FromBase64String\(\s*(['"])([A-Za-z0-9+/=\s]+)\2\s*\)\s*\)/gi;
+        this.charArray = /(?:-join\s*)?\[char\[\]\]\s*@?\(\s*((?:0x[0-9a-f]+|\d+)(?:\s*,\s*(?:0x[0-9a-f]+|\d+))*)\s*\)(?:\s*-join\s*(['"])\2)?/gi;
+        this.charCast = /\[char\]\s*(?:\(\s*(0x[0-9a-f]+|\d+)\s*\)|(0x[0-9a-f]+|\d+))/gi;
+        // Every character of the format string and of the separators can only be matched one way,
+        // so strings without a following -f fail in linear time
+        this.formatOperator = /\(\s*(['"])((?:(?!\1).)*)\1\s*-f\s*((?:(['"])(?:(?!\4).)*\4\s*(?:,\s*)?)+)\)/gi;
+        this.concatenation = /(['"])((?:(?!\1)[^\r\n])*)\1\s*\+\s*(['"])((?:(?!\3)[^\r\n])*)\3/g;
+    }
+
+    /**
+     * Deobfuscate a command line or script
+     * @param {string} text - The command line or script content
+     * @returns {Object|null} - The deobfuscated text and the applied steps, or null if nothing changed
+     */
+    deobfuscate(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const steps = [];
+        let current = text;
+
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+            const before = current;
+
+            current = this.applyStep(current, steps, 'Decoded -EncodedCommand', value => this.decodeEncodedCommands(value));
+            current = this.applyStep(current, steps, 'Decoded FromBase64String', value => this.decodeFromBase64Calls(value));
+            current = this.applyStep(current, steps, 'Resolved [char] arrays', value => this.resolveCharArrays(value));
+            current = this.applyStep(current, steps, 'Resolved [char] casts', value => this.resolveCharCasts(value));
+            current = this.applyStep(current, steps, 'Resolved -f format strings', value => this.resolveFormatOperators(value));
+            current = this.applyStep(current, steps, 'Joined concatenated strings', value => this.joinConcatenations(value));
+            current = this.applyStep(current, steps, 'Removed escape characters', value => this.removeEscapeCharacters(value));
+
+            if (current === before) break;
+        }
+
+        return steps.length > 0 ? { text: current, steps: steps } : null;
+    }
+
+    /**
+     * Apply a deobfuscation step and record it if it changed the text
+     * @param {string} text - The current text
+     * @param {Array<string>} steps - The applied steps
+     * @param {string} name - The step name
+     * @param {Function} step - The step function
+     * @returns {string} - The new text
+     */
+    applyStep(text, steps, name, step) {
+        const result = step(text);
+        if (result !== text && !steps.includes(name)) {
+            steps.push(name);
+        }
+        return result;
+    }
+
+    /**
+     * Replace -EncodedCommand arguments with the decoded script
+     * @param {string} text - The command line
+     * @returns {string} - The command line with -Command and the decoded script
+     */
+    decodeEncodedCommands(text) {
+        return text.replace(this.encodedCommand, (match, prefix, quote, base64) => {
+            const decoded = this.decodeBase64(base64, 'utf-16le');
+            return decoded === null ? match : `${prefix}-Command ${decoded}`;
+        });
+    }
+
+    /**
+     * Replace [Text.Encoding]::X.GetString([Convert]::FromBase64String('...')) with the decoded string
+     * @param {string} text - The script
+     * @returns {string} - The script with string literals
+     */
+    decodeFromBase64Calls(text) {
+        return text.replace(this.fromBase64, (match, encoding, quote, base64) => {
+            const encodings = { unicode: 'utf-16le', utf8: 'utf-8', ascii: 'utf-8', default: 'utf-8', utf32: null };
+            const decoderEncoding = encodings[encoding.toLowerCase()];
+            if (!decoderEncoding) return match;
+
+            const decoded = this.decodeBase64(base64.replace(/\s/g, ''), decoderEncoding);
+            return decoded === null ? match : this.toStringLiteral(decoded);
+        });
+    }
+
+    /**
+     * Replace [char[]](72,105) -join '' with the string
+     * @param {string} text - The script
+     * @returns {string} - The script with string literals
+     */
+    resolveCharArrays(text) {
+        return text.replace(this.charArray, (match, codes) => {
+            const value = this.charCodesToString(codes.split(','));
+            return value === null ? match : this.toStringLiteral(value);
+        });
+    }
+
+    /**
+     * Replace [char]72 with 'H'
+     * @param {string} text - The script
+     * @returns {string} - The script with string literals
+     */
+    resolveCharCasts(text) {
+        return text.replace(this.charCast, (match, parenthesizedCode, code) => {
+            const value = this.charCodesToString([parenthesizedCode || code]);
+            return value === null ? match : this.toStringLiteral(value);
+        });
+    }
+
+    /**
+     * Replace ("{1}{0}" -f 'b','a') with 'ab'
+     * @param {string} text - The script
+     * @returns {string} - The script with string literals
+     */
+    resolveFormatOperators(text) {
+        return text.replace(this.formatOperator, (match, quote, format, argumentList) => {
+            const args = [];
+            argumentList.replace(/(['"])((?:(?!\1).)*)\1/g, (argument, argumentQuote, value) => {
+                args.push(this.unquote(value, argumentQuote));
+                return argument;
+            });
+
+            let valid = true;
+            const value = this.unquote(format, quote).replace(/\{(\d+)\}/g, (placeholder, index) => {
+                if (Number(index) >= args.length) valid = false;
+                return args[Number(index)];
+            });
+            return valid ? this.toStringLiteral(value) : match;
+        });
+    }
+
+    /**
+     * Replace 'a' + 'b' with 'ab'
+     * @param {string} text - The script
+     * @returns {string} - The script with joined string literals
+     */
+    joinConcatenations(text) {
+        let current = text;
+        let previous;
+        do {
+            previous = current;
+            current = current.replace(this.concatenation, (match, quoteA, a, quoteB, b) => {
+                // Double-quoted strings expand variables, joining them could change the meaning
+                if ((quoteA === '"' && /\$/.test(a)) || (quoteB === '"' && /\$/.test(b))) return match;
+                return this.toStringLiteral(this.unquote(a, quoteA) + this.unquote(b, quoteB));
+            });
+        } while (current !== previous);
+        return current;
+    }
+
+    /**
+     * Remove PowerShell backticks and cmd carets inside words, e.g. I`E`X or p^ow^ershell
+     * Backticks before n, r and t are kept as they are the newline and tab escapes in strings
+     * @param {string} text - The script or command line
+     * @returns {string} - The text without escape characters inside words
+     */
+    removeEscapeCharacters(text) {
+        return text
+            .replace(/(?<=[a-z])`(?=[a-mo-qsu-z])/gi, '')
+            .replace(/(?<=[a-z])\^(?=[a-z])/gi, '');
+    }
+
+    /**
+     * Decode Base64 to text
+     * @param {string} base64 - The Base64 string
+     * @param {string} encoding - utf-16le or utf-8
+     * @returns {string|null} - The decoded text, or null if it is not readable text
+     */
+    decodeBase64(base64, encoding) {
+        try {
+            const binary = atob(base64);
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            const decoded = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+            return this.isReadableText(decoded) ? decoded : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Convert character codes to a string
+     * @param {Array<string>} codes - Decimal or hex character codes
+     * @returns {string|null} - The string, or null for invalid codes
+     */
+    charCodesToString(codes) {
+        const values = codes.map(code => Number(code.trim()));
+        if (values.some(value => isNaN(value) || value < 0 || value > 0xffff)) return null;
+        return String.fromCharCode(...values);
+    }
+
+    /**
+     * Check if decoded text is mostly printable
+     * @param {string} text - The text
+     * @returns {boolean} - Whether the text looks like readable text
+     */
+    isReadableText(text) {
+        if (!text) return false;
+        const printable = text.replace(/[^\x20-\x7e\t\r\n]/g, '').length;
+        return printable / text.length > 0.9;
+    }
+
+    /**
+     * Remove the escaping of a quoted PowerShell string value
+     * @param {string} value - The value between the quotes
+     * @param {string} quote - The quote character
+     * @returns {string} - The raw value
+     */
+    unquote(value, quote) {
+        return quote === '\'' ? value.replace(/''/g, '\'') : value.replace(/`"|""/g, '"');
+    }
+
+    /**
+     * Format a value as single-quoted PowerShell string
+     * @param {string} value - The value
+     * @returns {string} - The literal
+     */
+    toStringLiteral(value) {
+        return `'${value.replace(/'/g, '\'\'')}'`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRPowerShellDeobfuscator;
+}
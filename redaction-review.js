@@ -0,0 +1,215 @@
+/**
+ * XDR Story Parser - Redaction Review Module
+ * Lists every replaced value before download and flags leftovers that still look sensitive
+ */
+
+class XDRRedactionReview {
+    /**
+     * @param {XDRStoryParser} parser - The story parser that performed the redaction
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Shorter values produce too many false positives
+        this.minimumValueLength = 3;
+
+        // Base64 blobs, e.g. the argument of powershell -EncodedCommand
+        this.base64Pattern = /[A-Za-z0-9+/]{16,}={0,2}/g;
+        this.urlEncodedPattern = /%[0-9a-f]{2}/i;
+    }
+
+    /**
+     * Build the review report for a redacted story
+     * Must be called right after parser.createAnonymizedData so the replacement log matches
+     * @param {Object} anonymizedData - The redacted story
+     * @returns {Object} - The replaced values, the values kept by hand and the leftovers
+     */
+    buildReport(anonymizedData) {
+        const replacements = this.parser.getReplacementLog();
+
+        return {
+            replacements: replacements,
+            excludedValues: Array.from(this.parser.anonymizationInfo.excludedValues).sort(),
+            totalReplacements: replacements.reduce((sum, entry) => sum + entry.count, 0),
+            leftovers: this.findLeftovers(anonymizedData, replacements)
+        };
+    }
+
+    /**
+     * Collect the original values the redacted story must no longer contain
+     * @param {Array} replacements - The replacement log entries
+     * @returns {Array<string>} - The values to look for
+     */
+    getSensitiveValues(replacements) {
+        const values = new Map();
+        const addValue = (value) => {
+            const lower = value.toLowerCase();
+            if (value.length < this.minimumValueLength) return;
+            if (this.parser.anonymizationInfo.excludedValues.has(lower)) return;
+            if (this.parser.isReplacementToken(value)) return;
+            if (!values.has(lower)) values.set(lower, value);
+        };
+
+        replacements.forEach(entry => {
+            addValue(entry.value);
+
+            // The short name of a redacted FQDN may still show up on its own
+            if ((entry.category === 'device' || entry.category === 'hostname') && entry.value.includes('.')) {
+                addValue(entry.value.split('.')[0]);
+            }
+        });
+
+        return Array.from(values.values());
+    }
+
+    /**
+     * Find strings that still contain a redacted value in a different case or encoding
+     * @param {Object} anonymizedData - The redacted story
+     * @param {Array} replacements - The replacement log entries
+     * @returns {Array} - Leftovers with value, variant, match, path and excerpt
+     */
+    findLeftovers(anonymizedData, replacements) {
+        const values = this.getSensitiveValues(replacements);
+        const leftovers = [];
+        const seen = new Set();
+
+        if (values.length === 0) return leftovers;
+
+        const addLeftover = (value, variant, match, path, text, index) => {
+            const key = `${path}|${variant}|${value.toLowerCase()}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            leftovers.push({
+                value: value,
+                variant: variant,
+                match: match,
+                path: path,
+                excerpt: this.getExcerpt(text, index, value.length)
+            });
+        };
+
+        this.walkStrings(anonymizedData, (text, path) => {
+            const lowerText = text.toLowerCase();
+
+            values.forEach(value => {
+                const index = lowerText.indexOf(value.toLowerCase());
+                if (index !== -1) {
+                    const match = text.substr(index, value.length);
+                    addLeftover(value, match === value ? 'Unchanged' : 'Different case', match, path, text, index);
+                }
+            });
+
+            if (this.urlEncodedPattern.test(text)) {
+                const decoded = this.decodeUrl(text);
+                if (decoded !== text) {
+                    this.findInDecoded(decoded, values).forEach(({ value, index }) => {
+                        addLeftover(value, 'URL-encoded', text, path, decoded, index);
+                    });
+                }
+            }
+
+            const base64Tokens = text.match(this.base64Pattern) || [];
+            base64Tokens.forEach(token => {
+                this.decodeBase64(token).forEach(decoded => {
+                    this.findInDecoded(decoded, values).forEach(({ value, index }) => {
+                        addLeftover(value, 'Base64', token, path, decoded, index);
+                    });
+                });
+            });
+        });
+
+        return leftovers;
+    }
+
+    /**
+     * Find sensitive values in decoded text
+     * @param {string} decoded - The decoded text
+     * @param {Array<string>} values - The values to look for
+     * @returns {Array} - The found values with their position
+     */
+    findInDecoded(decoded, values) {
+        const lowerDecoded = decoded.toLowerCase();
+        return values
+            .map(value => ({ value, index: lowerDecoded.indexOf(value.toLowerCase()) }))
+            .filter(found => found.index !== -1);
+    }
+
+    /**
+     * Call the callback for every string in an object with its JSON path
+     * @param {*} obj - The object to walk
+     * @param {Function} callback - Called with (text, path)
+     * @param {string} path - The path of obj
+     */
+    walkStrings(obj, callback, path = '') {
+        if (typeof obj === 'string') {
+            callback(obj, path);
+        } else if (Array.isArray(obj)) {
+            obj.forEach((value, index) => this.walkStrings(value, callback, `${path}[${index}]`));
+        } else if (obj && typeof obj === 'object') {
+            Object.keys(obj).forEach(key => {
+                this.walkStrings(obj[key], callback, path ? `${path}.${key}` : key);
+            });
+        }
+    }
+
+    /**
+     * Decode percent-encoded text, keeping invalid sequences as they are
+     * @param {string} text - The text to decode
+     * @returns {string} - The decoded text
+     */
+    decodeUrl(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+    }
+
+    /**
+     * Decode a Base64 token as UTF-8 and as UTF-16LE (used by PowerShell -EncodedCommand)
+     * @param {string} token - The Base64 token
+     * @returns {Array<string>} - The readable decodings
+     */
+    decodeBase64(token) {
+        let bytes;
+        try {
+            const binary = atob(token);
+            bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        } catch (error) {
+            return [];
+        }
+
+        return ['utf-8', 'utf-16le']
+            .map(encoding => new TextDecoder(encoding).decode(bytes))
+            .filter(decoded => this.isReadableText(decoded));
+    }
+
+    /**
+     * Check if decoded text is mostly printable, to skip random tokens that happen to be valid Base64
+     * @param {string} text - The decoded text
+     * @returns {boolean} - Whether the text looks like readable text
+     */
+    isReadableText(text) {
+        if (!text) return false;
+        const printable = text.replace(/[^\x20-\x7e\t\r\n]/g, '').length;
+        return printable / text.length > 0.9;
+    }
+
+    /**
+     * Get a short excerpt around a match
+     * @param {string} text - The full text
+     * @param {number} index - The match position
+     * @param {number} length - The match length
+     * @returns {string} - The excerpt
+     */
+    getExcerpt(text, index, length) {
+        const start = Math.max(0, index - 30);
+        const end = Math.min(text.length, index + length + 30);
+        return `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRRedactionReview;
+}
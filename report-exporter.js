@@ -0,0 +1,203 @@
+/**
+ * XDR Story Parser - Report Export Module
+ * Turns the process tree into Markdown lists and self-contained HTML fragments for case notes and tickets
+ */
+
+class XDRReportExporter {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Collect the displayed tree, skipping hidden nodes but keeping their children
+     * @param {Array} items - The root items
+     * @returns {Array} - Nodes with the text data of the item and their children
+     */
+    collectTreeNodes(items) {
+        if (!Array.isArray(items)) return [];
+
+        const nodes = [];
+        items.forEach(item => {
+            if (!item) return;
+
+            const children = [
+                ...this.collectTreeNodes(item.children),
+                ...this.collectTreeNodes(item.nestedItems)
+            ];
+
+            // Same logic as renderNode: hidden nodes are skipped, their children move up one level
+            if (this.parser.isHiddenNode(item)) {
+                nodes.push(...children);
+            } else {
+                nodes.push({ data: this.parser.getNodeTextData(item), children: children });
+            }
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Format the tree as nested Markdown lists with fenced command lines
+     * @param {Array} items - The root items
+     * @param {string} title - The report title
+     * @returns {string} - The Markdown text
+     */
+    formatMarkdown(items, title = 'Process Tree') {
+        let output = `## ${this.escapeMarkdown(title)}\n\n`;
+        output += `_Generated: ${new Date().toLocaleString()}_\n\n`;
+
+        const nodes = this.collectTreeNodes(items);
+        if (nodes.length === 0) {
+            return output + '_No nodes in the current view._\n';
+        }
+
+        nodes.forEach(node => {
+            output += this.formatMarkdownNode(node, 0);
+        });
+
+        return output;
+    }
+
+    /**
+     * Format a node and its children as Markdown list items
+     * @param {Object} node - The collected node
+     * @param {number} level - The nesting level
+     * @returns {string} - The Markdown lines
+     */
+    formatMarkdownNode(node, level) {
+        const { data } = node;
+        const indent = '  '.repeat(level);
+        const contentIndent = `${indent}  `;
+
+        let line = `${indent}- ${data.icon} ${data.hasAlertsInTree ? '🚨 ' : ''}**${this.escapeMarkdown(data.title)}**`;
+        if (data.time) {
+            line += ` \`${data.time}\``;
+        }
+
+        // On its own line the subtitle would be joined to the title paragraph anyway
+        if (data.subtitle) {
+            line += ` — _${this.escapeMarkdown(data.subtitle)}_`;
+        }
+        line += '\n';
+
+        if (data.commandLine) {
+            const fence = this.getCodeFence(data.commandLine);
+            line += `${contentIndent}${fence}\n`;
+            data.commandLine.split(/\r?\n/).forEach(commandLine => {
+                line += `${contentIndent}${commandLine}\n`;
+            });
+            line += `${contentIndent}${fence}\n`;
+        }
+
+        data.alerts.forEach(alertName => {
+            line += `${contentIndent}- 🚨 **Alert:** ${this.escapeMarkdown(alertName)}\n`;
+        });
+
+        node.children.forEach(child => {
+            line += this.formatMarkdownNode(child, level + 1);
+        });
+
+        return line;
+    }
+
+    /**
+     * Format the tree as an HTML fragment with collapsible details elements and inline styles
+     * @param {Array} items - The root items
+     * @param {string} title - The report title
+     * @returns {string} - The HTML fragment
+     */
+    formatHtml(items, title = 'Process Tree') {
+        const nodes = this.collectTreeNodes(items);
+
+        let html = '<div class="xdr-process-tree" style="font-family: Segoe UI, Helvetica, Arial, sans-serif; font-size: 14px; line-height: 1.5;">\n';
+        html += `<h3 style="margin: 0 0 4px;">${this.escapeHtml(title)}</h3>\n`;
+        html += `<p style="margin: 0 0 12px; color: #64748b; font-size: 12px;">Generated: ${this.escapeHtml(new Date().toLocaleString())}</p>\n`;
+
+        if (nodes.length === 0) {
+            html += '<p><em>No nodes in the current view.</em></p>\n';
+        }
+
+        nodes.forEach(node => {
+            html += this.formatHtmlNode(node);
+        });
+
+        html += '</div>\n';
+        return html;
+    }
+
+    /**
+     * Format a node and its children as HTML
+     * @param {Object} node - The collected node
+     * @returns {string} - The HTML of the node
+     */
+    formatHtmlNode(node) {
+        const { data } = node;
+
+        let summary = `${data.icon} ${data.hasAlertsInTree ? '🚨 ' : ''}<strong>${this.escapeHtml(data.title)}</strong>`;
+        if (data.time) {
+            summary += ` <span style="color: #64748b; font-size: 12px;">${this.escapeHtml(data.time)}</span>`;
+        }
+
+        let body = '';
+        if (data.subtitle) {
+            body += `<div style="color: #64748b;"><em>${this.escapeHtml(data.subtitle)}</em></div>\n`;
+        }
+        if (data.commandLine) {
+            body += '<pre style="margin: 4px 0; padding: 6px 8px; background: #f1f5f9; border-radius: 4px; white-space: pre-wrap; word-break: break-all;">' +
+                `<code>${this.escapeHtml(data.commandLine)}</code></pre>\n`;
+        }
+        data.alerts.forEach(alertName => {
+            body += `<div style="color: #dc2626;">🚨 <strong>Alert:</strong> ${this.escapeHtml(alertName)}</div>\n`;
+        });
+        node.children.forEach(child => {
+            body += this.formatHtmlNode(child);
+        });
+
+        if (!body) {
+            return `<div style="margin: 2px 0 2px 1.2em;">${summary}</div>\n`;
+        }
+
+        return `<details open style="margin: 2px 0 2px 1.2em;">\n<summary style="cursor: pointer;">${summary}</summary>\n` +
+            `<div style="margin-left: 1.2em;">\n${body}</div>\n</details>\n`;
+    }
+
+    /**
+     * Get a code fence that is longer than any backtick run in the code
+     * @param {string} code - The code to fence
+     * @returns {string} - The fence
+     */
+    getCodeFence(code) {
+        const longestRun = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+        return '`'.repeat(Math.max(3, longestRun + 1));
+    }
+
+    /**
+     * Escape characters that Markdown would interpret as formatting
+     * @param {string} text - The text to escape
+     * @returns {string} - The escaped text
+     */
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_{}\[\]<>#|])/g, '\\$1');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - The text to escape
+     * @returns {string} - The escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRReportExporter;
+}
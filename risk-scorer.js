@@ -0,0 +1,214 @@
+/**
+ * XDR Story Parser - Risk Scoring Module
+ * Rates every node with heuristics to show where to look first
+ */
+
+class XDRRiskScorer {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        this.officeApps = new Set(['winword.exe', 'excel.exe', 'powerpnt.exe', 'outlook.exe', 'msaccess.exe', 'onenote.exe', 'mspub.exe', 'visio.exe']);
+        this.browsers = new Set(['chrome.exe', 'msedge.exe', 'firefox.exe', 'iexplore.exe', 'opera.exe', 'brave.exe']);
+        this.serverProcesses = new Set(['w3wp.exe', 'sqlservr.exe', 'httpd.exe', 'nginx.exe', 'tomcat.exe', 'java.exe', 'wmiprvse.exe']);
+        this.shells = new Set(['cmd.exe', 'powershell.exe', 'pwsh.exe', 'wscript.exe', 'cscript.exe', 'mshta.exe', 'bash.exe', 'wsl.exe']);
+        this.lolbins = new Set([
+            'certutil.exe', 'mshta.exe', 'regsvr32.exe', 'rundll32.exe', 'msbuild.exe', 'installutil.exe', 'regasm.exe',
+            'regsvcs.exe', 'bitsadmin.exe', 'wmic.exe', 'cmstp.exe', 'forfiles.exe', 'odbcconf.exe', 'msiexec.exe',
+            'hh.exe', 'pcalua.exe', 'mavinject.exe', 'msxsl.exe', 'ieexec.exe', 'esentutl.exe', 'expand.exe', 'ftp.exe'
+        ]);
+
+        this.userWritablePath = /\\(users\\[^\\]+\\(appdata|downloads|desktop|documents)|users\\public|programdata|windows\\temp|temp)\\/i;
+        this.encodedCommand = /(^|\s)[-/]e(c|n|nc\w*)?\s+[A-Za-z0-9+/=]{20,}/i;
+        this.obfuscationPatterns = [
+            { regex: /\^.*\^.*\^/, reason: 'Caret escaping' },
+            { regex: /`[a-z]/i, reason: 'Backtick escaping' },
+            { regex: /['"]\s*\+\s*['"]/, reason: 'String concatenation' },
+            { regex: /FromBase64String|\[char\]\s*\d+|-join\s*\(|-bxor/i, reason: 'Runtime decoding' },
+            { regex: /\b(iex|Invoke-Expression)\b/i, reason: 'Invoke-Expression' }
+        ];
+
+        this.integrityLevels = ['untrusted', 'low', 'medium', 'mediumplus', 'high', 'system'];
+
+        // Lower bounds of the bands, highest first
+        this.bands = [
+            { band: 'critical', minimum: 75 },
+            { band: 'high', minimum: 50 },
+            { band: 'medium', minimum: 25 },
+            { band: 'low', minimum: 1 }
+        ];
+    }
+
+    /**
+     * Score all nodes of a tree
+     * @param {Array} items - The root items
+     * @returns {WeakMap} - Item to score with score, band and reasons
+     */
+    scoreItems(items) {
+        const scores = new WeakMap();
+
+        const visit = (itemList, parentProcess) => {
+            if (!Array.isArray(itemList)) return;
+
+            itemList.forEach(item => {
+                if (!item) return;
+
+                scores.set(item, this.scoreItem(item, parentProcess));
+
+                const nextParent = this.getImageName(item) ? item : parentProcess;
+                visit(item.children, nextParent);
+                visit(item.nestedItems, nextParent);
+            });
+        };
+
+        visit(items, null);
+        return scores;
+    }
+
+    /**
+     * Score a node
+     * @param {Object} item - The item
+     * @param {Object|null} parentProcess - The closest process ancestor
+     * @returns {Object} - The score from 0 to 100, the band and the reasons with their points
+     */
+    scoreItem(item, parentProcess) {
+        const reasons = [];
+        const add = (points, reason) => reasons.push({ points, reason });
+
+        const entity = item.entity || {};
+        const image = this.getImageName(item);
+        const parentImage = parentProcess ? this.getImageName(parentProcess) : this.getFileName(entity.CreatingProcessName);
+        const commandLine = this.parser.unescapeForwardSlashes(this.parser.getNodeCommandLine(item) || '');
+
+        if (image) {
+            if (parentImage && this.shells.has(image)) {
+                if (this.officeApps.has(parentImage)) add(40, `Office application started a shell (${parentImage} → ${image})`);
+                else if (this.browsers.has(parentImage)) add(30, `Browser started a shell (${parentImage} → ${image})`);
+                else if (this.serverProcesses.has(parentImage)) add(30, `Server process started a shell (${parentImage} → ${image})`);
+            }
+
+            if (this.lolbins.has(image)) add(15, `Living-off-the-land binary (${image})`);
+
+            const imagePath = (entity.ImageFile || {}).FullPath || '';
+            if (this.userWritablePath.test(imagePath)) add(20, 'Runs from a user-writable folder');
+        }
+
+        if (this.encodedCommand.test(commandLine)) add(30, 'Encoded command line');
+
+        this.obfuscationPatterns.forEach(pattern => {
+            if (pattern.regex.test(commandLine)) add(10, `Obfuscation: ${pattern.reason}`);
+        });
+
+        if (commandLine.length > 1000) add(10, `Very long command line (${commandLine.length} characters)`);
+
+        if (/full/i.test(entity.TokenElevation || '')) add(10, 'Elevated token');
+
+        const integrity = this.getIntegrityRank(entity.IntegrityLevel);
+        const parentIntegrity = parentProcess ? this.getIntegrityRank((parentProcess.entity || {}).IntegrityLevel) : -1;
+        if (integrity !== -1 && parentIntegrity !== -1 && integrity > parentIntegrity) {
+            add(25, `Integrity jump (${parentProcess.entity.IntegrityLevel} → ${entity.IntegrityLevel})`);
+        }
+
+        const alertCount = (item.associatedAlerts || []).length;
+        if (alertCount > 0) add(25, `${alertCount} associated alert${alertCount === 1 ? '' : 's'}`);
+
+        const score = Math.min(100, reasons.reduce((sum, entry) => sum + entry.points, 0));
+        return { score: score, band: this.getBand(score), reasons: reasons };
+    }
+
+    /**
+     * Get the band of a score
+     * @param {number} score - The score
+     * @returns {string} - critical, high, medium, low or none
+     */
+    getBand(score) {
+        const match = this.bands.find(band => score >= band.minimum);
+        return match ? match.band : 'none';
+    }
+
+    /**
+     * Get the scored nodes of a tree
+     * @param {Array} items - The root items
+     * @param {WeakMap} scores - The scores from scoreItems
+     * @param {string} sortBy - score, time or title
+     * @returns {Array} - Entries with item, title, time and score, only nodes with a score above 0
+     */
+    getRankedNodes(items, scores, sortBy = 'score') {
+        const nodes = [];
+        this.parser.walkItems(items, item => {
+            const score = scores.get(item);
+            if (!score || score.score === 0 || this.parser.isHiddenNode(item)) return;
+            nodes.push({ item: item, title: this.parser.getNodeTitle(item), time: item.time || '', ...score });
+        });
+
+        const comparators = {
+            score: (a, b) => b.score - a.score || a.time.localeCompare(b.time),
+            time: (a, b) => a.time.localeCompare(b.time) || b.score - a.score,
+            title: (a, b) => a.title.localeCompare(b.title) || b.score - a.score
+        };
+        return nodes.sort(comparators[sortBy] || comparators.score);
+    }
+
+    /**
+     * Format the ranked nodes as text
+     * @param {Array} nodes - The ranked nodes from getRankedNodes
+     * @param {string} sortBy - The sort order for the header
+     * @param {string} modeText - The view mode text for the header
+     * @returns {string} - The list text
+     */
+    formatRankedNodes(nodes, sortBy, modeText = '') {
+        let output = `# Top Suspicious Nodes${modeText}\n`;
+        output += `# ${nodes.length} scored node${nodes.length === 1 ? '' : 's'}, sorted by ${sortBy}\n`;
+        output += `# Generated: ${new Date().toLocaleString()}\n\n`;
+
+        if (nodes.length === 0) {
+            return output + '# No suspicious nodes found\n';
+        }
+
+        nodes.forEach(node => {
+            output += `${String(node.score).padStart(3)}  ${node.band.toUpperCase().padEnd(8)}  ${node.title}${node.time ? `  (${this.parser.formatTime(node.time)})` : ''}\n`;
+            node.reasons.forEach(entry => {
+                output += `       +${String(entry.points).padEnd(3)} ${entry.reason}\n`;
+            });
+            output += '\n';
+        });
+
+        return output;
+    }
+
+    /**
+     * Get the rank of an integrity level
+     * @param {string} level - The integrity level, e.g. Medium or System
+     * @returns {number} - The rank, or -1 if unknown
+     */
+    getIntegrityRank(level) {
+        if (!level || typeof level !== 'string') return -1;
+        return this.integrityLevels.indexOf(level.toLowerCase().replace(/[\s_-]/g, ''));
+    }
+
+    /**
+     * Get the lowercase image file name of a process
+     * @param {Object} item - The item
+     * @returns {string|null} - The file name
+     */
+    getImageName(item) {
+        const imageFile = (item.entity || {}).ImageFile || {};
+        return this.getFileName(imageFile.FullPath || imageFile.FileName);
+    }
+
+    /**
+     * Get the lowercase file name of a path
+     * @param {string} path - The path
+     * @returns {string|null} - The last path segment
+     */
+    getFileName(path) {
+        if (!path || typeof path !== 'string') return null;
+        return (path.split(/[\\/]/).pop() || '').toLowerCase() || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRRiskScorer;
+}
@@ -19,16 +19,53 @@ class XDRTreeVisualizer {
             registry: 0,
             others: 0
         };
-        this.expandedNodes = new Set();
-        this.anonymizationInfo = {
-            usernames: new Set(),
-            domains: new Set(),
-            deviceIds: new Set(),
-            deviceNames: new Set(),
-            sids: new Set()
-        };
+        this.parser = new XDRStoryParser();
+        this.iocExtractor = new XDRIocExtractor(this.parser);
+        this.lastIocs = [];
+        this.reportExporter = new XDRReportExporter(this.parser);
+        this.lastReport = null;
+        this.graphExporter = new XDRGraphExporter(this.parser);
+        this.stixExporter = new XDRStixExporter(this.parser);
+        this.lastStixBundle = '';
+        this.kqlGenerator = new XDRKqlGenerator(this.parser);
+        this.lastHuntingQueries = '';
+        this.sigmaGenerator = new XDRSigmaGenerator(this.parser);
+        this.lastSigmaRule = '';
+        this.attackTagger = new XDRAttackTagger(this.parser);
+        this.riskScorer = new XDRRiskScorer(this.parser);
+        this.deobfuscator = new XDRPowerShellDeobfuscator();
+        this.riskScores = new WeakMap();
+        this.annotations = new XDRAnnotations(this.parser);
+        this.storyKey = null;
+        this.originalNodeIds = new Map();
+        this.workspace = new XDRWorkspace(this.parser);
+        this.storyLibrary = new XDRStoryLibrary(this.parser);
+        this.libraryEntries = [];
+        this.storyDiff = new XDRStoryDiff(this.parser);
+        this.storyLabel = '';
+        this.compareBase = null;
+        this.redactionReview = new XDRRedactionReview(this.parser);
+        this.lastRedactionReport = null;
+        this.searchQuery = '';
+        this.searchResults = [];
+        this.searchIndex = -1;
+        this.filter = this.parser.createEmptyFilter();
+        this.displayItems = [];
+        this.treeRows = new XDRTreeRows(this.parser);
+        this.renderedRows = { first: 0, last: 0 };
+        this.searchTexts = new WeakMap();
+        this.searchMatches = new Set();
+        this.annotationEditor = null;
+        this.openingDetails = null;
+        this.jumpTarget = null;
+        this.jumpTargetTimeout = null;
+        this.timeline = null;
+        this.isTimelineVisible = false;
         this.initializeEventListeners();
         this.initializeTheme();
+        this.initializeRedactionOptions();
+        this.initializeAttackRules();
+        this.initializeStoryLibrary();
     }
 
     /**
@@ -46,7 +83,7 @@ class XDRTreeVisualizer {
         // File input change event
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFile(e.target.files[0]);
+                this.handleFiles(e.target.files);
             }
         });
 
@@ -75,7 +112,7 @@ class XDRTreeVisualizer {
 
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFile(files[0]);
+                this.handleFiles(files);
             }
         });
 
@@ -98,6 +135,17 @@ class XDRTreeVisualizer {
             }
         });
 
+        // Story to compare the loaded one with
+        const compareInput = document.getElementById('compare-file-input');
+        if (compareInput) {
+            compareInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.compareWithFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
         // Anonymization toggle
         const anonymizeCheckbox = document.getElementById('anonymize-checkbox');
         if (anonymizeCheckbox) {
@@ -105,6 +153,72 @@ class XDRTreeVisualizer {
                 this.toggleAnonymization(e.target.checked);
             });
         }
+
+        // Tree filters
+        const filterUser = document.getElementById('filter-user');
+        if (filterUser) {
+            filterUser.addEventListener('change', (e) => this.setFilter({ user: e.target.value }));
+        }
+        ['from', 'to'].forEach(bound => {
+            const input = document.getElementById(`filter-${bound}`);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const timestamp = e.target.value ? new Date(e.target.value).getTime() : null;
+                    this.setFilter({ [bound]: isNaN(timestamp) ? null : timestamp });
+                });
+            }
+        });
+        const filterAlerts = document.getElementById('filter-alerts');
+        if (filterAlerts) {
+            filterAlerts.addEventListener('change', (e) => this.setFilter({ alertsOnly: e.target.checked }));
+        }
+        document.querySelectorAll('.legend-item[data-filter-type]').forEach(legendItem => {
+            legendItem.addEventListener('click', () => this.toggleTypeFilter(legendItem.dataset.filterType));
+        });
+        const alertLegend = document.querySelector('.legend-item[data-filter-alerts]');
+        if (alertLegend) {
+            alertLegend.addEventListener('click', () => this.setFilter({ alertsOnly: !this.filter.alertsOnly }));
+        }
+
+        // Tree search, Enter steps to the next result and Shift+Enter to the previous one
+        const searchInput = document.getElementById('tree-search-input');
+        if (searchInput) {
+            let searchTimeout = null;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => this.searchTree(e.target.value), 250);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    clearTimeout(searchTimeout);
+                    if (e.target.value.trim() !== this.searchQuery) {
+                        this.searchTree(e.target.value);
+                    } else if (e.shiftKey) {
+                        this.previousSearchResult();
+                    } else {
+                        this.nextSearchResult();
+                    }
+                } else if (e.key === 'Escape') {
+                    this.clearSearch();
+                }
+            });
+        }
+
+        // Only the rows in view are rendered, render again once per frame while scrolling
+        const treeContent = document.getElementById('tree-content');
+        if (treeContent) {
+            let renderFrame = null;
+            const scheduleRender = () => {
+                if (renderFrame) return;
+                renderFrame = requestAnimationFrame(() => {
+                    renderFrame = null;
+                    this.renderVisibleRows();
+                });
+            };
+            treeContent.addEventListener('scroll', scheduleRender);
+            window.addEventListener('resize', scheduleRender);
+        }
     }
 
     /**
@@ -112,63 +226,64 @@ class XDRTreeVisualizer {
      * @param {File} file - The selected file
      */
     async handleFile(file) {
-        // Validate file type
-        if (!this.isValidFileType(file.name)) {
-            this.showError('Please select a valid JSON or JSONC file.');
-            return;
-        }
+        return this.handleFiles([file]);
+    }
 
-        // Validate file size (max 50MB)
-        if (file.size > 50 * 1024 * 1024) {
-            this.showError('File size too large. Please select a file smaller than 50MB.');
-            return;
+    /**
+     * Handle selection of one or more story files
+     * Several files are treated as the alert stories of one incident and merged into one tree,
+     * a workspace file restores the saved story and view
+     * @param {FileList|Array<File>} fileList - The selected files
+     */
+    async handleFiles(fileList) {
+        const files = Array.from(fileList);
+
+        for (const file of files) {
+            // Validate file type
+            if (!this.parser.isValidFileType(file.name)) {
+                this.showError(`Please select a valid JSON or JSONC file (${file.name}).`);
+                return;
+            }
+
+            // Validate file size (max 50MB)
+            if (file.size > 50 * 1024 * 1024) {
+                this.showError(`File size too large (${file.name}). Please select a file smaller than 50MB.`);
+                return;
+            }
         }
 
         this.showLoading();
 
         try {
-            const text = await this.readFile(file);
-
-            // Clean JSONC content first
-            let jsonText = this.fixForwardSlashes(text);
-
-            // Try parsing with basic cleaning first
-            try {
-                this.originalData = JSON.parse(jsonText);
-                this.data = JSON.parse(jsonText);
-            } catch (parseError) {
-                console.warn('Basic parsing failed, applying forward slash fix:', parseError.message);
+            const stories = [];
+            const importedAnnotations = {};
+            for (const file of files) {
+                const text = await this.readFile(file);
+                const story = this.parser.parseStoryText(text);
+
+                if (this.workspace.isWorkspace(story)) {
+                    if (files.length > 1) {
+                        throw new Error(`${file.name}: Load a workspace file on its own`);
+                    }
+                    this.restoreWorkspace(story, file.name);
+                    return;
+                }
 
-                // Simple fix: escape forward slashes in JSON string values
-                jsonText = this.fixForwardSlashes(jsonText);
+                // Annotations a colleague exported with the story
+                Object.assign(importedAnnotations, this.annotations.takeSidecar(story));
 
                 try {
-                    this.originalData = JSON.parse(jsonText);
-                    this.data = JSON.parse(jsonText);
-                } catch (secondParseError) {
-                    console.warn('Forward slash fix failed, attempting deep cleaning:', secondParseError.message);
-
-                    // Fallback to existing deep cleaning
-                    jsonText = this.deepCleanJson(jsonText);
-
-                    try {
-                        this.originalData = JSON.parse(jsonText);
-                        this.data = JSON.parse(jsonText);
-                    } catch (thirdParseError) {
-                        console.warn('Deep cleaning failed, attempting JSON repair:', thirdParseError.message);
-
-                        // Last resort: try to repair the JSON structure
-                        jsonText = this.repairJson(jsonText);
-                        this.originalData = JSON.parse(jsonText);
-                        this.data = JSON.parse(jsonText);
-                    }
+                    this.parser.validateDataStructure(story);
+                } catch (validationError) {
+                    throw new Error(`${file.name}: ${validationError.message}`);
                 }
+
+                stories.push({ label: file.name.replace(/\.jsonc?$/i, ''), data: story });
             }
 
-            this.validateDataStructure();
-            this.extractAnonymizationInfo();
-            this.processData();
-            this.renderTree();
+            const label = files.map(file => file.name).join(', ');
+            this.loadStory(stories.length === 1 ? stories[0].data : this.parser.mergeStories(stories), importedAnnotations, label);
+            this.addToStoryLibrary(label);
 
         } catch (error) {
             console.error('Error processing file:', error);
@@ -177,28 +292,28 @@ class XDRTreeVisualizer {
     }
 
     /**
-     * Fix forward slashes by escaping them throughout the JSON
-     * @param {string} jsonText - JSON text that may contain unescaped forward slashes
-     * @returns {string} - JSON text with all forward slashes escaped
+     * Show a parsed story
+     * @param {Object} story - The story
+     * @param {Object} importedAnnotations - Annotations from the sidecar of the loaded files
+     * @param {string} label - The file name(s) of the story
      */
-    fixForwardSlashes(jsonText) {
-        console.log('Fixing forward slashes by escaping all / to \/...');
+    loadStory(story, importedAnnotations = {}, label = '') {
+        this.originalData = story;
+        this.storyLabel = label;
+        // A new story ends the comparison, compareWithFile sets it again
+        this.compareBase = null;
+        this.data = JSON.parse(JSON.stringify(this.originalData));
 
-        // Global replacement: / -> \/
-        let fixed = jsonText.replace(/\//g, '\\/');
+        this.parser.validateDataStructure(this.data);
+        this.parser.extractAnonymizationInfo(this.data);
+        this.updateOriginalNodeIds();
+        this.loadAnnotations(importedAnnotations);
 
-        console.log('Forward slash fix complete');
-        return fixed;
-    }
+        // Filters of the previous story would hide the new one
+        this.filter = this.parser.createEmptyFilter();
 
-    /**
-     * Check if file type is valid
-     * @param {string} filename - The filename to check
-     * @returns {boolean} - Whether the file type is valid
-     */
-    isValidFileType(filename) {
-        const validExtensions = ['.json', '.jsonc'];
-        return validExtensions.some(ext => filename.toLowerCase().endsWith(ext));
+        this.processData();
+        this.renderTree();
     }
 
     /**
@@ -215,246 +330,6 @@ class XDRTreeVisualizer {
         });
     }
 
-    /**
-     * Clean JSONC content by removing comments, trailing commas, and handling control characters
-     * @param {string} text - The JSONC text to clean
-     * @returns {string} - Clean JSON text
-     */
-    cleanJsonC(text) {
-        console.log('Starting conservative JSON cleaning...');
-
-        // Basic JSONC cleaning
-        let cleaned = text
-            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove /* */ comments
-            .replace(/\/\/.*$/gm, '') // Remove // comments
-            .replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
-
-        console.log('JSON cleaning completed');
-        return cleaned;
-    }
-
-    /**
-     * Deep clean JSON with more aggressive fixes for problematic content
-     * @param {string} text - The JSON text to deep clean
-     * @returns {string} - Deeply cleaned JSON text
-     */
-    deepCleanJson(text) {
-        let cleaned = text;
-
-        try {
-            console.log('Starting conservative deep JSON cleaning...');
-
-            // Handle structural issues
-            cleaned = cleaned
-                .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-                .replace(/([{\[])\s*,/g, '$1') // Remove commas right after opening brackets
-                .trim();
-
-        } catch (cleaningError) {
-            console.warn('Deep cleaning encountered issues:', cleaningError);
-        }
-
-        return cleaned;
-    }
-
-    /**
-     * Last resort JSON repair for severely malformed JSON
-     * @param {string} text - The malformed JSON text
-     * @returns {string} - Repaired JSON text
-     */
-    repairJson(text) {
-        console.log('Attempting JSON repair...');
-
-        try {
-            // Try to extract and repair the main structure
-            let repaired = text.trim();
-
-            // Find the main JSON object boundaries more carefully
-            let depth = 0;
-            let start = -1;
-            let end = -1;
-            let inString = false;
-            let escape = false;
-
-            for (let i = 0; i < repaired.length; i++) {
-                const char = repaired[i];
-
-                if (escape) {
-                    escape = false;
-                    continue;
-                }
-
-                if (char === '\\') {
-                    escape = true;
-                    continue;
-                }
-
-                if (char === '"' && !escape) {
-                    inString = !inString;
-                    continue;
-                }
-
-                if (!inString) {
-                    if (char === '{') {
-                        if (start === -1) start = i;
-                        depth++;
-                    } else if (char === '}') {
-                        depth--;
-                        if (depth === 0 && start !== -1) {
-                            end = i;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            if (start !== -1 && end !== -1) {
-                repaired = repaired.substring(start, end + 1);
-                console.log('Extracted main JSON object');
-            }
-
-            repaired = repaired
-                // Fix incomplete key-value pairs
-                .replace(/:\s*$/gm, ': ""')
-                .replace(/:\s*,/g, ': "",')
-                .replace(/:\s*}/g, ': ""}')
-                .replace(/:\s*]/g, ': ""]')
-                // Fix incomplete arrays and objects
-                .replace(/,\s*}/g, '}')
-                .replace(/,\s*]/g, ']')
-                // Fix missing quotes on keys
-                .replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":')
-                // Remove trailing commas
-                .replace(/,(\s*[}\]])/g, '$1');
-
-            console.log('JSON repair completed');
-            return repaired;
-
-        } catch (repairError) {
-            console.error('JSON repair failed:', repairError);
-            // Ultimate fallback: return a minimal valid JSON
-            return '{"error": "Failed to parse malformed JSON", "items": []}';
-        }
-    }
-
-    /**
-     * Extract information that should be anonymized
-     */
-    extractAnonymizationInfo() {
-        this.anonymizationInfo = {
-            usernames: new Set(),
-            domains: new Set(),
-            deviceIds: new Set(),
-            deviceNames: new Set(),
-            sids: new Set()
-        };
-
-        // Extract from main user and device info
-        if (this.data.mainUser) {
-            if (this.data.mainUser.name && !this.isSystemAccount(this.data.mainUser.name)) {
-                this.anonymizationInfo.usernames.add(this.data.mainUser.name);
-            }
-            if (this.data.mainUser.domainName && !this.isSystemDomain(this.data.mainUser.domainName)) {
-                this.anonymizationInfo.domains.add(this.data.mainUser.domainName);
-            }
-            if (this.data.mainUser.sid) this.anonymizationInfo.sids.add(this.data.mainUser.sid);
-        }
-
-        if (this.data.deviceId) this.anonymizationInfo.deviceIds.add(this.data.deviceId);
-        if (this.data.deviceName) {
-            // Add the full device name for redaction
-            this.anonymizationInfo.deviceNames.add(this.data.deviceName);
-
-            // For FQDN device names, also add just the hostname part
-            const deviceParts = this.data.deviceName.split('.');
-            if (deviceParts.length > 1) {
-                // Add just the hostname (first part) for separate redaction
-                const hostname = deviceParts[0];
-                this.anonymizationInfo.deviceNames.add(hostname);
-
-                // Domain extraction - only add proper domains, not infrastructure components
-                if (deviceParts.length >= 3) {
-                    const potentialDomain = deviceParts.slice(-2).join('.');
-                    // Only add if it looks like a proper domain and isn't a system domain
-                    if (potentialDomain.match(/^[a-zA-Z0-9-]+\.[a-zA-Z]{2,}$/) &&
-                        !this.isSystemDomain(potentialDomain)) {
-                        this.anonymizationInfo.domains.add(potentialDomain);
-                    }
-                }
-            }
-        }
-
-        // Extract from all items recursively
-        if (this.data.items) {
-            this.data.items.forEach(item => this.extractItemAnonymizationInfo(item));
-        }
-    }
-
-    /**
-     * Extract anonymization info from individual items
-     */
-    extractItemAnonymizationInfo(item) {
-        if (!item) return;
-
-        // Extract from entity
-        if (item.entity) {
-            if (item.entity.User) {
-                // Skip system usernames
-                if (item.entity.User.UserName && !this.isSystemAccount(item.entity.User.UserName)) {
-                    this.anonymizationInfo.usernames.add(item.entity.User.UserName);
-                }
-                // Skip system domains
-                if (item.entity.User.DomainName && !this.isSystemDomain(item.entity.User.DomainName)) {
-                    this.anonymizationInfo.domains.add(item.entity.User.DomainName);
-                }
-                if (item.entity.User.Sid) this.anonymizationInfo.sids.add(item.entity.User.Sid);
-            }
-        }
-
-        // Process children and nested items
-        if (item.children) {
-            item.children.forEach(child => this.extractItemAnonymizationInfo(child));
-        }
-        if (item.nestedItems) {
-            item.nestedItems.forEach(nested => this.extractItemAnonymizationInfo(nested));
-        }
-    }
-
-    /**
-     * Check if a username is a system account that shouldn't be redacted
-     */
-    isSystemAccount(username) {
-        const systemAccounts = [
-            'SYSTEM',
-            'LOCAL SERVICE',
-            'NETWORK SERVICE',
-            'ANONYMOUS LOGON',
-            'SERVICE',
-            'BATCH',
-            'DIALUP',
-            'EVERYONE',
-            'AUTHENTICATED USERS',
-            'IUSR',
-            'IWAM',
-            'ASPNET',
-            'KRBTGT',
-            'GUEST'
-        ];
-        return systemAccounts.includes(username.toUpperCase());
-    }
-
-    /**
-     * Check if a domain name is a system domain that shouldn't be redacted
-     */
-    isSystemDomain(domainName) {
-        const systemDomains = [
-            'NT AUTHORITY',
-            'NT SERVICE',
-            'BUILTIN'
-        ];
-        return systemDomains.includes(domainName.toUpperCase());
-    }
-
     /**
      * Toggle anonymization on/off
      */
@@ -462,118 +337,29 @@ class XDRTreeVisualizer {
         this.isAnonymized = enable;
 
         if (enable) {
-            this.data = this.createAnonymizedData(JSON.parse(JSON.stringify(this.originalData)));
+            this.data = this.parser.createAnonymizedData(JSON.parse(JSON.stringify(this.originalData)));
         } else {
             this.data = JSON.parse(JSON.stringify(this.originalData));
+            this.closeRedactionReview();
         }
+        this.updateOriginalNodeIds();
 
         this.updateInvestigationInfo();
+        this.updateMappingButton();
         this.renderTree();
     }
 
     /**
-     * Create anonymized version of the data
-     */
-    createAnonymizedData(data) {
-        const anonymized = JSON.parse(JSON.stringify(data));
-
-        // Recursively anonymize all string values in the entire JSON structure
-        this.deepAnonymizeObject(anonymized);
-
-        return anonymized;
-    }
-
-    /**
-     * Recursively anonymize all string values in an object/array
+     * Show the mapping download only when pseudonyms are in use
      */
-    deepAnonymizeObject(obj) {
-        if (obj === null || obj === undefined) return;
-
-        if (typeof obj === 'string') {
-            return this.anonymizeString(obj);
-        }
-
-        if (Array.isArray(obj)) {
-            for (let i = 0; i < obj.length; i++) {
-                if (typeof obj[i] === 'string') {
-                    obj[i] = this.anonymizeString(obj[i]);
-                } else if (typeof obj[i] === 'object') {
-                    this.deepAnonymizeObject(obj[i]);
-                }
-            }
-        } else if (typeof obj === 'object') {
-            for (const key in obj) {
-                if (obj.hasOwnProperty(key)) {
-                    if (typeof obj[key] === 'string') {
-                        obj[key] = this.anonymizeString(obj[key]);
-                    } else if (typeof obj[key] === 'object') {
-                        this.deepAnonymizeObject(obj[key]);
-                    }
-                }
-            }
+    updateMappingButton() {
+        const mappingBtn = document.getElementById('download-mapping-btn');
+        if (mappingBtn) {
+            const showMapping = this.isAnonymized && this.parser.redactionMode === 'pseudonymize';
+            mappingBtn.style.display = showMapping ? 'inline-block' : 'none';
         }
     }
 
-    /**
-     * Anonymize individual item (legacy method - now uses deepAnonymizeObject)
-     */
-    anonymizeItem(item) {
-        if (!item) return;
-        this.deepAnonymizeObject(item);
-    }
-
-    /**
-     * Anonymize a string by replacing sensitive information
-     */
-    anonymizeString(str) {
-        let result = str;
-
-        // Replace device names first (before domains) to handle FQDNs properly
-        this.anonymizationInfo.deviceNames.forEach(deviceName => {
-            const regex = new RegExp(this.escapeRegExp(deviceName), 'gi');
-            result = result.replace(regex, 'REDACTED');
-        });
-
-        // Replace usernames
-        this.anonymizationInfo.usernames.forEach(username => {
-            const regex = new RegExp(this.escapeRegExp(username), 'gi');
-            result = result.replace(regex, 'REDACTED');
-        });
-
-        // Replace domains - use word boundaries for short domains to prevent partial matches
-        this.anonymizationInfo.domains.forEach(domain => {
-            // For very short domain components (3 chars or less), use word boundaries
-            if (domain.length <= 3) {
-                const regex = new RegExp('\\b' + this.escapeRegExp(domain) + '\\b', 'gi');
-                result = result.replace(regex, 'REDACTED');
-            } else {
-                const regex = new RegExp(this.escapeRegExp(domain), 'gi');
-                result = result.replace(regex, 'REDACTED');
-            }
-        });
-
-        // Replace device IDs
-        this.anonymizationInfo.deviceIds.forEach(deviceId => {
-            const regex = new RegExp(this.escapeRegExp(deviceId), 'gi');
-            result = result.replace(regex, 'REDACTED');
-        });
-
-        // Replace SIDs
-        this.anonymizationInfo.sids.forEach(sid => {
-            const regex = new RegExp(this.escapeRegExp(sid), 'gi');
-            result = result.replace(regex, 'REDACTED');
-        });
-
-        return result;
-    }
-
-    /**
-     * Escape special regex characters
-     */
-    escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
-
     /**
      * Update the investigation info display
      */
@@ -603,7 +389,7 @@ class XDRTreeVisualizer {
             // Add redacted styling if anonymized
             const valueElements = investigationInfo.querySelectorAll('.info-value');
             valueElements.forEach(el => {
-                if (this.isAnonymized && el.textContent === 'REDACTED') {
+                if (this.isAnonymized && this.parser.isReplacementToken(el.textContent)) {
                     el.classList.add('redacted');
                 } else {
                     el.classList.remove('redacted');
@@ -614,97 +400,16 @@ class XDRTreeVisualizer {
         }
     }
 
-    /**
-     * Validate that the data structure matches expected XDR story format
-     */
-    validateDataStructure() {
-        if (!this.data) {
-            throw new Error('No data found in file');
-        }
-
-        if (!this.data.items || !Array.isArray(this.data.items)) {
-            throw new Error('Invalid data structure: missing or invalid "items" array');
-        }
-
-        if (this.data.items.length === 0) {
-            throw new Error('No items found in the data');
-        }
-    }
-
     /**
      * Process the data and calculate statistics
      */
     processData() {
-        // Reset statistics
-        this.stats = {
-            total: 0,
-            processes: 0,
-            files: 0,
-            accounts: 0,
-            networks: 0,
-            registry: 0,
-            others: 0
-        };
-
-        // Process all items recursively
-        if (this.data && this.data.items) {
-            this.data.items.forEach(item => this.countItems(item));
-        }
+        // Count all items recursively
+        this.stats = this.parser.computeStats(this.data ? this.data.items : null);
 
         console.log('Data processing complete:', this.stats);
     }
 
-    /**
-     * Recursively count items by type
-     * @param {Object} item - The item to count
-     */
-    countItems(item) {
-        if (!item) return;
-
-        this.stats.total++;
-
-        // Determine item type
-        const type = this.getItemType(item);
-        switch (type) {
-            case 'process':
-                this.stats.processes++;
-                break;
-            case 'file':
-                this.stats.files++;
-                break;
-            case 'account':
-                this.stats.accounts++;
-                break;
-            case 'network':
-                this.stats.networks++;
-                break;
-            case 'registry':
-                this.stats.registry++;
-                break;
-            default:
-                this.stats.others++;
-        }
-
-        // Process children recursively
-        if (item.children && Array.isArray(item.children)) {
-            item.children.forEach(child => this.countItems(child));
-        }
-
-        // Process nested items
-        if (item.nestedItems && Array.isArray(item.nestedItems)) {
-            item.nestedItems.forEach(nested => this.countItems(nested));
-        }
-    }
-
-    /**
-     * Determine the type of an item
-     * @param {Object} item - The item to analyze
-     * @returns {string} - The item type
-     */
-    getItemType(item) {
-        return item.type || item.actionType || 'other';
-    }
-
     /**
      * Render the complete tree visualization
      */
@@ -723,20 +428,39 @@ class XDRTreeVisualizer {
         // Update investigation info
         this.updateInvestigationInfo();
 
+        // Show the tree container first, the rows in view are measured while rendering
+        processTree.style.display = 'block';
+
+        // Show the tree visualization
+        const treeVisualization = document.querySelector('.tree-visualization');
+        if (treeVisualization) {
+            treeVisualization.style.display = 'block';
+        }
+
         // Clear previous content
         treeContainer.innerHTML = '';
+        this.annotationEditor = null;
 
-        // Render tree nodes - all children will be shown by default
+        // Index the tree nodes - all children will be shown by default
         if (this.data && this.data.items) {
-            const fragment = document.createDocumentFragment();
-            this.data.items.forEach(item => {
-                this.renderNode(item, fragment, 0);
-            });
-            treeContainer.appendChild(fragment);
+            this.displayItems = this.getDisplayItems();
+            this.riskScores = this.riskScorer.scoreItems(this.displayItems);
+            this.treeRows.setItems(this.displayItems);
+
+            // Keep the zoom only while the zoomed node is still shown
+            if (this.isZoomedMode && !this.findDisplayedItem(this.zoomedNodeId)) {
+                this.isZoomedMode = false;
+                this.zoomedNodeId = null;
+                this.removeZoomOutButton();
+            }
+
+            const rowsElement = document.createElement('div');
+            rowsElement.className = 'tree-rows';
+            treeContainer.appendChild(rowsElement);
+            this.refreshTreeRows();
         }
 
-        // Show the tree container
-        processTree.style.display = 'block';
+        this.updateFilterControls();
 
         // Show the type legend
         const typeLegend = document.querySelector('.type-legend');
@@ -744,17 +468,16 @@ class XDRTreeVisualizer {
             typeLegend.style.display = 'block';
         }
 
-        // Show the tree visualization
-        const treeVisualization = document.querySelector('.tree-visualization');
-        if (treeVisualization) {
-            treeVisualization.style.display = 'block';
-        }
-
-        // Show the download button
+        // Show the download buttons
         const downloadBtn = document.getElementById('download-json-btn');
         if (downloadBtn) {
             downloadBtn.style.display = 'inline-block';
         }
+        const workspaceBtn = document.getElementById('save-workspace-btn');
+        if (workspaceBtn) {
+            workspaceBtn.style.display = 'inline-block';
+        }
+        this.updateCompareControls();
 
         // Show the analysis tools section
         const analysisSection = document.getElementById('analysis-tools');
@@ -765,6 +488,15 @@ class XDRTreeVisualizer {
         // Minimize the upload section
         this.minimizeUploadSection();
 
+        // Re-apply an active search to the new nodes without jumping to the first result
+        if (this.searchQuery) {
+            this.searchTree(this.searchQuery, false);
+        }
+
+        if (this.isTimelineVisible) {
+            this.renderTimeline();
+        }
+
         // Scroll to tree with smooth animation
         setTimeout(() => {
             processTree.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -790,73 +522,224 @@ class XDRTreeVisualizer {
     }
 
     /**
-     * Get a consistent node ID
-     * @param {Object} node - The node
-     * @returns {string} - Consistent node ID
+     * Flatten the current view into rows again, after expanding, collapsing or zooming
      */
-    getNodeId(node) {
-        return node.id || `node-${node.title?.main || 'unknown'}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    refreshTreeRows() {
+        this.treeRows.buildRows(this.getViewItems());
+        this.renderVisibleRows(true);
     }
 
     /**
-     * Render a single node and its children
-     * @param {Object} node - The node to render
-     * @param {DocumentFragment|HTMLElement} container - The container to append to
-     * @param {number} level - The nesting level
+     * Render the rows in and around the visible area of the tree
+     * The rows above and below are replaced by padding with their measured or estimated height
+     * @param {boolean} force - Render even if the same rows are already shown, e.g. after a state change
      */
-    renderNode(node, container, level) {
-        if (!node) return;
-
-        // Filter out specific node types we don't want to display
-        const nodeTitle = this.getNodeTitle(node);
-        const nodeSubtitle = this.getNodeSubtitle(node);
+    renderVisibleRows(force = false) {
+        const treeContainer = document.getElementById('tree-content');
+        const rowsElement = treeContainer ? treeContainer.querySelector(':scope > .tree-rows') : null;
+        if (!rowsElement) return;
+
+        const rows = this.treeRows.rows;
+        // The page can be taller than the scroll area while the tree is still short
+        const viewHeight = Math.max(treeContainer.clientHeight, window.innerHeight);
+        const viewTop = treeContainer.scrollTop - this.getRowsStart();
+        const { first, last } = this.treeRows.getWindow(viewTop, viewHeight);
+
+        if (!force && first === this.renderedRows.first && last === this.renderedRows.last) return;
+
+        // Keep what was typed into the annotation editor when its row is rendered again
+        const editor = rowsElement.querySelector('.annotation-editor');
+        if (editor && this.annotationEditor) {
+            this.annotationEditor.draft = this.readAnnotationEditor(editor);
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (let index = first; index < last; index++) {
+            fragment.appendChild(this.renderRow(rows[index], index));
+        }
+        rowsElement.replaceChildren(fragment);
+        this.renderedRows = { first, last };
+        this.openingDetails = null;
+
+        const offsets = this.treeRows.getOffsets();
+        rowsElement.style.paddingTop = `${offsets[first]}px`;
+        rowsElement.style.paddingBottom = `${offsets[rows.length] - offsets[last]}px`;
+        const anchorIndex = this.treeRows.getRowIndexAt(viewTop);
+        const anchorOffset = offsets[anchorIndex];
+
+        // Measure the rendered rows, the gap to the next row is part of the height
+        const rowElements = Array.from(rowsElement.children);
+        const rowsBottom = rowsElement.getBoundingClientRect().bottom - parseFloat(rowsElement.style.paddingBottom);
+        let heightChanged = false;
+        rowElements.forEach((rowElement, index) => {
+            const nextTop = index + 1 < rowElements.length ? rowElements[index + 1].getBoundingClientRect().top : rowsBottom;
+            heightChanged = this.treeRows.setRowHeight(rows[first + index], nextTop - rowElement.getBoundingClientRect().top) || heightChanged;
+        });
 
-        // Skip nodes with "PE metadata" or "User" in their intro/subtitle
-        if (nodeSubtitle && (nodeSubtitle.includes('PE metadata') || nodeSubtitle.includes('User') || nodeSubtitle.includes('Web data file'))) {
-            // Still process children if any
-            if (node.children && Array.isArray(node.children)) {
-                node.children.forEach(child => {
-                    this.renderNode(child, container, level);
-                });
-            }
-            if (node.nestedItems && Array.isArray(node.nestedItems)) {
-                node.nestedItems.forEach(nested => {
-                    this.renderNode(nested, container, level);
-                });
+        if (heightChanged) {
+            const measuredOffsets = this.treeRows.getOffsets();
+            rowsElement.style.paddingTop = `${measuredOffsets[first]}px`;
+            rowsElement.style.paddingBottom = `${measuredOffsets[rows.length] - measuredOffsets[last]}px`;
+            // Keep the first visible row in place when the rows above it turned out higher or lower
+            if (viewTop > 0 && measuredOffsets[anchorIndex] !== anchorOffset) {
+                treeContainer.scrollTop += measuredOffsets[anchorIndex] - anchorOffset;
             }
-            return;
+            // Rows may have turned out smaller than estimated and leave a gap
+            requestAnimationFrame(() => this.renderVisibleRows());
         }
+    }
 
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'tree-node';
-        const nodeId = this.getNodeId(node);
-        nodeDiv.dataset.nodeId = nodeId;
+    /**
+     * Get the position of the first row in the scroll area of the tree
+     * @returns {number} - The position in pixels
+     */
+    getRowsStart() {
+        const treeContainer = document.getElementById('tree-content');
+        const rowsElement = treeContainer ? treeContainer.querySelector(':scope > .tree-rows') : null;
+        if (!rowsElement) return 0;
 
-        // Create tree structure visualization
-        const indent = this.createIndentation(level);
+        return rowsElement.getBoundingClientRect().top - treeContainer.getBoundingClientRect().top -
+            treeContainer.clientTop + treeContainer.scrollTop;
+    }
 
-        // Get node information
-        const type = this.getItemType(node);
-        const icon = this.getNodeIcon(type, node);
-        const title = this.getNodeTitle(node);
-        const subtitle = this.getNodeSubtitle(node);
-        const commandLine = this.getNodeCommandLine(node);
-        const time = this.formatTime(node.time);
+    /**
+     * Scroll a row into the middle of the tree
+     * @param {number} index - The row index
+     */
+    scrollToRow(index) {
+        const treeContainer = document.getElementById('tree-content');
+        const row = this.treeRows.rows[index];
+        if (!treeContainer || !row) return;
 
-        // Check if this node or any descendants have alerts
-        const hasAlertsInTree = this.nodeHasAlertsInTree(node);
+        // Jump close to the row first, so it is rendered and can be scrolled to exactly
+        const offsets = this.treeRows.getOffsets();
+        const rowHeight = this.treeRows.getRowHeight(row);
+        treeContainer.scrollTop = this.getRowsStart() + offsets[index] - (treeContainer.clientHeight - rowHeight) / 2;
+        this.renderVisibleRows();
 
-        // Check if node has details to show
-        const hasDetails = this.nodeHasDetails(node);
+        const rowElement = treeContainer.querySelector(`.tree-node[data-row-index="${index}"]`);
+        if (rowElement) {
+            rowElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
 
-        // Check if node has any children (both direct children and nested items)
-        const hasChildren = (node.children && Array.isArray(node.children) && node.children.length > 0);
-        const hasNestedItems = (node.nestedItems && Array.isArray(node.nestedItems) && node.nestedItems.length > 0);
-        const hasAnyChildren = hasChildren || hasNestedItems;
+    /**
+     * Expand the ancestors of a node and scroll to it
+     * @param {Object} item - The displayed item
+     * @returns {boolean} - Whether the node has a row in the current view
+     */
+    revealItem(item) {
+        if (this.treeRows.expandAncestors(item)) {
+            this.treeRows.buildRows(this.getViewItems());
+        }
 
-        // Build expand button for any children
+        const index = this.treeRows.getRowIndex(item);
+        this.renderVisibleRows(true);
+        if (index === -1) return false;
+
+        this.scrollToRow(index);
+        return true;
+    }
+
+    /**
+     * Render a row of the tree
+     * @param {Object} row - The row from XDRTreeRows
+     * @param {number} index - The row index
+     * @returns {HTMLElement} - The .tree-node element
+     */
+    renderRow(row, index) {
+        if (row.alert) {
+            const alertDiv = this.createAlertElement(row);
+            alertDiv.dataset.rowIndex = index;
+            return alertDiv;
+        }
+
+        const node = row.item;
+        const nodeDiv = this.createNodeElement(node, row.nodeId, row.level, {
+            collapsed: row.collapsed,
+            detailsOpen: this.treeRows.openDetails.has(node)
+        });
+        nodeDiv.dataset.rowIndex = index;
+
+        if (this.isZoomedMode && row.level === 0 && row.nodeId === this.zoomedNodeId) {
+            // Add a visual indicator that this is the zoomed root
+            nodeDiv.classList.add('zoomed-root');
+        }
+        if (this.jumpTarget === node) {
+            nodeDiv.classList.add('timeline-jump-target');
+        }
+
+        if (this.annotationEditor && this.annotationEditor.item === node) {
+            // Keep the editor above the details panel
+            nodeDiv.querySelector(':scope > .node-content')
+                .insertAdjacentElement('afterend', this.createAnnotationEditor(row.nodeId, this.annotationEditor.draft));
+        }
+
+        if (this.searchMatches.has(node)) {
+            nodeDiv.classList.add('search-match');
+            if (this.searchResults[this.searchIndex] === node) {
+                nodeDiv.classList.add('search-current');
+            }
+
+            const lowerQuery = this.searchQuery.toLowerCase();
+            this.getSearchTextNodes(nodeDiv)
+                .filter(textNode => textNode.nodeValue.toLowerCase().includes(lowerQuery))
+                .forEach(textNode => this.highlightTextNode(textNode, lowerQuery));
+        }
+
+        return nodeDiv;
+    }
+
+    /**
+     * Create the element of a single node, without its children
+     * @param {Object} node - The node to render
+     * @param {string} nodeId - The node ID
+     * @param {number} level - The nesting level
+     * @param {Object} state - The expand state
+     * @param {boolean} state.collapsed - Whether the children are hidden
+     * @param {boolean} state.detailsOpen - Whether the details panel is built and shown
+     * @returns {HTMLElement} - The .tree-node element
+     */
+    createNodeElement(node, nodeId, level, state) {
+        const nodeDiv = document.createElement('div');
+        nodeDiv.className = 'tree-node';
+        nodeDiv.dataset.nodeId = nodeId;
+
+        if (node.diffStatus && node.diffStatus !== 'unchanged') {
+            nodeDiv.classList.add(`diff-${node.diffStatus}`);
+        }
+
+        // Ancestors that are only shown to keep the context of filtered nodes
+        if (this.parser.isFilterActive(this.filter) && !this.parser.nodeMatchesFilter(node, this.filter)) {
+            nodeDiv.classList.add('filter-context');
+        }
+
+        // Create tree structure visualization
+        const indent = this.createIndentation(level);
+
+        // Get node information
+        const type = this.parser.getItemType(node);
+        const icon = this.parser.getNodeIcon(type, node);
+        const title = this.parser.getNodeTitle(node);
+        const subtitle = this.parser.getNodeSubtitle(node);
+        const commandLine = this.parser.getNodeCommandLine(node);
+        const time = this.parser.formatTime(node.time);
+
+        // Check if this node or any descendants have alerts
+        const hasAlertsInTree = this.parser.nodeHasAlertsInTree(node);
+
+        // Check if node has details to show
+        const hasDetails = this.parser.nodeHasDetails(node);
+
+        const risk = this.riskScores.get(node);
+        const riskClass = risk && risk.band !== 'none' ? ` risk-${risk.band}` : '';
+
+        // Check if node has any children (both direct children and nested items)
+        const hasAnyChildren = this.treeRows.hasChildren(node);
+
+        // Build expand button for any children
         const expandButton = hasAnyChildren ?
-            `<span class="expand-button" onclick="xdrVisualizer.toggleNodeChildren('${nodeId}')" title="Click to expand/collapse children">▼</span>` : '';
+            `<span class="expand-button" onclick="xdrVisualizer.toggleNodeChildren('${nodeId}')" title="${state.collapsed ? 'Click to expand children' : 'Click to collapse children'}">${state.collapsed ? '▶' : '▼'}</span>` : '';
 
         // Build node HTML
         nodeDiv.innerHTML = `
@@ -865,8 +748,11 @@ class XDRTreeVisualizer {
             ${expandButton}
             <span class="tree-icon">${icon}</span>
             ${hasAnyChildren ? `<span class="zoom-button" onclick="xdrVisualizer.zoomToNode('${nodeId}')" title="Zoom to this node and its children">🔍</span>` : '<span class="zoom-placeholder"></span>'}
+            ${this.kqlGenerator.canGenerate(node) ? `<span class="hunt-button" onclick="xdrVisualizer.generateHuntingQueries('${nodeId}')" title="Generate hunting queries">🏹</span>` : '<span class="hunt-placeholder"></span>'}
+            ${this.sigmaGenerator.canGenerate(node) ? `<span class="sigma-button" onclick="xdrVisualizer.generateSigmaRule('${nodeId}')" title="Generate Sigma rule draft from the parent→child chain">📜</span>` : '<span class="sigma-placeholder"></span>'}
+            ${this.annotations.canAnnotate(node) ? `<span class="annotate-button" onclick="xdrVisualizer.toggleAnnotationEditor('${nodeId}')" title="Add verdict, note or bookmark">📝</span>` : '<span class="annotate-placeholder"></span>'}
             </div>
-            <div class="node-content ${type}" ${hasDetails ? `onclick="xdrVisualizer.toggleNodeDetails('${nodeId}')"` : ''} title="${hasDetails ? 'Click for details' : ''}">
+            <div class="node-content ${type}${riskClass}" ${hasDetails ? `onclick="xdrVisualizer.toggleNodeDetails('${nodeId}')"` : ''} title="${hasDetails ? 'Click for details' : ''}">
                 <div class="node-title-row">
                     <div class="node-title">
                         ${hasAlertsInTree ? '<span class="alert-indicator">🚨</span>' : ''}
@@ -875,175 +761,145 @@ class XDRTreeVisualizer {
                     ${time ? `<div class="node-time">${time}</div>` : ''}
                 </div>
                 ${subtitle ? `<div class="node-subtitle">${this.escapeHtml(subtitle)}</div>` : ''}
-                ${commandLine ? `<div class="node-commandline">${this.escapeHtml(this.unescapeForwardSlashes(commandLine))}</div>` : ''}
+                ${commandLine ? `<div class="node-commandline">${this.escapeHtml(this.parser.unescapeForwardSlashes(commandLine))}</div>` : ''}
+                ${this.renderNodeBadges(node)}
             </div>
         `;
 
-        // Add details panel if there are details to show
-        if (hasDetails) {
+        // The details panel is only built when it is opened
+        if (hasDetails && state.detailsOpen) {
             const detailsPanel = document.createElement('div');
             detailsPanel.className = 'details-panel';
-            detailsPanel.style.display = 'none'; // Start collapsed
+            detailsPanel.style.display = 'block';
+            // Panels that were open before are rendered again while scrolling, only a new one slides in
+            if (this.openingDetails === node) detailsPanel.classList.add('opening');
             detailsPanel.innerHTML = this.renderNodeDetails(node);
             nodeDiv.appendChild(detailsPanel);
         }
 
-        container.appendChild(nodeDiv);
-
-        // Add associated alerts as adjacent nodes
-        if (node.associatedAlerts && Array.isArray(node.associatedAlerts) && node.associatedAlerts.length > 0) {
-            node.associatedAlerts.forEach(alert => {
-                if (alert.alertDisplayName) {
-                    const alertDiv = document.createElement('div');
-                    alertDiv.className = 'tree-node alert-node';
-
-                    const alertNodeId = `alert-${nodeId}-${Math.random().toString(36).substr(2, 5)}`;
-                    alertDiv.dataset.nodeId = alertNodeId;
-
-                    alertDiv.innerHTML = `
-                        <span class="tree-indent">${this.createIndentation(level)}</span>
-                        <span class="expand-placeholder"></span>
-                        <span class="tree-icon">🚨</span>
-                        <div class="node-content alert">
-                            <div class="node-title">${this.escapeHtml(alert.alertDisplayName)}</div>
-                        </div>
-                    `;
-
-                    container.appendChild(alertDiv);
-                }
-            });
-        }
-
-        // Create children container for all types of children
-        if (hasAnyChildren) {
-            const childrenContainer = document.createElement('div');
-            childrenContainer.className = 'children-container';
-            childrenContainer.dataset.nodeId = nodeId;
-            // By default, nothing is collapsed (as requested)
-            childrenContainer.style.display = 'block';
-
-            // Add direct children first
-            if (hasChildren) {
-                node.children.forEach(child => {
-                    this.renderNode(child, childrenContainer, level + 1);
-                });
-            }
-
-            // Add nested items
-            if (hasNestedItems) {
-                node.nestedItems.forEach(nested => {
-                    this.renderNode(nested, childrenContainer, level + 1);
-                });
-            }
-
-            container.appendChild(childrenContainer);
-        }
+        return nodeDiv;
     }
 
     /**
-     * Create indentation string for tree structure
-     * @param {number} level - The nesting level
-     * @returns {string} - The indentation string
+     * Create the element of an alert row, shown below the node of the alert
+     * @param {Object} row - The alert row from XDRTreeRows
+     * @returns {HTMLElement} - The .tree-node element
      */
-    createIndentation(level) {
-        if (level === 0) return '';
-
-        let indent = '';
-        for (let i = 0; i < level - 1; i++) {
-            indent += '    '; // 4 spaces for each level
-        }
-        indent += '└── '; // Clean L-shaped connector
+    createAlertElement(row) {
+        const alertDiv = document.createElement('div');
+        alertDiv.className = 'tree-node alert-node';
+        alertDiv.dataset.nodeId = `alert-${row.nodeId}-${row.alertIndex}`;
 
-        return indent;
-    }
+        alertDiv.innerHTML = `
+            <span class="tree-indent">${this.createIndentation(row.level)}</span>
+            <span class="expand-placeholder"></span>
+            <span class="tree-icon">🚨</span>
+            <div class="node-content alert">
+                <div class="node-title">${this.escapeHtml(row.alert.alertDisplayName)}</div>
+            </div>
+        `;
 
-    /**
-     * Check if node has children or nested items
-     * @param {Object} node - The node to check
-     * @returns {boolean} - Whether the node has children
-     */
-    nodeHasChildren(node) {
-        return (node.children && node.children.length > 0) ||
-            (node.nestedItems && node.nestedItems.length > 0);
+        return alertDiv;
     }
 
     /**
-     * Check if node has details to display
-     * @param {Object} node - The node to check
-     * @returns {boolean} - Whether the node has details
+     * Render the badge row of a node
+     * @param {Object} node - The node
+     * @returns {string} - HTML string for the badges, empty if there are none
      */
-    nodeHasDetails(node) {
-        const hasNodeDetails = node.details && Array.isArray(node.details) && node.details.length > 0;
-        const hasAdditionalDetails = node.additionalDetails && Array.isArray(node.additionalDetails) && node.additionalDetails.length > 0;
-        const hasEntityDetails = node.entity && this.entityHasMeaningfulData(node.entity);
+    renderNodeBadges(node) {
+        const badges = this.getNodeBadges(node).map(badge => badge.href
+            ? `<a class="node-badge ${badge.className}" href="${badge.href}" target="_blank" rel="noopener noreferrer" ` +
+                `onclick="event.stopPropagation()" title="${this.escapeHtml(badge.title)}">${this.escapeHtml(badge.text)}</a>`
+            : `<span class="node-badge ${badge.className}" title="${this.escapeHtml(badge.title)}">${this.escapeHtml(badge.text)}</span>`);
 
-        return hasNodeDetails || hasAdditionalDetails || hasEntityDetails;
+        return badges.length > 0 ? `<div class="node-badges">${badges.join('')}</div>` : '';
     }
 
     /**
-     * Check if entity has meaningful data to display
-     * @param {Object} entity - The entity to check
-     * @returns {boolean} - Whether the entity has meaningful data
+     * Get the badges of a node (comparison, annotations, source alerts of merged incidents, script parts, risk and ATT&CK)
+     * @param {Object} node - The node
+     * @returns {Array} - Badges with class name, title, text and an optional link
      */
-    entityHasMeaningfulData(entity) {
-        if (!entity) return false;
+    getNodeBadges(node) {
+        const badges = [];
 
-        // Check for ImageFile information
-        if (entity.ImageFile) {
-            const img = entity.ImageFile;
-            if (img.FullPath || img.Size || img.Sha256 || img.Sha1 || img.Md5 || img.CreationTime) {
-                return true;
+        const diffStatus = this.storyDiff.statuses[node.diffStatus];
+        if (diffStatus) {
+            const changes = (node.diffChanges || []).map(change => `${change.field}: ${change.before || '-'} → ${change.after || '-'}`);
+            const title = changes.length > 0 ? changes.join('\n') : `${diffStatus.label} in ${this.data.storyDiff ? this.data.storyDiff.other.label : 'the other story'}`;
+            badges.push({ className: `diff-badge diff-${node.diffStatus}`, title: title, text: `${diffStatus.icon} ${diffStatus.label}` });
+        }
+
+        const annotation = this.annotations.getAnnotation(this.getAnnotationKey(node));
+        if (annotation) {
+            const note = this.isAnonymized ? this.parser.anonymizeString(annotation.note) : annotation.note;
+            if (annotation.bookmarked) {
+                badges.push({ className: 'annotation-bookmark', title: 'Bookmarked', text: '⭐' });
+            }
+            if (annotation.status) {
+                const status = this.annotations.statuses[annotation.status];
+                badges.push({ className: `annotation-status annotation-${annotation.status}`, title: note || status.label, text: `${status.icon} ${status.label}` });
+            }
+            if (note) {
+                const preview = note.length > 60 ? `${note.slice(0, 60)}…` : note;
+                badges.push({ className: 'annotation-note', title: note, text: `🗒️ ${preview.replace(/\s+/g, ' ')}` });
             }
         }
 
-        // Check for User information
-        if (entity.User) {
-            const user = entity.User;
-            if (user.DomainName || user.UserName || user.Sid) {
-                return true;
+        // Only tag nodes with their source alerts when several stories were merged
+        if (this.data.mergedStories && Array.isArray(node.sourceAlerts)) {
+            node.sourceAlerts.forEach(label => {
+                badges.push({ className: 'source-alert', title: `From alert story ${label}`, text: label });
+            });
+        }
+
+        const scriptContent = this.parser.getPowerShellScriptFromItem(node);
+        if (scriptContent) {
+            const fragment = this.parser.getScriptFragmentInfo(node, String(scriptContent));
+            if (fragment.part !== null && fragment.partTotal !== null && fragment.partTotal > 1) {
+                const id = fragment.scriptBlockId ? ` of script block ${fragment.scriptBlockId}` : '';
+                badges.push({
+                    className: 'script-part',
+                    title: `Part ${fragment.part} of ${fragment.partTotal}${id}. Extract PowerShell Scripts reassembles the parts.`,
+                    text: `Part ${fragment.part} of ${fragment.partTotal}`
+                });
             }
         }
 
-        // Check for Process information
-        if (entity.ProcessId || entity.Commandline || entity.CreatingProcessId ||
-            entity.CreatingProcessName || entity.CreationTime || entity.IntegrityLevel ||
-            entity.TokenElevation) {
-            return true;
+        const risk = this.riskScores.get(node);
+        if (risk && risk.score > 0) {
+            const reasons = risk.reasons.map(entry => `+${entry.points} ${entry.reason}`).join('\n');
+            badges.push({ className: `risk-badge risk-${risk.band}`, title: `Risk score ${risk.score}\n${reasons}`, text: `⚠️ ${risk.score}` });
         }
 
-        return false;
+        this.attackTagger.getTechniques(node).forEach(technique => {
+            badges.push({
+                className: 'attack-technique',
+                title: `${technique.tactic}: ${technique.name}`,
+                text: technique.technique,
+                href: this.attackTagger.getTechniqueUrl(technique.technique)
+            });
+        });
+
+        return badges;
     }
 
     /**
-     * Check if node or any of its descendants has alerts
-     * @param {Object} node - The node to check
-     * @returns {boolean} - Whether the node or its descendants have alerts
+     * Create indentation string for tree structure
+     * @param {number} level - The nesting level
+     * @returns {string} - The indentation string
      */
-    nodeHasAlertsInTree(node) {
-        // Check if the current node has associated alerts
-        if (node.associatedAlerts && node.associatedAlerts.length > 0) {
-            return true;
-        }
-
-        // Check children recursively
-        if (node.children && node.children.length > 0) {
-            for (const child of node.children) {
-                if (this.nodeHasAlertsInTree(child)) {
-                    return true;
-                }
-            }
-        }
+    createIndentation(level) {
+        if (level === 0) return '';
 
-        // Check nested items recursively
-        if (node.nestedItems && node.nestedItems.length > 0) {
-            for (const nested of node.nestedItems) {
-                if (this.nodeHasAlertsInTree(nested)) {
-                    return true;
-                }
-            }
+        let indent = '';
+        for (let i = 0; i < level - 1; i++) {
+            indent += '    '; // 4 spaces for each level
         }
+        indent += '└── '; // Clean L-shaped connector
 
-        return false;
+        return indent;
     }
 
     /**
@@ -1051,265 +907,90 @@ class XDRTreeVisualizer {
      * @param {string} nodeId - The node ID
      */
     toggleNodeChildren(nodeId) {
-        const childrenContainer = document.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-        const expandButton = document.querySelector(`[data-node-id="${nodeId}"] .expand-button`);
-
-        if (!childrenContainer || !expandButton) return;
+        const item = this.findDisplayedItem(nodeId);
+        if (!item || !this.treeRows.hasChildren(item)) return;
 
-        if (childrenContainer.style.display === 'none') {
-            // Expand
-            childrenContainer.style.display = 'block';
-            expandButton.textContent = '▼';
-            expandButton.title = 'Click to collapse children';
-        } else {
-            // Collapse
-            childrenContainer.style.display = 'none';
-            expandButton.textContent = '▶';
-            expandButton.title = 'Click to expand children';
-        }
+        this.treeRows.setCollapsed(item, !this.treeRows.collapsed.has(item));
+        this.refreshTreeRows();
     }
 
     /**
-     * Expand all nodes in the tree
+     * Expand all nodes in the tree, only the zoomed subtree in zoom mode
      */
     expandAll() {
         console.log('ExpandAll called, isZoomedMode:', this.isZoomedMode, 'zoomedNodeId:', this.zoomedNodeId);
 
-        if (this.isZoomedMode && this.zoomedNodeId) {
-            const visibleNodes = document.querySelectorAll('.tree-node');
-            const visibleTreeNodes = Array.from(visibleNodes).filter(node => node.offsetParent !== null);
-
-            console.log('Found visible tree nodes:', visibleTreeNodes.length);
-
-            visibleTreeNodes.forEach((node, index) => {
-                const nodeId = node.dataset.nodeId;
-                const childrenContainer = document.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-                const expandButton = node.querySelector('.expand-button');
-
-                console.log(`Node ${index} (${nodeId}):`, {
-                    hasContainer: !!childrenContainer,
-                    hasButton: !!expandButton,
-                    containerVisible: childrenContainer ? childrenContainer.offsetParent !== null : false
-                });
-
-                if (childrenContainer) {
-                    childrenContainer.style.display = 'block';
-                }
-
-                if (expandButton) {
-                    expandButton.textContent = '▼';
-                    expandButton.title = 'Click to collapse children';
-                }
-            });
-        } else {
-            // Normal mode: expand all nodes in the entire tree
-            const childrenContainers = document.querySelectorAll('.children-container');
-            const expandButtons = document.querySelectorAll('.expand-button');
-            console.log('Normal mode - containers:', childrenContainers.length, 'buttons:', expandButtons.length);
-
-            childrenContainers.forEach(container => {
-                container.style.display = 'block';
-            });
-
-            expandButtons.forEach(button => {
-                button.textContent = '▼';
-                button.title = 'Click to collapse children';
-            });
-        }
+        this.treeRows.expandAll(this.getViewItems());
+        this.refreshTreeRows();
 
-        console.log('ExpandAll completed');
+        console.log('ExpandAll completed, rows:', this.treeRows.rows.length);
     }
 
     /**
-     * Collapse all nodes in the tree
+     * Collapse all nodes in the tree, only the zoomed subtree in zoom mode
      */
     collapseAll() {
         console.log('CollapseAll called, isZoomedMode:', this.isZoomedMode, 'zoomedNodeId:', this.zoomedNodeId);
 
-        if (this.isZoomedMode && this.zoomedNodeId) {
-            const visibleNodes = document.querySelectorAll('.tree-node');
-            const visibleTreeNodes = Array.from(visibleNodes).filter(node => node.offsetParent !== null);
-
-            console.log('Found visible tree nodes:', visibleTreeNodes.length);
-
-            visibleTreeNodes.forEach((node, index) => {
-                const nodeId = node.dataset.nodeId;
-                const childrenContainer = document.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-                const expandButton = node.querySelector('.expand-button');
-
-                console.log(`Node ${index} (${nodeId}):`, {
-                    hasContainer: !!childrenContainer,
-                    hasButton: !!expandButton,
-                    containerVisible: childrenContainer ? childrenContainer.offsetParent !== null : false
-                });
-
-                if (childrenContainer) {
-                    childrenContainer.style.display = 'none';
-                }
-
-                if (expandButton) {
-                    expandButton.textContent = '▶';
-                    expandButton.title = 'Click to expand children';
-                }
-            });
-        } else {
-            // Normal mode: collapse all nodes in the entire tree
-            const childrenContainers = document.querySelectorAll('.children-container');
-            const expandButtons = document.querySelectorAll('.expand-button');
-            console.log('Normal mode - containers:', childrenContainers.length, 'buttons:', expandButtons.length);
-
-            childrenContainers.forEach(container => {
-                container.style.display = 'none';
-            });
-
-            expandButtons.forEach(button => {
-                button.textContent = '▶';
-                button.title = 'Click to expand children';
-            });
-        }
+        this.treeRows.collapseAll(this.getViewItems());
+        this.refreshTreeRows();
 
-        console.log('CollapseAll completed');
+        console.log('CollapseAll completed, rows:', this.treeRows.rows.length);
     }
 
     /**
      * Zoom to a specific node and hide all others
+     * The zoomed node is shown as the root (level 0) of the tree
      * @param {string} nodeId - The node ID to zoom to
      */
     zoomToNode(nodeId) {
+        const item = this.findDisplayedItem(nodeId);
+        if (!item) return;
+
         this.isZoomedMode = true;
         this.zoomedNodeId = nodeId;
 
-        // Hide all nodes first
-        const allNodes = document.querySelectorAll('.tree-node');
-        allNodes.forEach(node => {
-            node.style.display = 'none';
-        });
-
-        // Find and show the target node and its descendants
-        const targetNode = document.querySelector(`[data-node-id="${nodeId}"]`);
-        if (targetNode) {
-            // Reset the target node as the new root (level 0)
-            this.makeNodeRoot(targetNode);
-            this.showNodeAndDescendants(targetNode);
-
-            // Expand the target node to show its children
-            const childrenContainer = document.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-            if (childrenContainer) {
-                childrenContainer.style.display = 'block';
-                const expandButton = targetNode.querySelector('.expand-button');
-                if (expandButton) {
-                    expandButton.textContent = '▼';
-                    expandButton.title = 'Click to collapse children';
-                }
-
-                this.adjustChildrenIndentation(childrenContainer, 1);
-            }
-        }
+        // Expand the target node to show its children
+        this.treeRows.setCollapsed(item, false);
+        this.refreshTreeRows();
 
         // Add zoom-out button to tree controls
         this.addZoomOutButton();
 
-        // Scroll to the zoomed node
-        if (targetNode) {
-            setTimeout(() => {
-                targetNode.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            }, 100);
+        // The search only covers the zoomed subtree
+        if (this.searchQuery) {
+            this.searchTree(this.searchQuery, false);
         }
-    }
 
-    /**
-     * Make a node appear as the root node (level 0 indentation)
-     * @param {HTMLElement} nodeElement - The node element to make root
-     */
-    makeNodeRoot(nodeElement) {
-        if (!nodeElement) return;
-
-        const indentElement = nodeElement.querySelector('.tree-indent');
-        if (indentElement) {
-            // Remove all indentation to make it appear as root level
-            indentElement.innerHTML = '';
+        if (this.isTimelineVisible) {
+            this.renderTimeline();
         }
 
-        // Add a visual indicator that this is the zoomed root
-        nodeElement.classList.add('zoomed-root');
-    }
-
-    /**
-     * Recursively adjust indentation of children to start from given level
-     * @param {HTMLElement} container - The children container
-     * @param {number} startLevel - The starting level for children
-     */
-    adjustChildrenIndentation(container, startLevel) {
-        if (!container) return;
-
-        const childNodes = container.querySelectorAll(':scope > .tree-node');
-        childNodes.forEach(childNode => {
-            const indentElement = childNode.querySelector('.tree-indent');
-            if (indentElement) {
-                // Create new indentation for this level
-                indentElement.innerHTML = this.createIndentation(startLevel);
-            }
-
-            // Process this child's children recursively
-            const nodeId = childNode.dataset.nodeId;
-            const childContainer = container.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-            if (childContainer) {
-                this.adjustChildrenIndentation(childContainer, startLevel + 1);
-            }
-        });
-    }
-
-    /**
-     * Show a node and all its descendants
-     * @param {HTMLElement} nodeElement - The node element to show
-     */
-    showNodeAndDescendants(nodeElement) {
-        if (!nodeElement) return;
-
-        nodeElement.style.display = '';
-
-        // Find the associated children container
-        const nodeId = nodeElement.dataset.nodeId;
-        const childrenContainer = document.querySelector(`.children-container[data-node-id="${nodeId}"]`);
-
-        if (childrenContainer) {
-            childrenContainer.style.display = 'block';
-
-            // Show all child nodes recursively
-            const childNodes = childrenContainer.querySelectorAll('.tree-node');
-            childNodes.forEach(childNode => {
-                this.showNodeAndDescendants(childNode);
-            });
-        }
+        // Scroll to the zoomed node
+        this.scrollToRow(0);
     }
 
     /**
      * Exit zoom mode and show all nodes
      */
     exitZoomMode() {
+        const previousZoomedItem = this.findDisplayedItem(this.zoomedNodeId);
         this.isZoomedMode = false;
-        const previousZoomedNodeId = this.zoomedNodeId;
         this.zoomedNodeId = null;
 
-        // Show all nodes
-        const allNodes = document.querySelectorAll('.tree-node');
-        allNodes.forEach(node => {
-            node.style.display = 'block';
-            // Remove zoomed root styling
-            node.classList.remove('zoomed-root');
-        });
+        this.removeZoomOutButton();
+        this.refreshTreeRows();
 
-        this.renderTree();
+        if (this.searchQuery) {
+            this.searchTree(this.searchQuery, false);
+        }
 
-        this.removeZoomOutButton();
+        if (this.isTimelineVisible) {
+            this.renderTimeline();
+        }
 
-        if (previousZoomedNodeId) {
-            setTimeout(() => {
-                const originalNode = document.querySelector(`[data-node-id="${previousZoomedNodeId}"]`);
-                if (originalNode) {
-                    originalNode.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-            }, 100);
+        if (previousZoomedItem) {
+            this.revealItem(previousZoomedItem);
         }
     }
 
@@ -1344,107 +1025,387 @@ class XDRTreeVisualizer {
     }
 
     /**
-     * Get the appropriate icon for a node type
-     * @param {string} type - The node type
-     * @param {Object} node - The node object to check for specific conditions
-     * @returns {string} - The emoji icon
+     * Search the tree and highlight all matches
+     * Matches node titles, subtitles, command lines and the detail values of the details panel,
+     * also of collapsed nodes and closed details panels
+     * @param {string} query - The text to search for
+     * @param {boolean} focus - Whether to jump to the first result
      */
-    getNodeIcon(type, node = null) {
-        // Check if this is a PowerShell script execution
-        if (node) {
-            const nodeTitle = this.getNodeTitle(node);
-            const nodeSubtitle = this.getNodeSubtitle(node);
-            const isPowerShellScript = (nodeTitle && nodeTitle.toLowerCase().includes('powershell.exe executed a script')) ||
-                (nodeSubtitle && nodeSubtitle.toLowerCase().includes('powershell.exe executed a script'));
-            if (isPowerShellScript) {
-                return '📜'; // Script icon for PowerShell executions
-            }
+    searchTree(query, focus = true) {
+        this.searchQuery = (query || '').trim();
+        this.searchResults = [];
+        this.searchIndex = -1;
+
+        if (this.searchQuery) {
+            const lowerQuery = this.searchQuery.toLowerCase();
+
+            // Limited to the zoomed subtree in zoom mode
+            this.parser.walkItems(this.getViewItems(), item => {
+                if (this.parser.isHiddenNode(item)) return;
+
+                const text = this.getSearchText(item);
+                if (text.content.some(value => value.includes(lowerQuery)) || text.details.some(value => value.includes(lowerQuery))) {
+                    this.searchResults.push(item);
+                }
+            });
         }
 
-        const icons = {
-            'process': '⚙️',
-            'file': '📄',
-            'account': '👤',
-            'network': '🌐',
-            'registry': '📋',
-            'url': '🔗',
-            'ip': '🌐',
-            'domain': '🌍',
-            'other': '📦'
-        };
-        return icons[type] || '📦';
+        this.searchMatches = new Set(this.searchResults);
+        this.renderVisibleRows(true);
+
+        if (focus && this.searchResults.length > 0) {
+            this.focusSearchResult(0);
+        }
+
+        this.updateSearchStatus();
     }
 
     /**
-     * Extract the main title from a node
-     * @param {Object} node - The node
-     * @returns {string} - The node title
+     * Get the lower-cased texts of a node that take part in the search
+     * Built from the same data as the node row and its details panel, the texts are kept until the story data changes
+     * @param {Object} item - The displayed item
+     * @returns {Object} - The texts of the node content and of the detail values
      */
-    getNodeTitle(node) {
-        if (node.title) {
-            const parts = [];
-            if (node.title.prefix && node.title.prefix.trim()) {
-                parts.push(node.title.prefix);
-            }
-            if (node.title.main) {
-                parts.push(node.title.main);
+    getSearchText(item) {
+        let text = this.searchTexts.get(item);
+        if (!text) {
+            const node = this.parser.getNodeTextData(item);
+            const content = [node.title, node.time, node.subtitle, node.commandLine]
+                .concat(this.getNodeBadges(item).map(badge => badge.text));
+
+            const details = [];
+            const addDetail = (key, value, valueType) => {
+                if (!key || value === undefined || value === null || value === '') return;
+
+                details.push(...this.getDetailDisplayLines(key, value, valueType));
+
+                const lowerKey = key.toLowerCase();
+                if (lowerKey === 'content' || lowerKey.includes('command line') || lowerKey.includes('commandline')) {
+                    const result = this.deobfuscateDetail(key, value);
+                    if (result) details.push(result.text);
+                }
+            };
+
+            if (item.entity && this.parser.entityHasMeaningfulData(item.entity)) {
+                this.getEntityDetails(item.entity).forEach(detail => addDetail(detail.key, detail.value, detail.valueType));
             }
-            return parts.join(' ') || 'Unknown';
+
+            const sections = [item.details].concat((item.additionalDetails || []).map(section => section && section.title ? section.details : null));
+            sections.filter(Array.isArray).forEach(sectionDetails => {
+                sectionDetails.forEach(detail => {
+                    const value = detail.valueType === 'date' ? this.parser.formatTime(detail.value) || detail.value : detail.value;
+                    addDetail(detail.key, value, detail.valueType === 'script' ? 'script' : null);
+                });
+            });
+
+            text = {
+                content: content.filter(Boolean).map(value => String(value).toLowerCase()),
+                details: details.map(value => value.toLowerCase())
+            };
+            this.searchTexts.set(item, text);
         }
+        return text;
+    }
 
-        if (node.entity) {
-            if (node.entity.ImageFile && node.entity.ImageFile.FileName) {
-                return node.entity.ImageFile.FileName;
-            }
-            if (node.entity.User && node.entity.User.UserName) {
-                return `${node.entity.User.DomainName || ''}\\${node.entity.User.UserName}`;
+    /**
+     * Get the text nodes of a tree node that take part in the search
+     * Detail keys are skipped so searching for "SHA" doesn't match every file
+     * @param {HTMLElement} nodeElement - The .tree-node element
+     * @param {string} selector - The elements to take the text from, the node content and the detail values by default
+     * @returns {Array<Text>} - The text nodes
+     */
+    getSearchTextNodes(nodeElement, selector = ':scope > .node-content, :scope > .details-panel .detail-value') {
+        const roots = nodeElement.querySelectorAll(selector);
+        const textNodes = [];
+
+        roots.forEach(root => {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
             }
-        }
+        });
 
-        return 'Unknown';
+        return textNodes;
     }
 
     /**
-     * Format node title for Timeline theme with proper HTML styling
-     * @param {string} title - The raw node title
-     * @param {Object} node - The node object (for command line access)
-     * @returns {string} - HTML formatted title
+     * Wrap every occurrence of the query in a text node with a highlight mark
+     * @param {Text} textNode - The text node
+     * @param {string} lowerQuery - The lower-cased query
      */
-    formatTimelineTitle(title, node = null) {
-        // Check if we're in timeline theme
-        if (!document.body.classList.contains('theme-timeline')) {
-            return this.escapeHtml(title);
-        }
+    highlightTextNode(textNode, lowerQuery) {
+        const text = textNode.nodeValue;
+        const lowerText = text.toLowerCase();
+        const fragment = document.createDocumentFragment();
 
-        // Pattern to match process ID in brackets followed by process name
-        // Examples: "[1234] cmd.exe", "[5678] powershell.exe", etc.
-        const processPattern = /^(\[[\d]+\])\s+(.+)$/;
-        const match = title.match(processPattern);
+        let position = 0;
+        let index = lowerText.indexOf(lowerQuery);
+        while (index !== -1) {
+            fragment.appendChild(document.createTextNode(text.substring(position, index)));
 
-        let formattedTitle = '';
-        let processName = '';
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.substr(index, lowerQuery.length);
+            fragment.appendChild(mark);
 
-        if (match) {
-            const processId = match[1]; // e.g., "[1234]"
-            processName = match[2]; // e.g., "cmd.exe"
-            formattedTitle = `<span class="process-id">${this.escapeHtml(processId)}</span> <span class="process-name">${this.escapeHtml(processName)}</span>`;
-        } else {
-            // If no process ID pattern found, just make the whole title bold (likely a process name)
-            processName = title;
-            formattedTitle = `<span class="process-name">${this.escapeHtml(title)}</span>`;
+            position = index + lowerQuery.length;
+            index = lowerText.indexOf(lowerQuery, position);
         }
+        fragment.appendChild(document.createTextNode(text.substring(position)));
 
-        // Add command line inline for Timeline theme
-        if (node) {
-            const commandLine = this.getNodeCommandLine(node);
-            if (commandLine && commandLine.trim() !== '') {
-                let cleanedCommandLine = this.unescapeForwardSlashes(commandLine.trim());
+        textNode.parentNode.replaceChild(fragment, textNode);
+    }
 
-                // Remove process name from beginning of command line if it's duplicated
-                const processNameLower = processName.toLowerCase();
-                const commandLineLower = cleanedCommandLine.toLowerCase();
+    /**
+     * Jump to a search result, expanding its collapsed ancestors
+     * @param {number} index - The result index
+     */
+    focusSearchResult(index) {
+        if (this.searchResults.length === 0) return;
 
-                // Handle cases where process name ends with .exe but command line might not
+        this.searchIndex = (index + this.searchResults.length) % this.searchResults.length;
+        const item = this.searchResults[this.searchIndex];
+
+        // Open the details panel if the match is only in the details
+        const lowerQuery = this.searchQuery.toLowerCase();
+        if (!this.getSearchText(item).content.some(value => value.includes(lowerQuery))) {
+            this.treeRows.setDetailsOpen(item, true);
+        }
+
+        this.revealItem(item);
+        this.updateSearchStatus();
+    }
+
+    /**
+     * Jump to the next search result
+     */
+    nextSearchResult() {
+        this.focusSearchResult(this.searchIndex + 1);
+    }
+
+    /**
+     * Jump to the previous search result
+     */
+    previousSearchResult() {
+        this.focusSearchResult(this.searchIndex - 1);
+    }
+
+    /**
+     * Clear the search box and all highlights
+     */
+    clearSearch() {
+        const searchInput = document.getElementById('tree-search-input');
+        if (searchInput) searchInput.value = '';
+        this.searchTree('');
+    }
+
+    /**
+     * Update the result counter next to the search box
+     */
+    updateSearchStatus() {
+        const status = document.getElementById('tree-search-status');
+        if (!status) return;
+
+        if (!this.searchQuery) {
+            status.textContent = '';
+        } else if (this.searchResults.length === 0) {
+            status.textContent = 'No matches';
+        } else {
+            status.textContent = `${this.searchIndex + 1 || '-'} of ${this.searchResults.length}`;
+        }
+    }
+
+    /**
+     * Show or hide the chronological timeline below the tree
+     */
+    toggleTimeline() {
+        this.isTimelineVisible = !this.isTimelineVisible;
+
+        const timelineSection = document.getElementById('timeline-view');
+        const timelineBtn = document.getElementById('timeline-btn');
+
+        if (this.isTimelineVisible) {
+            this.renderTimeline();
+            if (timelineSection) {
+                timelineSection.style.display = 'block';
+                timelineSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        } else if (timelineSection) {
+            timelineSection.style.display = 'none';
+        }
+
+        if (timelineBtn) {
+            timelineBtn.innerHTML = this.isTimelineVisible ? '🕒 Hide Timeline' : '🕒 Timeline';
+        }
+    }
+
+    /**
+     * Render the timeline of the displayed items, limited to the zoomed subtree in zoom mode
+     */
+    renderTimeline() {
+        const container = document.getElementById('timeline-content');
+        if (!container) return;
+
+        this.timeline = this.parser.buildTimeline(this.displayItems);
+
+        const zoomedItem = this.isZoomedMode ? this.findDisplayedItem(this.zoomedNodeId) : null;
+        if (zoomedItem) {
+            const isShown = (entry) => this.treeRows.isInSubtree(entry.item, zoomedItem);
+            this.timeline.events = this.timeline.events.filter(isShown);
+            this.timeline.alerts = this.timeline.alerts.filter(isShown);
+
+            const usedLanes = new Set(this.timeline.events.map(event => event.lane));
+            this.timeline.lanes = this.timeline.lanes.filter(lane => usedLanes.has(lane.id));
+
+            Object.assign(this.timeline, this.parser.getTimelineSpan(this.timeline.events, this.timeline.alerts));
+        }
+
+        const { lanes, events, alerts, start, end } = this.timeline;
+
+        const title = document.getElementById('timeline-title');
+        if (title) {
+            title.textContent = `Timeline${this.getViewModeText()}`;
+        }
+
+        if (events.length === 0) {
+            container.innerHTML = '<div class="timeline-empty">No events with a timestamp in the current view.</div>';
+            return;
+        }
+
+        const span = end - start;
+        const position = (time) => span > 0 ? ((time - start) / span) * 100 : 50;
+
+        // Summary with the longest pauses, which show the dwell time between attack stages
+        const gaps = this.parser.getTimelineGaps(events);
+        let html = `
+            <div class="timeline-summary">
+                <span>First event: ${this.escapeHtml(this.parser.formatTime(new Date(start).toISOString()))}</span>
+                <span>Last event: ${this.escapeHtml(this.parser.formatTime(new Date(end).toISOString()))}</span>
+                <span>Span: ${this.parser.formatDuration(span)}</span>
+                <span>Events: ${events.length}</span>
+                ${alerts.length > 0 ? `<span>Alerts: ${alerts.length}</span>` : ''}
+            </div>
+        `;
+
+        if (gaps.length > 0) {
+            html += '<div class="timeline-gaps">Longest pauses: ' + gaps.map(gap =>
+                `<span class="timeline-gap"><strong>${this.parser.formatDuration(gap.duration)}</strong> between ${this.escapeHtml(gap.before.title)} and ${this.escapeHtml(gap.after.title)}</span>`
+            ).join('') + '</div>';
+        }
+
+        // Time axis with five ticks
+        let ticks = '';
+        for (let i = 0; i <= 4; i++) {
+            const tickTime = span > 0 ? start + (span * i) / 4 : start;
+            ticks += `<span class="timeline-tick" style="left: ${span > 0 ? i * 25 : 50}%">${this.escapeHtml(this.parser.formatTime(new Date(tickTime).toISOString()))}</span>`;
+            if (span === 0) break;
+        }
+
+        html += `<div class="timeline-chart">
+            <div class="timeline-row timeline-axis">
+                <div class="timeline-lane-label"></div>
+                <div class="timeline-track">${ticks}</div>
+            </div>`;
+
+        // Markers grouped by lane in one pass, alerts after the events so they are drawn on top
+        const markers = new Map(lanes.map(lane => [lane.id, '']));
+        const addMarker = (laneId, marker) => {
+            if (markers.has(laneId)) markers.set(laneId, markers.get(laneId) + marker);
+        };
+
+        events.forEach((event, index) => {
+            const tooltip = `${this.parser.formatTime(new Date(event.time).toISOString())} - ${event.title}`;
+            addMarker(event.lane, `<span class="timeline-event ${event.type}" style="left: ${position(event.time)}%" title="${this.escapeHtml(tooltip)}" onclick="xdrVisualizer.jumpToTimelineEntry('events', ${index})"></span>`);
+        });
+
+        alerts.forEach((alert, index) => {
+            const tooltip = `${this.parser.formatTime(new Date(alert.time).toISOString())} - 🚨 ${alert.title}`;
+            addMarker(alert.lane, `<span class="timeline-alert" style="left: ${position(alert.time)}%" title="${this.escapeHtml(tooltip)}" onclick="xdrVisualizer.jumpToTimelineEntry('alerts', ${index})">🚨</span>`);
+        });
+
+        lanes.forEach(lane => {
+            html += `
+                <div class="timeline-row">
+                    <div class="timeline-lane-label" style="padding-left: ${Math.min(lane.depth, 10) * 12}px" title="${this.escapeHtml(lane.lineage.join(' › '))}">${this.escapeHtml(lane.label)}</div>
+                    <div class="timeline-track">${markers.get(lane.id)}</div>
+                </div>
+            `;
+        });
+
+        html += '</div>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Jump from a timeline event or alert mark to its node in the tree
+     * @param {string} kind - 'events' or 'alerts'
+     * @param {number} index - The index in the timeline list
+     */
+    jumpToTimelineEntry(kind, index) {
+        const entry = this.timeline && this.timeline[kind][index];
+        if (!entry) return;
+
+        // Nodes outside the zoomed subtree are hidden, show the whole tree again
+        const zoomedItem = this.isZoomedMode ? this.findDisplayedItem(this.zoomedNodeId) : null;
+        if (zoomedItem && !this.treeRows.isInSubtree(entry.item, zoomedItem)) {
+            this.exitZoomMode();
+        }
+
+        // The mark is kept while the row is rendered again during scrolling
+        this.jumpTarget = entry.item;
+        if (!this.revealItem(entry.item)) {
+            this.jumpTarget = null;
+            return;
+        }
+
+        clearTimeout(this.jumpTargetTimeout);
+        this.jumpTargetTimeout = setTimeout(() => {
+            this.jumpTarget = null;
+            this.renderVisibleRows(true);
+        }, 2000);
+    }
+
+    /**
+     * Format node title for Timeline theme with proper HTML styling
+     * @param {string} title - The raw node title
+     * @param {Object} node - The node object (for command line access)
+     * @returns {string} - HTML formatted title
+     */
+    formatTimelineTitle(title, node = null) {
+        // Check if we're in timeline theme
+        if (!document.body.classList.contains('theme-timeline')) {
+            return this.escapeHtml(title);
+        }
+
+        // Pattern to match process ID in brackets followed by process name
+        // Examples: "[1234] cmd.exe", "[5678] powershell.exe", etc.
+        const processPattern = /^(\[[\d]+\])\s+(.+)$/;
+        const match = title.match(processPattern);
+
+        let formattedTitle = '';
+        let processName = '';
+
+        if (match) {
+            const processId = match[1]; // e.g., "[1234]"
+            processName = match[2]; // e.g., "cmd.exe"
+            formattedTitle = `<span class="process-id">${this.escapeHtml(processId)}</span> <span class="process-name">${this.escapeHtml(processName)}</span>`;
+        } else {
+            // If no process ID pattern found, just make the whole title bold (likely a process name)
+            processName = title;
+            formattedTitle = `<span class="process-name">${this.escapeHtml(title)}</span>`;
+        }
+
+        // Add command line inline for Timeline theme
+        if (node) {
+            const commandLine = this.parser.getNodeCommandLine(node);
+            if (commandLine && commandLine.trim() !== '') {
+                let cleanedCommandLine = this.parser.unescapeForwardSlashes(commandLine.trim());
+
+                // Remove process name from beginning of command line if it's duplicated
+                const processNameLower = processName.toLowerCase();
+                const commandLineLower = cleanedCommandLine.toLowerCase();
+
+                // Handle cases where process name ends with .exe but command line might not
                 let processNameForMatching = processNameLower;
                 let processNameWithoutExt = processNameLower;
                 if (processNameLower.endsWith('.exe')) {
@@ -1505,85 +1466,6 @@ class XDRTreeVisualizer {
         return formattedTitle;
     }
 
-    /**
-     * Extract the subtitle from a node
-     * @param {Object} node - The node
-     * @returns {string|null} - The node subtitle
-     */
-    getNodeSubtitle(node) {
-        return node.title && node.title.intro ? node.title.intro : null;
-    }
-
-    /**
-     * Extract the command line from a node's entity
-     * @param {Object} node - The node
-     * @returns {string|null} - The command line or null
-     */
-    getNodeCommandLine(node) {
-        // First check for command line in entity
-        if (node.entity && node.entity.Commandline) {
-            return node.entity.Commandline;
-        }
-
-        // Check for command line in node details array
-        if (node.details && Array.isArray(node.details)) {
-            const commandLineDetail = node.details.find(detail =>
-                detail.key && detail.key.toLowerCase() === 'command line' && detail.value
-            );
-            if (commandLineDetail) {
-                return commandLineDetail.value;
-            }
-
-            // Also check for WMI Query in node details
-            const wmiQuery = node.details.find(detail =>
-                detail.key && detail.key.toLowerCase().includes('wmi query') && detail.value
-            );
-            if (wmiQuery) {
-                return `WMI: ${wmiQuery.value}`;
-            }
-        }
-
-        // Check in additionalDetails as a fallback
-        if (node.additionalDetails && Array.isArray(node.additionalDetails)) {
-            for (const additionalDetail of node.additionalDetails) {
-                if (additionalDetail.details && Array.isArray(additionalDetail.details)) {
-                    const commandLineDetail = additionalDetail.details.find(detail =>
-                        detail.key && detail.key.toLowerCase() === 'command line' && detail.value
-                    );
-                    if (commandLineDetail) {
-                        return commandLineDetail.value;
-                    }
-                }
-            }
-        }
-
-        return null;
-    }
-
-    /**
-     * Format timestamp for display
-     * @param {string} timeString - The timestamp string
-     * @returns {string|null} - Formatted time or null
-     */
-    formatTime(timeString) {
-        if (!timeString) return null;
-
-        try {
-            const date = new Date(timeString);
-            return date.toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
-            });
-        } catch (error) {
-            console.warn('Invalid date format:', timeString);
-            return timeString;
-        }
-    }
-
     /**
      * Escape HTML characters to prevent XSS
      * @param {string} text - The text to escape
@@ -1635,44 +1517,68 @@ class XDRTreeVisualizer {
      */
     renderEntityDetails(entity) {
         // Check if entity has meaningful data first
-        if (!this.entityHasMeaningfulData(entity)) {
+        if (!this.parser.entityHasMeaningfulData(entity)) {
             return '';
         }
 
         let html = '<div class="details-section"><div class="details-title">Entity Information</div>';
 
+        this.getEntityDetails(entity).forEach(detail => {
+            html += this.renderDetailItem(detail.key, detail.value, detail.valueType);
+            if (detail.valueType === 'script') {
+                html += this.renderDeobfuscatedDetail(detail.key, detail.value);
+            }
+        });
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Get the entity fields shown in the details panel
+     * @param {Object} entity - The entity object
+     * @returns {Array} - Details with key, value and value type, values can be empty
+     */
+    getEntityDetails(entity) {
+        const details = [];
+
         // Image file information
         if (entity.ImageFile) {
             const img = entity.ImageFile;
-            html += this.renderDetailItem('File Path', img.FullPath);
-            html += this.renderDetailItem('File Size', img.Size ? `${(img.Size / 1024).toFixed(2)} KB` : null);
-            html += this.renderDetailItem('SHA256', img.Sha256);
-            html += this.renderDetailItem('SHA1', img.Sha1);
-            html += this.renderDetailItem('MD5', img.Md5);
-            html += this.renderDetailItem('Creation Time', this.formatTime(img.CreationTime));
+            details.push(
+                { key: 'File Path', value: img.FullPath },
+                { key: 'File Size', value: img.Size ? `${(img.Size / 1024).toFixed(2)} KB` : null },
+                { key: 'SHA256', value: img.Sha256 },
+                { key: 'SHA1', value: img.Sha1 },
+                { key: 'MD5', value: img.Md5 },
+                { key: 'Creation Time', value: this.parser.formatTime(img.CreationTime) }
+            );
         }
 
         // User information
         if (entity.User) {
             const user = entity.User;
-            html += this.renderDetailItem('Domain', user.DomainName);
-            html += this.renderDetailItem('Username', user.UserName);
-            html += this.renderDetailItem('SID', user.Sid);
+            details.push(
+                { key: 'Domain', value: user.DomainName },
+                { key: 'Username', value: user.UserName },
+                { key: 'SID', value: user.Sid }
+            );
         }
 
         // Process information
         if (entity.ProcessId) {
-            html += this.renderDetailItem('Process ID', entity.ProcessId);
-            html += this.renderDetailItem('Command Line', entity.Commandline, 'script');
-            html += this.renderDetailItem('Parent Process ID', entity.CreatingProcessId);
-            html += this.renderDetailItem('Parent Process', entity.CreatingProcessName);
-            html += this.renderDetailItem('Creation Time', this.formatTime(entity.CreationTime));
-            html += this.renderDetailItem('Integrity Level', entity.IntegrityLevel);
-            html += this.renderDetailItem('Token Elevation', entity.TokenElevation);
+            details.push(
+                { key: 'Process ID', value: entity.ProcessId },
+                { key: 'Command Line', value: entity.Commandline, valueType: 'script' },
+                { key: 'Parent Process ID', value: entity.CreatingProcessId },
+                { key: 'Parent Process', value: entity.CreatingProcessName },
+                { key: 'Creation Time', value: this.parser.formatTime(entity.CreationTime) },
+                { key: 'Integrity Level', value: entity.IntegrityLevel },
+                { key: 'Token Elevation', value: entity.TokenElevation }
+            );
         }
 
-        html += '</div>';
-        return html;
+        return details;
     }
 
     /**
@@ -1691,10 +1597,15 @@ class XDRTreeVisualizer {
 
                 // Format dates
                 if (detail.valueType === 'date') {
-                    value = this.formatTime(value) || value;
+                    value = this.parser.formatTime(value) || value;
                 }
 
                 html += this.renderDetailItem(detail.key, value, valueType);
+
+                const key = detail.key.toLowerCase();
+                if (key === 'content' || key.includes('command line') || key.includes('commandline')) {
+                    html += this.renderDeobfuscatedDetail(detail.key, value);
+                }
             }
         });
 
@@ -1702,6 +1613,55 @@ class XDRTreeVisualizer {
         return html;
     }
 
+    /**
+     * Render the deobfuscated version of a command line or script, if deobfuscation changed it
+     * @param {string} key - The detail key
+     * @param {string} value - The original value
+     * @returns {string} - HTML string for the detail item, empty if there is nothing to decode
+     */
+    renderDeobfuscatedDetail(key, value) {
+        const result = this.deobfuscateDetail(key, value);
+        if (!result) return '';
+
+        return `
+            <div class="detail-item">
+                <div class="detail-key">${this.escapeHtml(key)} (deobfuscated):</div>
+                <div class="detail-value script deobfuscated" title="${this.escapeHtml(result.steps.join(', '))}">${this.escapeHtml(result.text)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Deobfuscate the value of a command line or script detail
+     * @param {string} key - The detail key
+     * @param {string} value - The original value
+     * @returns {Object|null} - The deobfuscated text and the applied steps, or null if there is nothing to decode
+     */
+    deobfuscateDetail(key, value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const text = key.toLowerCase().includes('content')
+            ? this.parser.unescapeScriptContent(String(value))
+            : this.parser.unescapeForwardSlashes(String(value));
+        return this.deobfuscate(text);
+    }
+
+    /**
+     * Deobfuscate a command line or script
+     * Encoded payloads are not covered by the redaction, so the decoded text is redacted as well
+     * @param {string} text - The command line or script
+     * @returns {Object|null} - The deobfuscated text and the applied steps, or null if nothing changed
+     */
+    deobfuscate(text) {
+        const result = this.deobfuscator.deobfuscate(text);
+        if (result && this.isAnonymized) {
+            result.text = this.parser.anonymizeString(result.text);
+        }
+        return result;
+    }
+
     /**
      * Render a single detail item
      * @param {string} key - The detail key
@@ -1715,25 +1675,13 @@ class XDRTreeVisualizer {
         }
 
         // Treat WMI Query fields the same as command lines (script styling)
-        const isWmiQuery = key.toLowerCase().includes('wmi query');
-        const isCommandLine = key.toLowerCase().includes('command line');
-        const isScript = valueType === 'script' || isWmiQuery;
+        const isScript = valueType === 'script' || key.toLowerCase().includes('wmi query');
         const valueClass = isScript ? 'detail-value script' : 'detail-value';
 
-        // Handle script content (especially "Content" fields) with proper newline display
-        let displayValue;
-        if (isScript && key.toLowerCase().includes('content')) {
-            // For script content, convert escaped newlines to actual line breaks and preserve formatting
-            displayValue = this.escapeHtml(this.unescapeForwardSlashes(String(value)))
-                .replace(/\\r\\n/g, '<br>')
-                .replace(/\\n/g, '<br>')
-                .replace(/\\r/g, '<br>');
-        } else if (isCommandLine || isScript || isWmiQuery) {
-            // For command lines and script values, unescape forward slashes
-            displayValue = this.escapeHtml(this.unescapeForwardSlashes(String(value)));
-        } else {
-            displayValue = this.escapeHtml(String(value));
-        }
+        // Script content (especially "Content" fields) keeps its line breaks
+        const displayValue = this.getDetailDisplayLines(key, value, valueType)
+            .map(line => this.escapeHtml(line))
+            .join('<br>');
 
         return `
             <div class="detail-item">
@@ -1743,6 +1691,26 @@ class XDRTreeVisualizer {
         `;
     }
 
+    /**
+     * Get the text of a detail value as it is shown in the details panel
+     * Command lines and script values are unescaped, escaped newlines of script content become line breaks
+     * @param {string} key - The detail key
+     * @param {string} value - The detail value
+     * @param {string} valueType - The value type
+     * @returns {Array<string>} - The lines of the value
+     */
+    getDetailDisplayLines(key, value, valueType = null) {
+        const lowerKey = key.toLowerCase();
+        const isScript = valueType === 'script' || lowerKey.includes('wmi query');
+
+        if (!isScript && !lowerKey.includes('command line')) {
+            return [String(value)];
+        }
+
+        const text = this.parser.unescapeForwardSlashes(String(value));
+        return isScript && lowerKey.includes('content') ? text.split(/\\r\\n|\\n|\\r/) : [text];
+    }
+
     /**
      * Minimize the upload section after successful file processing
      */
@@ -1754,7 +1722,10 @@ class XDRTreeVisualizer {
             uploadArea.classList.add('minimized');
 
             // Update text to show current file status
-            uploadText.textContent = 'File loaded successfully - Click to upload a different file';
+            const mergedStories = this.originalData && this.originalData.mergedStories;
+            uploadText.textContent = mergedStories
+                ? `${mergedStories.length} alert stories merged successfully - Click to upload different files`
+                : 'File loaded successfully - Click to upload a different file';
         }
     }
 
@@ -1772,21 +1743,17 @@ class XDRTreeVisualizer {
     }
 
     /**
-     * Toggle node details panel
+     * Toggle node details panel, the panel is built when it is opened
      * @param {string} nodeId - The node ID
      */
     toggleNodeDetails(nodeId) {
-        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-        if (!nodeElement) return;
+        const item = this.findDisplayedItem(nodeId);
+        if (!item || !this.parser.nodeHasDetails(item)) return;
 
-        const detailsPanel = nodeElement.querySelector('.details-panel');
-        if (!detailsPanel) return;
-
-        if (detailsPanel.style.display === 'none' || detailsPanel.style.display === '') {
-            detailsPanel.style.display = 'block';
-        } else {
-            detailsPanel.style.display = 'none';
-        }
+        const open = !this.treeRows.openDetails.has(item);
+        this.treeRows.setDetailsOpen(item, open);
+        this.openingDetails = open ? item : null;
+        this.renderVisibleRows(true);
     }
 
     /**
@@ -1815,7 +1782,13 @@ class XDRTreeVisualizer {
 
             // Apply anonymization if enabled
             if (this.isAnonymized) {
-                dataToDownload = this.createAnonymizedData(dataToDownload);
+                dataToDownload = this.parser.createAnonymizedData(dataToDownload);
+            }
+
+            // Notes can name users and hosts, they are redacted like the story
+            const sidecar = this.annotations.createSidecar(this.isAnonymized ? value => this.parser.anonymizeString(value) : null);
+            if (sidecar) {
+                dataToDownload[this.annotations.sidecarKey] = sidecar;
             }
 
             // Create filename with timestamp
@@ -1872,8 +1845,11 @@ class XDRTreeVisualizer {
                 throw new Error('Tree container not found');
             }
 
-            // Clone the tree container
-            const treeClone = treeContainer.cloneNode(true);
+            // Only the rows in view are rendered, the clone gets all expanded rows
+            const treeClone = treeContainer.cloneNode(false);
+            this.treeRows.rows.forEach((row, index) => {
+                treeClone.appendChild(this.renderRow(row, index));
+            });
 
             // Create a temporary container for capture
             const captureContainer = document.createElement('div');
@@ -1995,6 +1971,14 @@ class XDRTreeVisualizer {
 
         const downloadBtn = document.getElementById('download-json-btn');
         if (downloadBtn) downloadBtn.style.display = 'none';
+        const workspaceBtn = document.getElementById('save-workspace-btn');
+        if (workspaceBtn) workspaceBtn.style.display = 'none';
+        ['compare-btn', 'compare-summary-btn', 'exit-compare-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = 'none';
+        });
+        this.updateMappingButton();
+        this.closeRedactionReview();
 
         if (processTree) processTree.style.display = 'block';
         if (treeContent) treeContent.innerHTML = `<div class="error">${this.escapeHtml(message)}</div>`;
@@ -2013,704 +1997,1670 @@ class XDRTreeVisualizer {
 
         console.log('Extracting command lines...');
 
-        const commandLines = [];
-
+        let commandLines;
         if (this.isZoomedMode && this.zoomedNodeId) {
             console.log('Zoom mode active - extracting from visible nodes only');
+            commandLines = this.parser.extractCommandLines(this.getVisibleItems(), { recursive: false });
+        } else {
+            console.log('Normal mode - extracting from all displayed nodes');
+            commandLines = this.parser.extractCommandLines(this.getDisplayItems());
+        }
 
-            const visibleNodes = document.querySelectorAll('.tree-node');
-            const visibleTreeNodes = Array.from(visibleNodes).filter(node => node.offsetParent !== null);
-
-            console.log(`Found ${visibleTreeNodes.length} visible nodes in zoom mode`);
+        console.log(`Found ${commandLines.length} command lines`);
 
-            visibleTreeNodes.forEach(nodeElement => {
-                const nodeId = nodeElement.dataset.nodeId;
-                const item = this.findItemById(nodeId, this.data.items);
+        commandLines.forEach(cmd => {
+            cmd.deobfuscated = this.deobfuscate(this.parser.unescapeForwardSlashes(cmd.commandLine));
+        });
 
-                if (item) {
-                    const commandLine = this.getCommandLineFromItem(item);
-                    if (commandLine && commandLine.trim() !== '') {
-                        const timestamp = this.getTimestampFromItem(item);
-                        const processName = this.getProcessNameFromItem(item);
-                        const userInfo = this.getUserInfoFromItem(item);
+        let output = this.parser.formatCommandLines(commandLines);
 
-                        commandLines.push({
-                            timestamp: timestamp,
-                            processName: processName,
-                            userInfo: userInfo,
-                            commandLine: commandLine.trim()
-                        });
-                    }
-                }
-            });
-        } else {
-            // Normal mode: extract from all items recursively
-            console.log('Normal mode - extracting from all nodes');
-
-            // Function to recursively extract command lines from items
-            const extractFromItems = (items, depth = 0) => {
-                if (!Array.isArray(items)) return;
-
-                items.forEach(item => {
-                    // Check if this item has a command line
-                    const commandLine = this.getCommandLineFromItem(item);
-                    if (commandLine && commandLine.trim() !== '') {
-                        const timestamp = this.getTimestampFromItem(item);
-                        const processName = this.getProcessNameFromItem(item);
-                        const userInfo = this.getUserInfoFromItem(item);
-
-                        commandLines.push({
-                            timestamp: timestamp,
-                            processName: processName,
-                            userInfo: userInfo,
-                            commandLine: commandLine.trim()
-                        });
-                    }
+        if (output === '') {
+            const modeText = this.isZoomedMode ? 'visible (zoomed)' : (this.parser.isFilterActive(this.filter) ? 'filtered' : 'loaded');
+            output = `# No command lines found in the ${modeText} data\n# This might indicate that the data doesn't contain process creation events with command lines`;
+        }
 
-                    // Recursively check children
-                    if (item.children && Array.isArray(item.children)) {
-                        extractFromItems(item.children, depth + 1);
-                    }
-                    if (item.nestedItems && Array.isArray(item.nestedItems)) {
-                        extractFromItems(item.nestedItems, depth + 1);
-                    }
-                });
-            };
+        const modeText = this.getViewModeText();
+        this.showAnalysisOutput(`Command Lines${modeText} (sorted by timestamp)`, output);
+    }
 
-            // Extract from root items
-            extractFromItems(this.data.items);
+    /**
+     * Extract all PowerShell scripts from the data, sorted by timestamp
+     */
+    extractPowerShellScripts() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        // Sort by timestamp (ascending)
-        commandLines.sort((a, b) => {
-            if (!a.timestamp && !b.timestamp) return 0;
-            if (!a.timestamp) return 1;
-            if (!b.timestamp) return -1;
-            return new Date(a.timestamp) - new Date(b.timestamp);
-        });
+        console.log('Extracting PowerShell scripts...');
 
-        console.log(`Found ${commandLines.length} command lines`);
+        let scripts;
+        if (this.isZoomedMode && this.zoomedNodeId) {
+            console.log('Zoom mode active - extracting PowerShell scripts from visible nodes only');
+            scripts = this.parser.extractPowerShellScripts(this.getVisibleItems(), { recursive: false });
+        } else {
+            console.log('Normal mode - extracting PowerShell scripts from all displayed nodes');
+            scripts = this.parser.extractPowerShellScripts(this.getDisplayItems());
+        }
 
-        // Format the output
-        let output = '';
-        commandLines.forEach((cmd, index) => {
-            const timeStr = cmd.timestamp ? new Date(cmd.timestamp).toLocaleString() : 'No timestamp';
-            // Unescape forward slashes in command line for better readability
-            const unescapedCommandLine = this.unescapeForwardSlashes(cmd.commandLine);
-            output += `# ${timeStr} - ${cmd.processName} - User: ${cmd.userInfo}\n`;
-            output += `${unescapedCommandLine}\n\n`;
+        console.log(`Found ${scripts.length} PowerShell scripts`);
+
+        scripts.forEach(script => {
+            script.deobfuscated = this.deobfuscate(this.parser.unescapeScriptContent(script.scriptContent));
         });
 
+        let output = this.parser.formatPowerShellScripts(scripts);
+
         if (output === '') {
-            const modeText = this.isZoomedMode ? 'visible (zoomed)' : 'loaded';
-            output = `# No command lines found in the ${modeText} data\n# This might indicate that the data doesn't contain process creation events with command lines`;
+            const modeText = this.isZoomedMode ? 'visible (zoomed)' : (this.parser.isFilterActive(this.filter) ? 'filtered' : 'loaded');
+            output = `# No PowerShell scripts found in the ${modeText} data\n# This might indicate that the data doesn't contain "powershell.exe executed a script" events`;
         }
 
-        // Update the title and display in shared textarea
-        const titleElement = document.getElementById('analysis-output-title');
-        if (titleElement) {
-            const modeText = this.isZoomedMode ? ' (zoomed view)' : '';
-            titleElement.textContent = `Command Lines${modeText} (sorted by timestamp)`;
-        }
-
-        const textarea = document.getElementById('analysis-output');
-        if (textarea) {
-            textarea.value = output;
-        }
-
-        // Show the copy button
-        const copyBtn = document.getElementById('copy-analysis-btn');
-        if (copyBtn) {
-            copyBtn.style.display = 'inline-block';
-        }
-
-        // Show the analysis tools section
-        const analysisSection = document.getElementById('analysis-tools');
-        if (analysisSection) {
-            analysisSection.style.display = 'block';
-        }
+        const modeText = this.getViewModeText();
+        this.showAnalysisOutput(`PowerShell Scripts${modeText} (sorted by timestamp)`, output);
     }
 
     /**
-     * Extract all PowerShell scripts from the data, sorted by timestamp
+     * Extract the process tree as text-only format
      */
-    extractPowerShellScripts() {
+    extractProcessTree() {
         if (!this.data || !this.data.items) {
             this.showError('No data loaded. Please upload a file first.');
             return;
         }
 
-        console.log('Extracting PowerShell scripts...');
+        console.log('Extracting process tree as text...');
 
-        const scripts = [];
+        let output = '';
 
         if (this.isZoomedMode && this.zoomedNodeId) {
-            console.log('Zoom mode active - extracting PowerShell scripts from visible nodes only');
-
-            const visibleNodes = document.querySelectorAll('.tree-node');
-            const visibleTreeNodes = Array.from(visibleNodes).filter(node => node.offsetParent !== null);
-
-            console.log(`Found ${visibleTreeNodes.length} visible nodes in zoom mode`);
+            console.log('Zoom mode active - extracting text tree from visible nodes only');
 
-            visibleTreeNodes.forEach(nodeElement => {
-                const nodeId = nodeElement.dataset.nodeId;
-                const item = this.findItemById(nodeId, this.data.items);
+            // In zoom mode, the tree is built from the expanded rows
+            const visibleRows = this.treeRows.rows.filter(row => !row.alert);
 
-                if (item) {
-                    const scriptContent = this.getPowerShellScriptFromItem(item);
-                    if (scriptContent && scriptContent.trim() !== '') {
-                        const timestamp = this.getTimestampFromItem(item);
-                        const processName = this.getProcessNameFromItem(item);
-                        const userInfo = this.getUserInfoFromItem(item);
+            output += `# Process Tree (Zoomed View)\n`;
+            output += `# Showing ${visibleRows.length} visible nodes\n`;
+            output += `# Generated: ${new Date().toLocaleString()}\n\n`;
 
-                        scripts.push({
-                            timestamp: timestamp,
-                            processName: processName,
-                            userInfo: userInfo,
-                            scriptContent: scriptContent.trim()
-                        });
-                    }
-                }
+            visibleRows.forEach(row => {
+                output += this.parser.formatNodeAsText(row.item, row.level);
             });
         } else {
             // Normal mode: extract from all items recursively
-            console.log('Normal mode - extracting PowerShell scripts from all nodes');
-
-            // Function to recursively extract PowerShell scripts from items
-            const extractFromItems = (items, depth = 0) => {
-                if (!Array.isArray(items)) return;
-
-                items.forEach(item => {
-                    // Check if this item has a PowerShell script
-                    const scriptContent = this.getPowerShellScriptFromItem(item);
-                    if (scriptContent && scriptContent.trim() !== '') {
-                        const timestamp = this.getTimestampFromItem(item);
-                        const processName = this.getProcessNameFromItem(item);
-                        const userInfo = this.getUserInfoFromItem(item);
-
-                        scripts.push({
-                            timestamp: timestamp,
-                            processName: processName,
-                            userInfo: userInfo,
-                            scriptContent: scriptContent.trim()
-                        });
-                    }
+            console.log('Normal mode - extracting text tree from all displayed nodes');
 
-                    // Recursively check children
-                    if (item.children && Array.isArray(item.children)) {
-                        extractFromItems(item.children, depth + 1);
-                    }
-                    if (item.nestedItems && Array.isArray(item.nestedItems)) {
-                        extractFromItems(item.nestedItems, depth + 1);
-                    }
-                });
-            };
+            const displayItems = this.getDisplayItems();
+            const filtered = this.parser.isFilterActive(this.filter);
 
-            // Extract from root items
-            extractFromItems(this.data.items);
+            output += `# Process Tree (${filtered ? 'Filtered' : 'Complete'} View)\n`;
+            output += `# Total Items: ${filtered ? this.parser.computeStats(displayItems).total : this.stats.total}\n`;
+            output += `# Generated: ${new Date().toLocaleString()}\n\n`;
+            output += this.parser.buildProcessTreeText(displayItems);
         }
 
-        // Sort by timestamp (ascending)
-        scripts.sort((a, b) => {
-            if (!a.timestamp && !b.timestamp) return 0;
-            if (!a.timestamp) return 1;
-            if (!b.timestamp) return -1;
-            return new Date(a.timestamp) - new Date(b.timestamp);
-        });
-
-        console.log(`Found ${scripts.length} PowerShell scripts`);
-
-        // Format the output
-        let output = '';
-        scripts.forEach((script, index) => {
-            const timeStr = script.timestamp ? new Date(script.timestamp).toLocaleString() : 'No timestamp';
-            // Unescape forward slashes and other escaped characters for better readability
-            const unescapedScript = this.unescapeScriptContent(script.scriptContent);
-            output += `# ${timeStr} - ${script.processName} - User: ${script.userInfo}\n`;
-            output += `${unescapedScript}\n\n`;
-            output += `# ${'='.repeat(80)}\n\n`; // Add separator between scripts
-        });
-
         if (output === '') {
-            const modeText = this.isZoomedMode ? 'visible (zoomed)' : 'loaded';
-            output = `# No PowerShell scripts found in the ${modeText} data\n# This might indicate that the data doesn't contain "powershell.exe executed a script" events`;
-        }
-
-        // Update the title and display in shared textarea
-        const titleElement = document.getElementById('analysis-output-title');
-        if (titleElement) {
-            const modeText = this.isZoomedMode ? ' (zoomed view)' : '';
-            titleElement.textContent = `PowerShell Scripts${modeText} (sorted by timestamp)`;
-        }
-
-        const textarea = document.getElementById('analysis-output');
-        if (textarea) {
-            textarea.value = output;
-        }
-
-        // Show the copy button
-        const copyBtn = document.getElementById('copy-analysis-btn');
-        if (copyBtn) {
-            copyBtn.style.display = 'inline-block';
+            const modeText = this.isZoomedMode ? 'visible (zoomed)' : (this.parser.isFilterActive(this.filter) ? 'filtered' : 'loaded');
+            output = `# No process tree data found in the ${modeText} data\n# This might indicate an issue with the data structure`;
         }
 
-        // Show the analysis tools section
-        const analysisSection = document.getElementById('analysis-tools');
-        if (analysisSection) {
-            analysisSection.style.display = 'block';
-        }
+        const modeText = this.getViewModeText();
+        this.showAnalysisOutput(`Process Tree${modeText} (text format)`, output);
     }
 
     /**
-     * Extract the process tree as text-only format
+     * Extract IOCs (hashes, paths, IPs, domains, URLs, registry keys) from the data
      */
-    extractProcessTree() {
+    extractIocs() {
         if (!this.data || !this.data.items) {
             this.showError('No data loaded. Please upload a file first.');
             return;
         }
 
-        console.log('Extracting process tree as text...');
-
-        let output = '';
+        console.log('Extracting IOCs...');
 
         if (this.isZoomedMode && this.zoomedNodeId) {
-            console.log('Zoom mode active - extracting text tree from visible nodes only');
-
-            // In zoom mode, we need to reconstruct the tree from visible nodes
-            const visibleNodes = document.querySelectorAll('.tree-node');
-            const visibleTreeNodes = Array.from(visibleNodes).filter(node => node.offsetParent !== null);
-
-            output += `# Process Tree (Zoomed View)\n`;
-            output += `# Showing ${visibleTreeNodes.length} visible nodes\n`;
-            output += `# Generated: ${new Date().toLocaleString()}\n\n`;
-
-            // Build tree structure from visible DOM nodes
-            visibleTreeNodes.forEach(nodeElement => {
-                const nodeId = nodeElement.dataset.nodeId;
-                const item = this.findItemById(nodeId, this.data.items);
-
-                if (item) {
-                    const indentElement = nodeElement.querySelector('.tree-indent');
-                    const indentLevel = indentElement ? indentElement.textContent.replace(/[└├│─\s]/g, '').length / 4 : 0;
-
-                    output += this.formatNodeAsText(item, indentLevel);
-                }
-            });
+            console.log('Zoom mode active - extracting IOCs from visible nodes only');
+            this.lastIocs = this.iocExtractor.extractIocs(this.getVisibleItems(), { recursive: false });
         } else {
-            // Normal mode: extract from all items recursively
-            console.log('Normal mode - extracting text tree from all nodes');
-
-            output += `# Process Tree (Complete View)\n`;
-            output += `# Total Items: ${this.stats.total}\n`;
-            output += `# Generated: ${new Date().toLocaleString()}\n\n`;
-
-            // Function to recursively build text tree from items
-            const buildTextTree = (items, level = 0) => {
-                if (!Array.isArray(items)) return;
-
-                items.forEach(item => {
-                    // Filter out nodes we don't display (same logic as renderNode)
-                    const nodeSubtitle = this.getNodeSubtitle(item);
-                    if (nodeSubtitle && (nodeSubtitle.includes('PE metadata') || nodeSubtitle.includes('User') || nodeSubtitle.includes('Web data file'))) {
-                        // Still process children
-                        if (item.children && Array.isArray(item.children)) {
-                            buildTextTree(item.children, level);
-                        }
-                        if (item.nestedItems && Array.isArray(item.nestedItems)) {
-                            buildTextTree(item.nestedItems, level);
-                        }
-                        return;
-                    }
-
-                    output += this.formatNodeAsText(item, level);
+            console.log('Normal mode - extracting IOCs from all displayed nodes');
+            this.lastIocs = this.iocExtractor.extractIocs(this.getDisplayItems());
+        }
 
-                    // Recursively process children
-                    if (item.children && Array.isArray(item.children)) {
-                        buildTextTree(item.children, level + 1);
-                    }
-                    if (item.nestedItems && Array.isArray(item.nestedItems)) {
-                        buildTextTree(item.nestedItems, level + 1);
-                    }
-                });
-            };
+        console.log(`Found ${this.lastIocs.length} IOCs`);
 
-            // Build text tree from root items
-            buildTextTree(this.data.items);
-        }
+        let output = this.iocExtractor.formatIocs(this.lastIocs);
 
         if (output === '') {
-            const modeText = this.isZoomedMode ? 'visible (zoomed)' : 'loaded';
-            output = `# No process tree data found in the ${modeText} data\n# This might indicate an issue with the data structure`;
+            const modeText = this.isZoomedMode ? 'visible (zoomed)' : (this.parser.isFilterActive(this.filter) ? 'filtered' : 'loaded');
+            output = `# No IOCs found in the ${modeText} data`;
         }
 
-        // Update the title and display in shared textarea
-        const titleElement = document.getElementById('analysis-output-title');
-        if (titleElement) {
-            const modeText = this.isZoomedMode ? ' (zoomed view)' : '';
-            titleElement.textContent = `Process Tree${modeText} (text format)`;
-        }
+        const modeText = this.getViewModeText();
+        this.showAnalysisOutput(`IOCs${modeText} (${this.lastIocs.length} unique values)`, output);
 
-        const textarea = document.getElementById('analysis-output');
-        if (textarea) {
-            textarea.value = output;
+        if (this.lastIocs.length > 0) {
+            this.showToolExportButtons(['export-iocs-csv-btn', 'export-iocs-list-btn']);
         }
+    }
 
-        // Show the copy button
-        const copyBtn = document.getElementById('copy-analysis-btn');
-        if (copyBtn) {
-            copyBtn.style.display = 'inline-block';
-        }
+    /**
+     * Get the items of the current view as a tree: the zoomed subtree or the filtered story
+     * @returns {Array} - The root items of the view
+     */
+    getViewItems() {
+        const displayItems = this.displayItems.length > 0 ? this.displayItems : this.getDisplayItems();
 
-        // Show the analysis tools section
-        const analysisSection = document.getElementById('analysis-tools');
-        if (analysisSection) {
-            analysisSection.style.display = 'block';
+        if (this.isZoomedMode && this.zoomedNodeId) {
+            const zoomedItem = this.findDisplayedItem(this.zoomedNodeId);
+            return zoomedItem ? [zoomedItem] : [];
         }
+
+        return displayItems;
     }
 
     /**
-     * Format a node as text with proper indentation and tree structure
-     * @param {Object} item - The item to format
-     * @param {number} level - The indentation level
-     * @returns {string} - Formatted text representation
+     * Find the displayed item of a rendered node
+     * Node IDs of items without id are random, so the index of the rendered tree is used instead of findItemById
+     * @param {string} nodeId - The node ID of the element
+     * @returns {Object|null} - The item or null
      */
-    formatNodeAsText(item, level) {
-        if (!item) return '';
+    findDisplayedItem(nodeId) {
+        return nodeId ? this.treeRows.findItem(nodeId) : null;
+    }
 
-        // Create tree-style indentation
-        let indent = '';
-        for (let i = 0; i < level; i++) {
-            indent += '    '; // 4 spaces per level
+    /**
+     * Show the current tree as nested Markdown lists for case notes
+     */
+    exportMarkdownReport() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        // Get node information
-        const type = this.getItemType(item);
-        const icon = this.getNodeIcon(type, item);
-        const title = this.getNodeTitle(item);
-        const subtitle = this.getNodeSubtitle(item);
-        const commandLine = this.getNodeCommandLine(item);
-        const time = this.formatTime(item.time);
-
-        // Check if this node has alerts
-        const hasAlertsInTree = this.nodeHasAlertsInTree(item);
-        const alertIndicator = hasAlertsInTree ? '🚨 ' : '';
+        const title = `Process Tree${this.getViewModeText()}`;
+        const output = this.reportExporter.formatMarkdown(this.getViewItems(), title);
+        this.lastReport = { content: output, baseName: 'xdr_process_tree', extension: 'md', mimeType: 'text/markdown' };
 
-        // Build the main line
-        let line = `${indent}${icon} ${alertIndicator}${title}`;
+        this.showAnalysisOutput(`${title} (Markdown)`, output);
+        this.showToolExportButtons(['download-report-btn']);
+    }
 
-        // Add timestamp if available
-        if (time) {
-            line += ` [${time}]`;
+    /**
+     * Show the current tree as an HTML fragment with collapsible nodes for ticket bodies
+     */
+    exportHtmlReport() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        line += '\n';
+        const title = `Process Tree${this.getViewModeText()}`;
+        const output = this.reportExporter.formatHtml(this.getViewItems(), title);
+        this.lastReport = { content: output, baseName: 'xdr_process_tree', extension: 'html', mimeType: 'text/html' };
 
-        // Add subtitle if available
-        if (subtitle && subtitle.trim() !== '') {
-            line += `${indent}    └─ ${subtitle}\n`;
-        }
+        this.showAnalysisOutput(`${title} (HTML)`, output);
+        this.showToolExportButtons(['download-report-btn']);
+    }
 
-        // Add command line if available
-        if (commandLine && commandLine.trim() !== '') {
-            const unescapedCommandLine = this.unescapeForwardSlashes(commandLine);
-            line += `${indent}    └─ Command: ${unescapedCommandLine}\n`;
+    /**
+     * Show the current tree as Mermaid flowchart, with downloads for DOT, Mermaid and GraphML
+     */
+    exportGraph() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        // Add associated alerts
-        if (item.associatedAlerts && Array.isArray(item.associatedAlerts) && item.associatedAlerts.length > 0) {
-            item.associatedAlerts.forEach(alert => {
-                if (alert.alertDisplayName) {
-                    line += `${indent}    └─ 🚨 Alert: ${alert.alertDisplayName}\n`;
-                }
-            });
-        }
+        const output = this.graphExporter.formatMermaid(this.getViewItems());
 
-        return line;
+        this.showAnalysisOutput(`Process Graph${this.getViewModeText()} (Mermaid)`, output);
+        this.showToolExportButtons(['export-graph-dot-btn', 'export-graph-mermaid-btn', 'export-graph-graphml-btn']);
     }
 
     /**
-     * Copy analysis results to clipboard
+     * Download the current tree as graph file
+     * @param {string} format - dot, mermaid or graphml
      */
-    copyAnalysisResults() {
-        const textarea = document.getElementById('analysis-output');
-        if (textarea && textarea.value) {
-            navigator.clipboard.writeText(textarea.value).then(() => {
-                // Temporarily change button text to show success
-                const copyBtn = document.getElementById('copy-analysis-btn');
-                if (copyBtn) {
-                    const originalText = copyBtn.innerHTML;
-                    copyBtn.innerHTML = '✅ Copied!';
-                    setTimeout(() => {
-                        copyBtn.innerHTML = originalText;
-                    }, 2000);
-                }
-            }).catch(err => {
-                console.error('Failed to copy to clipboard:', err);
-                // Fallback: select the text
-                textarea.select();
-                textarea.setSelectionRange(0, 99999); // For mobile devices
-            });
+    downloadGraph(format) {
+        if (!this.data || !this.data.items) return;
+
+        const items = this.getViewItems();
+        switch (format) {
+            case 'dot':
+                this.downloadTextFile(this.graphExporter.formatDot(items), 'xdr_process_graph', 'dot', 'text/vnd.graphviz');
+                break;
+            case 'mermaid':
+                this.downloadTextFile(this.graphExporter.formatMermaid(items), 'xdr_process_graph', 'mmd', 'text/plain');
+                break;
+            case 'graphml':
+                this.downloadTextFile(this.graphExporter.formatGraphMl(items), 'xdr_process_graph', 'graphml', 'application/xml');
+                break;
         }
     }
 
     /**
-     * Extract command line from an item using the same logic as getNodeCommandLine
-     * @param {Object} item - The item to extract command line from
-     * @returns {string|null} - The command line or null
+     * Show every item as one row of a CSV table, for the full story or the zoomed subtree
      */
-    getCommandLineFromItem(item) {
-        // First check for command line in entity
-        if (item.entity && item.entity.Commandline) {
-            return item.entity.Commandline;
+    exportEventTable() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        // Check for command line in item details array
-        if (item.details && Array.isArray(item.details)) {
-            const commandLineDetail = item.details.find(detail =>
-                detail.key && detail.key.toLowerCase() === 'command line' && detail.value
-            );
-            if (commandLineDetail) {
-                return commandLineDetail.value;
-            }
+        const rows = this.parser.buildEventTable(this.getEventTableItems());
+        const scopeText = this.isZoomedSubtreeScope() ? ' (zoomed subtree)' : ' (full story)';
 
-            // Also check for WMI Query in item details
-            const wmiQuery = item.details.find(detail =>
-                detail.key && detail.key.toLowerCase().includes('wmi query') && detail.value
-            );
-            if (wmiQuery) {
-                return `WMI: ${wmiQuery.value}`;
-            }
-        }
+        this.showAnalysisOutput(`Event Table${scopeText} (${rows.length} rows)`, this.parser.formatEventTable(rows));
+        this.showToolExportButtons(['export-events-csv-btn', 'export-events-tsv-btn']);
 
-        // Check in additionalDetails as a fallback
-        if (item.additionalDetails && Array.isArray(item.additionalDetails)) {
-            for (const additionalDetail of item.additionalDetails) {
-                if (additionalDetail.details && Array.isArray(additionalDetail.details)) {
-                    const commandLineDetail = additionalDetail.details.find(detail =>
-                        detail.key && detail.key.toLowerCase() === 'command line' && detail.value
-                    );
-                    if (commandLineDetail) {
-                        return commandLineDetail.value;
-                    }
-                }
-            }
+        // The scope can only be chosen while zoomed
+        if (this.isZoomedMode && this.zoomedNodeId) {
+            this.showToolExportButtons(['event-table-scope']);
         }
+    }
 
-        return null;
+    /**
+     * Check if the event table is limited to the zoomed subtree
+     * @returns {boolean} - Whether the zoomed subtree is exported
+     */
+    isZoomedSubtreeScope() {
+        const scopeSelect = document.getElementById('event-table-scope');
+        return !!(this.isZoomedMode && this.zoomedNodeId && (!scopeSelect || scopeSelect.value === 'zoomed'));
     }
 
     /**
-     * Extract timestamp from an item
-     * @param {Object} item - The item to extract timestamp from
-     * @returns {string|null} - The timestamp or null
+     * Get the items of the event table
+     * @returns {Array} - The zoomed subtree or all items of the story
      */
-    getTimestampFromItem(item) {
-        // Check various timestamp fields
-        if (item.time) return item.time;
-        if (item.entity && item.entity.CreationTime) return item.entity.CreationTime;
-        if (item.processCreationTime) return item.processCreationTime;
-        if (item.timestamp) return item.timestamp;
-        return null;
+    getEventTableItems() {
+        return this.isZoomedSubtreeScope() ? this.getViewItems() : this.data.items;
     }
 
     /**
-     * Extract process name from an item using similar logic as getNodeTitle
-     * @param {Object} item - The item to extract process name from
-     * @returns {string} - The process name
+     * Download the event table
+     * @param {string} format - csv or tsv
      */
-    getProcessNameFromItem(item) {
-        // Check title first
-        if (item.title && item.title.main) {
-            return item.title.main;
-        }
+    downloadEventTable(format) {
+        if (!this.data || !this.data.items) return;
 
-        // Check entity
-        if (item.entity) {
-            if (item.entity.ImageFile && item.entity.ImageFile.FileName) {
-                return item.entity.ImageFile.FileName;
-            }
-            if (item.entity.User && item.entity.User.UserName) {
-                return `${item.entity.User.DomainName || ''}\\${item.entity.User.UserName}`;
-            }
+        const rows = this.parser.buildEventTable(this.getEventTableItems());
+        if (format === 'tsv') {
+            this.downloadTextFile(this.parser.formatEventTable(rows, '\t'), 'xdr_events', 'tsv', 'text/tab-separated-values');
+        } else {
+            this.downloadTextFile(this.parser.formatEventTable(rows), 'xdr_events', 'csv', 'text/csv');
         }
-
-        // Fallback checks
-        if (item.fileName) return item.fileName;
-        if (item.processName) return item.processName;
-        if (item.name) return item.name;
-
-        return 'Unknown Process';
     }
 
     /**
-     * Extract user information from an item
-     * @param {Object} item - The item to extract user info from
-     * @returns {string} - The user information
+     * Show the current tree as STIX 2.1 bundle, using the redacted data when anonymization is on
      */
-    getUserInfoFromItem(item) {
-        // Check entity first
-        if (item.entity && item.entity.User) {
-            const user = item.entity.User;
-            if (user.UserName) {
-                if (user.DomainName) {
-                    return `${user.DomainName}\\${user.UserName}`;
-                }
-                return user.UserName;
-            }
-            if (user.Sid) {
-                return `SID: ${user.Sid}`;
-            }
+    exportStix() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        // Check direct properties
-        if (item.accountName) {
-            if (item.accountDomain) {
-                return `${item.accountDomain}\\${item.accountName}`;
-            }
-            return item.accountName;
-        }
+        this.lastStixBundle = this.stixExporter.formatBundle(this.getViewItems());
 
-        if (item.initiatingProcessAccountName) {
-            if (item.initiatingProcessAccountDomain) {
-                return `${item.initiatingProcessAccountDomain}\\${item.initiatingProcessAccountName}`;
-            }
-            return item.initiatingProcessAccountName;
-        }
+        this.showAnalysisOutput(`STIX 2.1 Bundle${this.getViewModeText()}`, this.lastStixBundle);
+        this.showToolExportButtons(['export-stix-btn']);
+    }
 
-        if (item.accountUpn) {
-            return item.accountUpn;
-        }
+    /**
+     * Download the last STIX bundle
+     */
+    downloadStix() {
+        if (!this.lastStixBundle) return;
+        this.downloadTextFile(this.lastStixBundle, 'xdr_stix_bundle', 'json', 'application/stix+json');
+    }
 
-        if (item.accountSid) {
-            return `SID: ${item.accountSid}`;
+    /**
+     * Show the nodes of the current view with a risk score, sorted by the selected order
+     */
+    showTopSuspiciousNodes() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
         }
 
-        return 'Unknown User';
+        const sortSelect = document.getElementById('risk-sort');
+        const sortBy = sortSelect ? sortSelect.value : 'score';
+        const nodes = this.riskScorer.getRankedNodes(this.getViewItems(), this.riskScores, sortBy);
+        const modeText = this.getViewModeText();
+
+        this.showAnalysisOutput(`Top Suspicious Nodes${modeText} (${nodes.length} scored)`, this.riskScorer.formatRankedNodes(nodes, sortBy, modeText));
+        this.showToolExportButtons(['risk-sort']);
     }
 
     /**
-     * Unescape forward slashes for better readability in command lines
-     * @param {string} str - The string with escaped forward slashes
-     * @returns {string} - The string with unescaped forward slashes
+     * Show the ATT&CK techniques of the current view grouped by tactic
+     * @param {Array<string>} messages - Messages to show above the summary, e.g. rule loading errors
      */
-    unescapeForwardSlashes(str) {
-        if (!str || typeof str !== 'string') return str;
-        return str.replace(/\\\//g, '/');
+    showAttackSummary(messages = []) {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
+        }
+
+        const matrix = this.attackTagger.buildMatrix(this.getViewItems());
+        let output = messages.map(message => `# ${message}\n`).join('');
+        if (output) output += '\n';
+        output += this.attackTagger.formatMatrix(matrix, this.getViewModeText());
+
+        this.showAnalysisOutput(`MITRE ATT&CK Summary${this.getViewModeText()} (${matrix.techniqueCount} techniques)`, output);
+        this.showToolExportButtons(this.attackTagger.customRules.length > 0
+            ? ['load-attack-rules-btn', 'clear-attack-rules-btn']
+            : ['load-attack-rules-btn']);
     }
 
     /**
-     * Find an item by its node ID in the data structure
-     * @param {string} nodeId - The node ID to search for
-     * @param {Array} items - The items array to search in
-     * @returns {Object|null} - The found item or null
+     * Load custom ATT&CK rules from a local JSON file and keep them for the next visit
+     * @param {File} file - The JSON file
      */
-    findItemById(nodeId, items) {
-        if (!Array.isArray(items)) return null;
-
-        for (const item of items) {
-            // Check if this item matches the ID
-            const itemId = this.getNodeId(item);
-            if (itemId === nodeId) {
-                return item;
-            }
+    async loadAttackRules(file) {
+        try {
+            const rules = JSON.parse(await this.readFile(file));
+            const result = this.attackTagger.setCustomRules(rules);
 
-            // Search in children
-            if (item.children && Array.isArray(item.children)) {
-                const found = this.findItemById(nodeId, item.children);
-                if (found) return found;
-            }
+            localStorage.setItem('xdr-attack-rules', JSON.stringify(this.attackTagger.customRules));
+            console.log(`Loaded ${result.added} custom ATT&CK rules from ${file.name}`);
 
-            // Search in nested items
-            if (item.nestedItems && Array.isArray(item.nestedItems)) {
-                const found = this.findItemById(nodeId, item.nestedItems);
-                if (found) return found;
+            if (this.data) {
+                // The technique badges change, and with them the search texts
+                this.searchTexts = new WeakMap();
+                this.renderTree();
+                this.showAttackSummary([`Loaded ${result.added} custom rules from ${file.name}`, ...result.errors]);
             }
+        } catch (error) {
+            console.error('Error loading ATT&CK rules:', error);
+            this.showError(`Error loading ATT&CK rules: ${error.message}`);
         }
-
-        return null;
     }
 
     /**
-     * Extract PowerShell script content from an item
-     * @param {Object} item - The item to extract PowerShell script from
-     * @returns {string|null} - The PowerShell script content or null
+     * Remove the custom ATT&CK rules
      */
-    getPowerShellScriptFromItem(item) {
-        // Check if this is a PowerShell script execution event
-        const nodeTitle = this.getNodeTitle(item);
-        const nodeSubtitle = this.getNodeSubtitle(item);
+    clearAttackRules() {
+        this.attackTagger.setCustomRules([]);
+        localStorage.removeItem('xdr-attack-rules');
 
-        const isPowerShellScript = (nodeTitle && nodeTitle.toLowerCase().includes('powershell.exe executed a script')) ||
-            (nodeSubtitle && nodeSubtitle.toLowerCase().includes('powershell.exe executed a script'));
-
-        if (!isPowerShellScript) {
-            return null;
+        if (this.data) {
+            this.searchTexts = new WeakMap();
+            this.renderTree();
+            this.showAttackSummary(['Custom rules removed']);
         }
+    }
 
-        // Look for Content in the details
-        if (item.details && Array.isArray(item.details)) {
-            const contentDetail = item.details.find(detail =>
-                detail.key && detail.key.toLowerCase() === 'content' && detail.value
-            );
-            if (contentDetail) {
-                return contentDetail.value;
+    /**
+     * Initialize custom ATT&CK rules from localStorage
+     */
+    initializeAttackRules() {
+        try {
+            const savedRules = JSON.parse(localStorage.getItem('xdr-attack-rules') || '[]');
+            if (savedRules.length > 0) {
+                this.attackTagger.setCustomRules(savedRules);
             }
+        } catch (error) {
+            console.warn('Failed to load saved ATT&CK rules:', error);
         }
 
-        // Also check in additionalDetails
-        if (item.additionalDetails && Array.isArray(item.additionalDetails)) {
-            for (const section of item.additionalDetails) {
-                if (section.details && Array.isArray(section.details)) {
-                    const contentDetail = section.details.find(detail =>
-                        detail.key && detail.key.toLowerCase() === 'content' && detail.value
-                    );
-                    if (contentDetail) {
-                        return contentDetail.value;
-                    }
+        const rulesInput = document.getElementById('attack-rules-input');
+        if (rulesInput) {
+            rulesInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadAttackRules(e.target.files[0]);
                 }
-            }
+                // Allow loading the same file again after editing it
+                e.target.value = '';
+            });
+        }
+    }
+
+    /**
+     * Load the annotations saved for the current story and add the imported ones
+     * Own annotations win over imported ones of the same node
+     * @param {Object} importedAnnotations - Annotations from the sidecar of the loaded files
+     */
+    loadAnnotations(importedAnnotations = {}) {
+        this.storyKey = this.annotations.getStoryKey(this.originalData);
+
+        try {
+            const savedAnnotations = JSON.parse(localStorage.getItem(`xdr-annotations-${this.storyKey}`) || '{}');
+            this.annotations.setAnnotations(savedAnnotations);
+        } catch (error) {
+            console.warn('Failed to load saved annotations:', error);
+            this.annotations.setAnnotations({});
         }
 
-        return null;
+        if (Object.keys(importedAnnotations).length > 0) {
+            const result = this.annotations.mergeAnnotations(importedAnnotations);
+            result.errors.forEach(error => console.warn(`Skipped imported annotation ${error}`));
+            console.log(`Imported ${result.added} annotations from the story file`);
+            this.saveAnnotations();
+        }
     }
 
     /**
-     * Unescape script content for better readability
-     * @param {string} str - The script content with escaped characters
-     * @returns {string} - The script content with unescaped characters
+     * Persist the annotations of the current story
      */
-    unescapeScriptContent(str) {
-        if (!str || typeof str !== 'string') return str;
+    saveAnnotations() {
+        if (!this.storyKey) return;
 
-        return str
-            .replace(/\\\//g, '/') // Unescape forward slashes
-            .replace(/\\r\\n/g, '\n') // Convert Windows line breaks
-            .replace(/\\n/g, '\n') // Convert Unix line breaks  
-            .replace(/\\r/g, '\n') // Convert Mac line breaks
-            .replace(/\\t/g, '\t') // Convert tabs
-            .replace(/\\"/g, '"') // Unescape double quotes
-            .replace(/\\\\/g, '\\'); // Unescape backslashes (do this last)
+        const key = `xdr-annotations-${this.storyKey}`;
+        if (this.annotations.getCount() === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(this.annotations.annotations));
+        }
     }
 
     /**
-     * Change the application theme
-     * @param {string} themeName
+     * Map the node IDs of the redacted data to the original node IDs
      */
-    changeTheme(themeName) {
-        const body = document.body;
+    updateOriginalNodeIds() {
+        this.originalNodeIds = new Map();
+        if (!this.isAnonymized || !this.data || !this.originalData) return;
 
-        // Remove existing theme classes
-        body.classList.remove('theme-cyberpunk', 'theme-professional', 'theme-timeline');
+        // The redacted data is a copy of the original with the same structure
+        const visit = (dataItems, originalItems) => {
+            if (!Array.isArray(dataItems) || !Array.isArray(originalItems)) return;
 
-        // Add new theme class
+            dataItems.forEach((dataItem, index) => {
+                const original = originalItems[index];
+                if (!dataItem || !original) return;
+                if (dataItem.id && original.id) {
+                    this.originalNodeIds.set(dataItem.id, original.id);
+                }
+                visit(dataItem.children, original.children);
+                visit(dataItem.nestedItems, original.nestedItems);
+            });
+        };
+
+        visit(this.data.items, this.originalData.items);
+    }
+
+    /**
+     * Get the key the annotation of a node is stored under
+     * Annotations always use the original node ID, so they survive toggling the redaction
+     * @param {Object} node - The displayed node
+     * @returns {string|null} - The key, or null if the node cannot be annotated
+     */
+    getAnnotationKey(node) {
+        if (!this.annotations.canAnnotate(node)) return null;
+        const nodeId = this.parser.getNodeId(node);
+        return this.originalNodeIds.get(nodeId) || nodeId;
+    }
+
+    /**
+     * Show or hide the annotation editor of a node
+     * One editor is open at a time, what was typed is kept while its row is scrolled out of view
+     * @param {string} nodeId - The node ID
+     */
+    toggleAnnotationEditor(nodeId) {
+        const item = this.findDisplayedItem(nodeId);
+        if (!item) return;
+
+        if (this.annotationEditor && this.annotationEditor.item === item) {
+            this.annotationEditor = null;
+            this.renderVisibleRows(true);
+            return;
+        }
+
+        const annotation = this.annotations.getAnnotation(this.getAnnotationKey(item)) || {};
+        this.annotationEditor = {
+            item: item,
+            draft: { status: annotation.status || null, note: annotation.note || '', bookmarked: !!annotation.bookmarked }
+        };
+        this.renderVisibleRows(true);
+
+        const noteInput = document.querySelector(`.tree-node[data-node-id="${nodeId}"] > .annotation-editor .annotation-note-input`);
+        if (noteInput) noteInput.focus();
+    }
+
+    /**
+     * Create the annotation editor of a node
+     * @param {string} nodeId - The node ID
+     * @param {Object} draft - Status, note and bookmark flag shown in the editor
+     * @returns {HTMLElement} - The .annotation-editor element
+     */
+    createAnnotationEditor(nodeId, draft) {
+        const statusOptions = Object.entries(this.annotations.statuses).map(([value, status]) =>
+            `<option value="${value}" ${draft.status === value ? 'selected' : ''}>${status.icon} ${status.label}</option>`
+        ).join('');
+
+        const editor = document.createElement('div');
+        editor.className = 'annotation-editor';
+        editor.innerHTML = `
+            <div class="annotation-fields">
+                <select class="annotation-status-select" aria-label="Verdict">
+                    <option value="">No verdict</option>
+                    ${statusOptions}
+                </select>
+                <label class="annotation-bookmark-label">
+                    <input type="checkbox" class="annotation-bookmark-input" ${draft.bookmarked ? 'checked' : ''}>
+                    ⭐ Bookmark
+                </label>
+            </div>
+            <textarea class="annotation-note-input" rows="3" placeholder="Notes for this node" aria-label="Notes">${this.escapeHtml(draft.note)}</textarea>
+            <div class="annotation-actions">
+                <button class="btn-small" onclick="xdrVisualizer.toggleAnnotationEditor('${nodeId}')">Cancel</button>
+                <button class="btn-small" onclick="xdrVisualizer.saveAnnotation('${nodeId}', true)">🗑️ Remove</button>
+                <button class="btn-small" onclick="xdrVisualizer.saveAnnotation('${nodeId}')">💾 Save</button>
+            </div>
+        `;
+
+        return editor;
+    }
+
+    /**
+     * Read the fields of an annotation editor
+     * @param {HTMLElement} editor - The .annotation-editor element
+     * @returns {Object} - Status, note and bookmark flag
+     */
+    readAnnotationEditor(editor) {
+        return {
+            status: editor.querySelector('.annotation-status-select').value || null,
+            note: editor.querySelector('.annotation-note-input').value,
+            bookmarked: editor.querySelector('.annotation-bookmark-input').checked
+        };
+    }
+
+    /**
+     * Save the annotation editor of a node
+     * @param {string} nodeId - The node ID
+     * @param {boolean} remove - Remove the annotation instead
+     */
+    saveAnnotation(nodeId, remove = false) {
+        const item = this.findDisplayedItem(nodeId);
+        if (!item) return;
+
+        const isEditing = this.annotationEditor && this.annotationEditor.item === item;
+        const editor = document.querySelector(`.tree-node[data-node-id="${nodeId}"] > .annotation-editor`);
+        const annotation = remove || !isEditing ? {} : (editor ? this.readAnnotationEditor(editor) : this.annotationEditor.draft);
+
+        this.annotations.setAnnotation(this.getAnnotationKey(item), annotation);
+        this.saveAnnotations();
+        if (isEditing) this.annotationEditor = null;
+
+        // The badges of this node change, and with them its search text
+        this.searchTexts.delete(item);
+        this.renderVisibleRows(true);
+    }
+
+    /**
+     * Show the annotated nodes of the current view, bookmarks first
+     */
+    showAnnotations() {
+        if (!this.data || !this.data.items) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
+        }
+
+        const nodes = this.annotations.getAnnotatedNodes(this.getViewItems(), node => this.getAnnotationKey(node));
+        const output = this.annotations.formatAnnotatedNodes(nodes, this.getViewModeText(),
+            this.isAnonymized ? value => this.parser.anonymizeString(value) : null);
+
+        this.showAnalysisOutput(`Annotations${this.getViewModeText()} (${nodes.length} nodes)`, output);
+    }
+
+    /**
+     * Compare the loaded story with another story file
+     * The loaded story is the base, the nodes of the file show up as added, removed or changed
+     * @param {File} file - The story file to compare with
+     */
+    async compareWithFile(file) {
+        if (!this.originalData) {
+            this.showError('No data loaded. Please upload a file first.');
+            return;
+        }
+        if (!this.parser.isValidFileType(file.name)) {
+            this.showError(`Please select a valid JSON or JSONC file (${file.name}).`);
+            return;
+        }
+
+        try {
+            const otherStory = this.parser.parseStoryText(await this.readFile(file));
+            this.annotations.takeSidecar(otherStory);
+            this.parser.validateDataStructure(otherStory);
+
+            // Comparing again replaces the other story, the base stays
+            const base = this.compareBase || { story: this.originalData, label: this.storyLabel || 'Loaded story' };
+            const compared = this.storyDiff.compareStories(base.story, otherStory, { base: base.label, other: file.name });
+
+            this.loadStory(compared, {}, `${base.label} vs ${file.name}`);
+            this.compareBase = base;
+            if (this.isAnonymized) {
+                this.toggleAnonymization(true);
+            }
+
+            this.updateCompareControls();
+            this.showComparisonSummary();
+        } catch (error) {
+            console.error('Error comparing stories:', error);
+            this.showError(`Error comparing stories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show what differs between the compared stories
+     */
+    showComparisonSummary() {
+        if (!this.data || !this.data.storyDiff) {
+            this.showError('No comparison loaded. Use Compare With to choose a second story.');
+            return;
+        }
+
+        const counts = this.storyDiff.countStatuses(this.data.items);
+        this.showAnalysisOutput(
+            `Story Comparison (${counts.added} added, ${counts.removed} removed, ${counts.changed} changed)`,
+            this.storyDiff.formatSummary(this.data)
+        );
+    }
+
+    /**
+     * Go back from the comparison to the base story
+     */
+    exitCompare() {
+        if (!this.compareBase) return;
+
+        const base = this.compareBase;
+        this.loadStory(base.story, {}, base.label);
+        if (this.isAnonymized) {
+            this.toggleAnonymization(true);
+        }
+        this.updateCompareControls();
+    }
+
+    /**
+     * Show the compare buttons that fit the loaded story
+     */
+    updateCompareControls() {
+        const isComparison = !!(this.data && this.data.storyDiff);
+        const visibility = {
+            'compare-btn': !!this.data,
+            'compare-summary-btn': isComparison,
+            'exit-compare-btn': isComparison && !!this.compareBase
+        };
+
+        Object.entries(visibility).forEach(([id, visible]) => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = visible ? 'inline-block' : 'none';
+        });
+    }
+
+    /**
+     * Get the story library settings
+     * @returns {Object} - Whether the library is enabled and whether only redacted stories are stored
+     */
+    getLibrarySettings() {
+        return {
+            enabled: localStorage.getItem('xdr-library-enabled') === 'true',
+            // Raw stories are only kept when this is explicitly turned off
+            redactedOnly: localStorage.getItem('xdr-library-redacted-only') !== 'false'
+        };
+    }
+
+    /**
+     * Turn the story library on or off, stored stories are kept until the library is cleared
+     * @param {boolean} enabled - Whether loaded stories are added to the library
+     */
+    setLibraryEnabled(enabled) {
+        localStorage.setItem('xdr-library-enabled', String(enabled));
+        this.refreshStoryLibrary();
+    }
+
+    /**
+     * Change whether only redacted stories are stored, turning it on removes the raw stories
+     * @param {boolean} enabled - Whether stories are redacted before they are stored
+     */
+    async setLibraryRedactedOnly(enabled) {
+        localStorage.setItem('xdr-library-redacted-only', String(enabled));
+        if (!enabled) return;
+
+        try {
+            const removed = await this.storyLibrary.deleteRawStories();
+            if (removed > 0) console.log(`Removed ${removed} raw stories from the library`);
+            await this.refreshStoryLibrary();
+        } catch (error) {
+            console.warn('Failed to remove raw stories from the library:', error);
+        }
+    }
+
+    /**
+     * Add the loaded story to the library if it is enabled
+     * @param {string} label - The file name(s) of the story
+     */
+    async addToStoryLibrary(label) {
+        const settings = this.getLibrarySettings();
+        if (!settings.enabled || !this.storyLibrary.isAvailable() || !this.originalData) return;
+
+        try {
+            const story = settings.redactedOnly
+                ? this.parser.createAnonymizedData(JSON.parse(JSON.stringify(this.originalData)))
+                : this.originalData;
+            // File names often carry the device or user name
+            const storedLabel = settings.redactedOnly ? this.parser.anonymizeString(label) : label;
+            await this.storyLibrary.addStory(story, storedLabel, settings.redactedOnly);
+            await this.refreshStoryLibrary();
+        } catch (error) {
+            console.warn('Failed to add the story to the library:', error);
+        }
+    }
+
+    /**
+     * Open a story of the library
+     * Redacted stories are shown with anonymization on, their original values are not stored
+     * @param {string} key - The entry key
+     */
+    async openLibraryStory(key) {
+        this.showLoading();
+
+        try {
+            const result = await this.storyLibrary.openStory(key);
+            if (!result) {
+                this.showError('This story is no longer in the library.');
+                await this.refreshStoryLibrary();
+                return;
+            }
+
+            if (result.entry.redacted) {
+                this.isAnonymized = true;
+                const anonymizeCheckbox = document.getElementById('anonymize-checkbox');
+                if (anonymizeCheckbox) anonymizeCheckbox.checked = true;
+            }
+
+            this.loadStory(result.story, {}, result.entry.label);
+            // A raw story opened while anonymization is on is redacted like a compared story
+            if (this.isAnonymized && !result.entry.redacted) {
+                this.toggleAnonymization(true);
+            }
+            await this.refreshStoryLibrary();
+        } catch (error) {
+            console.error('Error opening story from library:', error);
+            this.showError(`Error opening story: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a story from the library
+     * @param {string} key - The entry key
+     */
+    async deleteLibraryStory(key) {
+        try {
+            await this.storyLibrary.deleteStory(key);
+            await this.refreshStoryLibrary();
+        } catch (error) {
+            console.warn('Failed to remove the story from the library:', error);
+        }
+    }
+
+    /**
+     * Remove all stories from the library
+     */
+    async clearStoryLibrary() {
+        try {
+            await this.storyLibrary.clear();
+            await this.refreshStoryLibrary();
+        } catch (error) {
+            console.warn('Failed to clear the library:', error);
+        }
+    }
+
+    /**
+     * Reload the list of stored stories
+     */
+    async refreshStoryLibrary() {
+        if (!this.storyLibrary.isAvailable()) return;
+
+        try {
+            this.libraryEntries = await this.storyLibrary.listEntries();
+        } catch (error) {
+            console.warn('Failed to read the story library:', error);
+            this.libraryEntries = [];
+        }
+        this.renderStoryLibrary();
+    }
+
+    /**
+     * Render the list of stored stories, filtered by the library search
+     */
+    renderStoryLibrary() {
+        const list = document.getElementById('story-library-list');
+        const count = document.getElementById('story-library-count');
+        if (!list) return;
+
+        const settings = this.getLibrarySettings();
+        if (count) {
+            count.textContent = this.libraryEntries.length > 0 ? `(${this.libraryEntries.length})` : '';
+        }
+
+        const searchInput = document.getElementById('story-library-search');
+        const entries = this.storyLibrary.filterEntries(this.libraryEntries, searchInput ? searchInput.value : '');
+
+        if (this.libraryEntries.length === 0) {
+            list.innerHTML = `<p class="library-empty">${settings.enabled
+                ? 'No stories yet. Loaded stories show up here.'
+                : 'Turn on the library to keep loaded stories in this browser.'}</p>`;
+            return;
+        }
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="library-empty">No stories match the search.</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const timeRange = entry.firstTime
+                ? `${this.parser.formatTime(entry.firstTime)}${entry.lastTime && entry.lastTime !== entry.firstTime ? ` – ${this.parser.formatTime(entry.lastTime)}` : ''}`
+                : '';
+            const meta = [
+                entry.deviceName ? `💻 ${this.escapeHtml(entry.deviceName)}` : '',
+                entry.mainUser ? `👤 ${this.escapeHtml(entry.mainUser)}` : '',
+                timeRange ? `🕒 ${this.escapeHtml(timeRange)}` : '',
+                `${entry.nodeCount} nodes`
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="library-entry">
+                    <div class="library-entry-main" onclick="xdrVisualizer.openLibraryStory('${entry.key}')" title="Open this story">
+                        <div class="library-entry-title">
+                            ${this.escapeHtml(entry.label)}
+                            ${entry.redacted ? '<span class="node-badge">Redacted</span>' : ''}
+                            <span class="library-entry-loaded">${this.escapeHtml(this.parser.formatTime(entry.loaded))}</span>
+                        </div>
+                        <div class="library-entry-meta">${meta}</div>
+                        ${entry.alertNames.length > 0 ? `<div class="library-entry-alerts">🚨 ${this.escapeHtml(entry.alertNames.join(', '))}</div>` : ''}
+                    </div>
+                    <button class="btn-small" onclick="xdrVisualizer.deleteLibraryStory('${entry.key}')" title="Remove from library">🗑️</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Initialize the story library settings and list
+     */
+    initializeStoryLibrary() {
+        const librarySection = document.getElementById('story-library');
+        if (!librarySection || !this.storyLibrary.isAvailable()) return;
+
+        librarySection.style.display = 'block';
+
+        const settings = this.getLibrarySettings();
+        const enabledCheckbox = document.getElementById('library-enabled-checkbox');
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = settings.enabled;
+            enabledCheckbox.addEventListener('change', (e) => this.setLibraryEnabled(e.target.checked));
+        }
+        const redactedCheckbox = document.getElementById('library-redacted-checkbox');
+        if (redactedCheckbox) {
+            redactedCheckbox.checked = settings.redactedOnly;
+            redactedCheckbox.addEventListener('change', (e) => this.setLibraryRedactedOnly(e.target.checked));
+        }
+        const searchInput = document.getElementById('story-library-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.renderStoryLibrary());
+        }
+
+        this.refreshStoryLibrary().then(() => {
+            // Offer the recent stories right away on a new session
+            if (!this.data && this.libraryEntries.length > 0) {
+                librarySection.open = true;
+            }
+        });
+    }
+
+    /**
+     * Show KQL hunting queries for a node
+     * Queries are built from the original values, they are meant to be run in the own tenant
+     * @param {string} nodeId - The node ID
+     */
+    generateHuntingQueries(nodeId) {
+        const item = this.findDisplayedItem(nodeId);
+        if (!item) {
+            this.showError('Node not found. Please try again after the tree has been rendered.');
+            return;
+        }
+
+        const originalItem = this.getOriginalItem(item);
+        const title = this.parser.getNodeTitle(originalItem);
+        const queries = this.kqlGenerator.buildQueries(originalItem, this.getStoryHeader(originalItem));
+
+        this.lastHuntingQueries = this.kqlGenerator.formatQueries(queries, title);
+
+        const originalText = this.isAnonymized ? ' (original values)' : '';
+        this.showAnalysisOutput(`Hunting Queries${originalText}: ${title}`, this.lastHuntingQueries);
+        if (queries.length > 0) {
+            this.showToolExportButtons(['export-kql-btn']);
+        }
+    }
+
+    /**
+     * Download the last hunting queries
+     */
+    downloadHuntingQueries() {
+        if (!this.lastHuntingQueries) return;
+        // Queries always contain the original values
+        this.downloadTextFile(this.lastHuntingQueries, 'xdr_hunting_queries', 'kql', 'text/plain', false);
+    }
+
+    /**
+     * Show a Sigma rule draft for the chain from the parent process to a node
+     * Built from the original values like the hunting queries, a rule with redacted values would never match
+     * @param {string} nodeId - The node ID
+     */
+    generateSigmaRule(nodeId) {
+        const item = this.findDisplayedItem(nodeId);
+        if (!item) {
+            this.showError('Node not found. Please try again after the tree has been rendered.');
+            return;
+        }
+
+        // Display items keep the ancestors of zoomed and filtered nodes
+        const displayItems = this.displayItems.length > 0 ? this.displayItems : this.getDisplayItems();
+        const lineage = this.sigmaGenerator.getLineage(displayItems, item).map(node => this.getOriginalItem(node));
+        const rule = this.sigmaGenerator.buildRule(lineage, this.attackTagger.getTechniques(this.getOriginalItem(item)));
+        if (!rule) {
+            this.showError('No process chain found for this node.');
+            return;
+        }
+
+        this.lastSigmaRule = this.sigmaGenerator.formatRule(rule);
+
+        const originalText = this.isAnonymized ? ' (original values)' : '';
+        this.showAnalysisOutput(`Sigma Rule Draft${originalText}: ${rule.title}`, this.lastSigmaRule);
+        this.showToolExportButtons(['export-sigma-btn']);
+    }
+
+    /**
+     * Download the last Sigma rule draft
+     */
+    downloadSigmaRule() {
+        if (!this.lastSigmaRule) return;
+        // Rule drafts always contain the original values
+        this.downloadTextFile(this.lastSigmaRule, 'xdr_sigma_rule', 'yml', 'application/x-yaml', false);
+    }
+
+    /**
+     * Get the unredacted item for a displayed item
+     * The redacted data is a copy of the original with the same structure, filtered items share its entities
+     * @param {Object} item - The displayed item
+     * @returns {Object} - The original item, or the item itself when it is not redacted
+     */
+    getOriginalItem(item) {
+        if (!this.isAnonymized || !this.originalData) return item;
+
+        let originalItem = null;
+        const visit = (dataItems, originalItems) => {
+            if (!Array.isArray(dataItems) || !Array.isArray(originalItems)) return;
+
+            dataItems.forEach((dataItem, index) => {
+                if (originalItem || !dataItem) return;
+                if (dataItem === item || (item.entity && dataItem.entity === item.entity)) {
+                    originalItem = originalItems[index];
+                    return;
+                }
+                const original = originalItems[index] || {};
+                visit(dataItem.children, original.children);
+                visit(dataItem.nestedItems, original.nestedItems);
+            });
+        };
+
+        visit(this.data.items, this.originalData.items);
+        return originalItem || item;
+    }
+
+    /**
+     * Get the device of the story an item belongs to
+     * Merged stories of different devices have no common device, the first source alert decides
+     * @param {Object} item - The original item
+     * @returns {Object} - The deviceId and deviceName
+     */
+    getStoryHeader(item) {
+        const data = this.originalData || this.data;
+        if (data.deviceId || data.deviceName || !Array.isArray(data.mergedStories)) {
+            return { deviceId: data.deviceId, deviceName: data.deviceName };
+        }
+
+        const label = (item.sourceAlerts || [])[0];
+        const story = data.mergedStories.find(mergedStory => mergedStory.label === label) || {};
+        return { deviceId: story.deviceId, deviceName: story.deviceName };
+    }
+
+    /**
+     * Download the last Markdown or HTML report
+     */
+    downloadReport() {
+        if (!this.lastReport) return;
+        const { content, baseName, extension, mimeType } = this.lastReport;
+        this.downloadTextFile(content, baseName, extension, mimeType);
+    }
+
+    /**
+     * Download the last extracted IOCs as CSV
+     */
+    exportIocsCsv() {
+        if (this.lastIocs.length === 0) return;
+        this.downloadTextFile(this.iocExtractor.formatIocsAsCsv(this.lastIocs), 'xdr_iocs', 'csv', 'text/csv');
+    }
+
+    /**
+     * Download the last extracted IOCs as plain list for blocklists
+     */
+    exportIocsList() {
+        if (this.lastIocs.length === 0) return;
+        this.downloadTextFile(this.iocExtractor.formatIocsAsList(this.lastIocs), 'xdr_iocs_blocklist', 'txt', 'text/plain');
+    }
+
+    /**
+     * Get the data items of the expanded rows, whether they are scrolled into view or not
+     * @returns {Array} - The visible items in tree order
+     */
+    getVisibleItems() {
+        const visibleItems = this.treeRows.rows.filter(row => !row.alert).map(row => row.item);
+        console.log(`Found ${visibleItems.length} visible nodes in zoom mode`);
+
+        return visibleItems;
+    }
+
+    /**
+     * Get the items shown in the tree, with the active filter applied
+     * @returns {Array} - The filtered items, or all items without a filter
+     */
+    getDisplayItems() {
+        if (!this.data || !this.data.items) return [];
+
+        if (this.parser.isFilterActive(this.filter)) {
+            return this.parser.filterItems(this.data.items, this.filter);
+        }
+        return this.data.items;
+    }
+
+    /**
+     * Get the label of the current view for analysis output titles
+     * @returns {string} - ' (zoomed view)', ' (filtered view)' or an empty string
+     */
+    getViewModeText() {
+        if (this.isZoomedMode) return ' (zoomed view)';
+        if (this.parser.isFilterActive(this.filter)) return ' (filtered view)';
+        return '';
+    }
+
+    /**
+     * Change one or more filter criteria and render the tree again
+     * @param {Object} changes - The filter properties to change
+     */
+    setFilter(changes) {
+        this.filter = { ...this.filter, ...changes };
+        this.applyFilter();
+    }
+
+    /**
+     * Show or hide a node type, showing all types when none is selected
+     * @param {string} type - process, file, account, network, registry or other
+     */
+    toggleTypeFilter(type) {
+        const types = this.filter.types.includes(type)
+            ? this.filter.types.filter(existing => existing !== type)
+            : [...this.filter.types, type];
+        this.setFilter({ types });
+    }
+
+    /**
+     * Remove all filter criteria
+     */
+    clearFilters() {
+        this.filter = this.parser.createEmptyFilter();
+        this.applyFilter();
+    }
+
+    /**
+     * Render the tree with the current filter, renderTree keeps the zoom if the zoomed node is still shown
+     */
+    applyFilter() {
+        if (!this.data) return;
+
+        this.renderTree();
+
+        console.log('Filter applied:', this.filter);
+    }
+
+    /**
+     * Sync the filter controls and legend with the current filter and story
+     */
+    updateFilterControls() {
+        const filterUser = document.getElementById('filter-user');
+        if (filterUser && this.data) {
+            const users = this.parser.getStoryUsers(this.data.items);
+
+            // The selected user disappears when anonymization changes the names
+            if (this.filter.user && !users.includes(this.filter.user)) {
+                this.filter.user = '';
+            }
+
+            filterUser.innerHTML = '<option value="">All users</option>' +
+                users.map(user => `<option value="${this.escapeHtml(user)}">${this.escapeHtml(user)}</option>`).join('');
+            filterUser.value = this.filter.user;
+        }
+
+        ['from', 'to'].forEach(bound => {
+            const input = document.getElementById(`filter-${bound}`);
+            if (input) input.value = this.toDateTimeLocalValue(this.filter[bound]);
+        });
+
+        const filterAlerts = document.getElementById('filter-alerts');
+        if (filterAlerts) filterAlerts.checked = this.filter.alertsOnly;
+
+        const typeFilterActive = this.filter.types.length > 0;
+        document.querySelectorAll('.legend-item[data-filter-type]').forEach(legendItem => {
+            const selected = this.filter.types.includes(legendItem.dataset.filterType);
+            legendItem.classList.toggle('selected', selected);
+            legendItem.classList.toggle('dimmed', typeFilterActive && !selected);
+        });
+        const alertLegend = document.querySelector('.legend-item[data-filter-alerts]');
+        if (alertLegend) alertLegend.classList.toggle('selected', this.filter.alertsOnly);
+
+        const status = document.getElementById('filter-status');
+        if (status) {
+            status.textContent = this.parser.isFilterActive(this.filter)
+                ? `Showing ${this.parser.computeStats(this.getDisplayItems()).total} of ${this.stats.total} items`
+                : '';
+        }
+    }
+
+    /**
+     * Format a timestamp for a datetime-local input
+     * @param {number|null} timestamp - Milliseconds since epoch
+     * @returns {string} - Local date and time as YYYY-MM-DDTHH:MM, or an empty string
+     */
+    toDateTimeLocalValue(timestamp) {
+        if (timestamp === null || timestamp === undefined) return '';
+
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Download the JSON, showing the redaction review first when the data is anonymized
+     */
+    requestJsonDownload() {
+        if (!this.originalData) {
+            console.error('No data available for download');
+            return;
+        }
+
+        if (this.isAnonymized) {
+            this.openRedactionReview();
+        } else {
+            this.downloadRedactedJson();
+        }
+    }
+
+    /**
+     * Download the story together with the current view as workspace file
+     * With anonymization on, the workspace only contains the redacted story
+     */
+    saveWorkspace() {
+        if (!this.originalData) {
+            console.error('No data available for download');
+            return;
+        }
+
+        let story = JSON.parse(JSON.stringify(this.originalData));
+        if (this.isAnonymized) {
+            story = this.parser.createAnonymizedData(story);
+        }
+
+        // The search and the user filter may have been typed before anonymization was turned on
+        const redact = value => this.isAnonymized ? this.parser.anonymizeString(value) : value;
+
+        const workspace = this.workspace.createWorkspace(story, {
+            anonymized: this.isAnonymized,
+            theme: localStorage.getItem('xdr-theme') || 'cyberpunk',
+            zoomedNodeId: this.isZoomedMode ? this.zoomedNodeId : null,
+            ...this.getExpansionState(),
+            filter: { ...this.filter, user: redact(this.filter.user) },
+            searchQuery: redact(this.searchQuery),
+            timelineVisible: this.isTimelineVisible,
+            annotations: this.annotations.createSidecar(this.isAnonymized ? redact : null)
+        });
+
+        this.downloadTextFile(JSON.stringify(workspace, null, 2), 'xdr_workspace', 'json', 'application/json');
+    }
+
+    /**
+     * Collect the collapsed nodes and the open details panels of the tree
+     * @returns {Object} - The node IDs in collapsedNodes and openDetails
+     */
+    getExpansionState() {
+        return {
+            collapsedNodes: this.treeRows.getNodeIds(this.treeRows.collapsed),
+            openDetails: this.treeRows.getNodeIds(this.treeRows.openDetails)
+        };
+    }
+
+    /**
+     * Restore the story and the view of a workspace file
+     * @param {Object} data - The parsed workspace file
+     * @param {string} label - The file name of the workspace
+     */
+    restoreWorkspace(data, label = '') {
+        const workspace = this.workspace.readWorkspace(data);
+
+        if (workspace.theme) {
+            const themeSelect = document.getElementById('header-theme-select');
+            if (themeSelect) themeSelect.value = workspace.theme;
+            this.changeTheme(workspace.theme);
+        }
+
+        // A redacted workspace holds the redacted story only, it is shown as it is
+        this.isAnonymized = workspace.anonymized;
+        const anonymizeCheckbox = document.getElementById('anonymize-checkbox');
+        if (anonymizeCheckbox) anonymizeCheckbox.checked = workspace.anonymized;
+
+        this.isZoomedMode = false;
+        this.zoomedNodeId = null;
+        this.removeZoomOutButton();
+
+        const searchInput = document.getElementById('tree-search-input');
+        if (searchInput) searchInput.value = workspace.searchQuery;
+        this.searchQuery = workspace.searchQuery.trim();
+
+        this.loadStory(workspace.story, workspace.annotations || {}, label);
+        this.updateMappingButton();
+
+        // loadStory starts without filters
+        this.filter = workspace.filter;
+        this.renderTree();
+
+        if (workspace.zoomedNodeId && this.findDisplayedItem(workspace.zoomedNodeId)) {
+            this.zoomToNode(workspace.zoomedNodeId);
+        }
+
+        workspace.collapsedNodes.forEach(nodeId => {
+            const item = this.findDisplayedItem(nodeId);
+            if (item) this.treeRows.setCollapsed(item, true);
+        });
+        workspace.openDetails.forEach(nodeId => {
+            const item = this.findDisplayedItem(nodeId);
+            if (item && this.parser.nodeHasDetails(item)) this.treeRows.setDetailsOpen(item, true);
+        });
+        this.refreshTreeRows();
+
+        if (workspace.timelineVisible !== this.isTimelineVisible) {
+            this.toggleTimeline();
+        }
+
+        console.log('Restored workspace');
+    }
+
+    /**
+     * Redact the story again and show what will be replaced and what may have been missed
+     */
+    openRedactionReview() {
+        const anonymized = this.parser.createAnonymizedData(JSON.parse(JSON.stringify(this.originalData)));
+        this.lastRedactionReport = this.redactionReview.buildReport(anonymized);
+        this.renderRedactionReview(this.lastRedactionReport);
+
+        const reviewSection = document.getElementById('redaction-review');
+        if (reviewSection) {
+            reviewSection.style.display = 'block';
+            reviewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        console.log(`Redaction review: ${this.lastRedactionReport.replacements.length} values, ${this.lastRedactionReport.leftovers.length} possible leftovers`);
+    }
+
+    /**
+     * Render the redaction review tables
+     * @param {Object} report - The report from XDRRedactionReview.buildReport
+     */
+    renderRedactionReview(report) {
+        const summary = document.getElementById('redaction-review-summary');
+        if (summary) {
+            summary.textContent = `${report.replacements.length} distinct values replaced in ${report.totalReplacements} places, ` +
+                `${report.leftovers.length} possible leftovers`;
+        }
+
+        const valuesContainer = document.getElementById('redaction-review-values');
+        if (valuesContainer) {
+            const rows = report.replacements.map((entry, index) => `
+                <tr>
+                    <td>${this.escapeHtml(entry.category)}</td>
+                    <td class="review-value">${this.escapeHtml(entry.value)}</td>
+                    <td>${this.escapeHtml(entry.replacement)}</td>
+                    <td>${entry.count}</td>
+                    <td><button class="btn-small" onclick="xdrVisualizer.keepRedactionValue(${index})">${entry.category === 'custom' ? 'Remove' : 'Keep'}</button></td>
+                </tr>
+            `).join('');
+
+            const excludedRows = report.excludedValues.map((value, index) => `
+                <tr class="review-excluded">
+                    <td>kept</td>
+                    <td class="review-value">${this.escapeHtml(value)}</td>
+                    <td>-</td>
+                    <td>-</td>
+                    <td><button class="btn-small" onclick="xdrVisualizer.redactKeptValue(${index})">Redact</button></td>
+                </tr>
+            `).join('');
+
+            valuesContainer.innerHTML = rows || excludedRows ? `
+                <table class="review-table">
+                    <thead><tr><th>Category</th><th>Value</th><th>Replacement</th><th>Count</th><th></th></tr></thead>
+                    <tbody>${rows}${excludedRows}</tbody>
+                </table>
+            ` : '<div class="review-empty">No values are replaced.</div>';
+        }
+
+        const leftoversContainer = document.getElementById('redaction-review-leftovers');
+        if (leftoversContainer) {
+            const rows = report.leftovers.map((leftover, index) => `
+                <tr>
+                    <td>${this.escapeHtml(leftover.variant)}</td>
+                    <td class="review-value">${this.escapeHtml(leftover.value)}</td>
+                    <td class="review-value">${this.escapeHtml(leftover.excerpt)}</td>
+                    <td class="review-path">${this.escapeHtml(leftover.path)}</td>
+                    <td><button class="btn-small" onclick="xdrVisualizer.redactLeftover(${index})">Redact</button></td>
+                </tr>
+            `).join('');
+
+            leftoversContainer.innerHTML = rows ? `
+                <table class="review-table">
+                    <thead><tr><th>Variant</th><th>Value</th><th>Found in</th><th>Field</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<div class="review-empty">✅ No leftovers found.</div>';
+        }
+    }
+
+    /**
+     * Apply a review change to the displayed story and refresh the review
+     */
+    refreshRedactionReview() {
+        this.toggleAnonymization(true);
+        this.openRedactionReview();
+    }
+
+    /**
+     * Keep a replaced value, or drop a value that was added by hand
+     * @param {number} index - The index in the replacement list
+     */
+    keepRedactionValue(index) {
+        const entry = this.lastRedactionReport?.replacements[index];
+        if (!entry) return;
+
+        if (entry.category === 'custom') {
+            this.parser.removeCustomValue(entry.value);
+        } else {
+            this.parser.excludeValue(entry.value);
+        }
+        this.refreshRedactionReview();
+    }
+
+    /**
+     * Redact a previously kept value again
+     * @param {number} index - The index in the kept value list
+     */
+    redactKeptValue(index) {
+        const value = this.lastRedactionReport?.excludedValues[index];
+        if (value === undefined) return;
+
+        this.parser.includeValue(value);
+        this.refreshRedactionReview();
+    }
+
+    /**
+     * Redact the text in which a leftover was found
+     * @param {number} index - The index in the leftover list
+     */
+    redactLeftover(index) {
+        const leftover = this.lastRedactionReport?.leftovers[index];
+        if (!leftover) return;
+
+        // Encoded leftovers can only be removed as a whole
+        this.parser.addCustomValue(leftover.variant === 'Base64' || leftover.variant === 'URL-encoded' ? leftover.match : leftover.value);
+        this.refreshRedactionReview();
+    }
+
+    /**
+     * Redact the value typed into the review input
+     */
+    addRedactionValue() {
+        const input = document.getElementById('redaction-review-input');
+        if (!input || !input.value.trim()) return;
+
+        this.parser.addCustomValue(input.value);
+        input.value = '';
+        this.refreshRedactionReview();
+    }
+
+    /**
+     * Hide the redaction review
+     */
+    closeRedactionReview() {
+        const reviewSection = document.getElementById('redaction-review');
+        if (reviewSection) {
+            reviewSection.style.display = 'none';
+        }
+    }
+
+    /**
+     * Download the reviewed JSON and close the review
+     */
+    confirmRedactedDownload() {
+        this.downloadRedactedJson();
+        this.closeRedactionReview();
+    }
+
+    /**
+     * Download the pseudonym mapping table so pseudonymized values can be re-identified
+     */
+    downloadPseudonymMapping() {
+        const mapping = this.parser.getPseudonymMapping();
+        if (mapping.length === 0) {
+            console.warn('No pseudonyms assigned yet');
+            return;
+        }
+
+        this.downloadTextFile(JSON.stringify(mapping, null, 2), 'xdr_pseudonym_mapping', 'json', 'application/json');
+    }
+
+    /**
+     * Show the export buttons of the current analysis tool
+     * @param {Array<string>} buttonIds - The IDs of the buttons to show
+     */
+    showToolExportButtons(buttonIds) {
+        buttonIds.forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.style.display = 'inline-block';
+            }
+        });
+    }
+
+    /**
+     * Download text content as a file with a timestamped name
+     * @param {string} content - The file content
+     * @param {string} baseName - The file name without suffix and extension
+     * @param {string} extension - The file extension
+     * @param {string} mimeType - The MIME type
+     * @param {boolean} isRedacted - Whether the content is redacted, defaults to the anonymization state
+     */
+    downloadTextFile(content, baseName, extension, mimeType, isRedacted = this.isAnonymized) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            const modeText = this.isZoomedMode ? '_zoomed' : (this.parser.isFilterActive(this.filter) ? '_filtered' : '');
+            const anonymizedText = isRedacted ? '_anonymized' : '';
+            const filename = `${baseName}${modeText}${anonymizedText}_${timestamp}.${extension}`;
+
+            const dataBlob = new Blob([content], { type: mimeType });
+
+            const downloadLink = document.createElement('a');
+            downloadLink.href = URL.createObjectURL(dataBlob);
+            downloadLink.download = filename;
+            downloadLink.style.display = 'none';
+
+            document.body.appendChild(downloadLink);
+            downloadLink.click();
+            document.body.removeChild(downloadLink);
+
+            // Clean up the object URL
+            URL.revokeObjectURL(downloadLink.href);
+
+            console.log(`Downloaded ${filename}`);
+
+        } catch (error) {
+            console.error('Error downloading file:', error);
+            this.showError('Failed to download file');
+        }
+    }
+
+    /**
+     * Display text in the shared analysis output area
+     * @param {string} title - The output title
+     * @param {string} output - The text to display
+     */
+    showAnalysisOutput(title, output) {
+        // Update the title and display in shared textarea
+        const titleElement = document.getElementById('analysis-output-title');
+        if (titleElement) {
+            titleElement.textContent = title;
+        }
+
+        const textarea = document.getElementById('analysis-output');
+        if (textarea) {
+            textarea.value = output;
+        }
+
+        // Hide export buttons of other tools, the calling tool shows its own
+        document.querySelectorAll('.tool-export-btn').forEach(button => {
+            button.style.display = 'none';
+        });
+
+        // Show the copy button
+        const copyBtn = document.getElementById('copy-analysis-btn');
+        if (copyBtn) {
+            copyBtn.style.display = 'inline-block';
+        }
+
+        // Show the analysis tools section
+        const analysisSection = document.getElementById('analysis-tools');
+        if (analysisSection) {
+            analysisSection.style.display = 'block';
+        }
+    }
+
+    /**
+     * Copy analysis results to clipboard
+     */
+    copyAnalysisResults() {
+        const textarea = document.getElementById('analysis-output');
+        if (textarea && textarea.value) {
+            navigator.clipboard.writeText(textarea.value).then(() => {
+                // Temporarily change button text to show success
+                const copyBtn = document.getElementById('copy-analysis-btn');
+                if (copyBtn) {
+                    const originalText = copyBtn.innerHTML;
+                    copyBtn.innerHTML = '✅ Copied!';
+                    setTimeout(() => {
+                        copyBtn.innerHTML = originalText;
+                    }, 2000);
+                }
+            }).catch(err => {
+                console.error('Failed to copy to clipboard:', err);
+                // Fallback: select the text
+                textarea.select();
+                textarea.setSelectionRange(0, 99999); // For mobile devices
+            });
+        }
+    }
+
+    /**
+     * Change the application theme
+     * @param {string} themeName
+     */
+    changeTheme(themeName) {
+        const body = document.body;
+
+        // Remove existing theme classes
+        body.classList.remove('theme-cyberpunk', 'theme-professional', 'theme-timeline');
+
+        // Add new theme class
         body.classList.add(`theme-${themeName}`);
 
         localStorage.setItem('xdr-theme', themeName);
 
+        // The Timeline theme shows titles differently, render the rows in view again
+        this.renderVisibleRows(true);
+
         console.log(`Theme changed to: ${themeName}`);
     }
 
+    /**
+     * Enable or disable a pattern-based redaction category
+     * @param {string} category - The redaction category
+     * @param {boolean} enabled - Whether values of this category are redacted
+     */
+    changeRedactionOption(category, enabled) {
+        this.parser.setRedactionOptions({ [category]: enabled });
+
+        localStorage.setItem('xdr-redaction-options', JSON.stringify(this.parser.redactionOptions));
+
+        // Re-apply redaction with the new settings
+        if (this.isAnonymized && this.originalData) {
+            this.toggleAnonymization(true);
+        }
+
+        console.log(`Redaction of ${category} ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Switch between REDACTED replacement and pseudonymization
+     * @param {string} mode - 'redact' or 'pseudonymize'
+     */
+    changeRedactionMode(mode) {
+        this.parser.setRedactionMode(mode);
+
+        localStorage.setItem('xdr-redaction-mode', this.parser.redactionMode);
+
+        // Re-apply redaction with the new mode
+        if (this.isAnonymized && this.originalData) {
+            this.toggleAnonymization(true);
+        }
+
+        console.log(`Redaction mode changed to: ${this.parser.redactionMode}`);
+    }
+
+    /**
+     * Initialize redaction options from localStorage or defaults
+     */
+    initializeRedactionOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('xdr-redaction-options') || '{}');
+            this.parser.setRedactionOptions(savedOptions);
+        } catch (error) {
+            console.warn('Ignoring invalid saved redaction options:', error.message);
+        }
+
+        document.querySelectorAll('[data-redaction-category]').forEach(checkbox => {
+            const category = checkbox.dataset.redactionCategory;
+            checkbox.checked = this.parser.redactionOptions[category];
+            checkbox.addEventListener('change', (e) => {
+                this.changeRedactionOption(category, e.target.checked);
+            });
+        });
+
+        this.parser.setRedactionMode(localStorage.getItem('xdr-redaction-mode'));
+        const modeSelect = document.getElementById('redaction-mode-select');
+        if (modeSelect) {
+            modeSelect.value = this.parser.redactionMode;
+            modeSelect.addEventListener('change', (e) => {
+                this.changeRedactionMode(e.target.value);
+            });
+        }
+    }
+
     /**
      * Initialize theme from localStorage or default
      */
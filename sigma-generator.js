@@ -0,0 +1,183 @@
+/**
+ * XDR Story Parser - Sigma Rule Module
+ * Drafts a Sigma process_creation rule from a parent→child process chain
+ */
+
+class XDRSigmaGenerator {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Check if a node is a process a rule can be drafted for
+     * @param {Object} item - The item
+     * @returns {boolean} - Whether the node has an image file name
+     */
+    canGenerate(item) {
+        return this.parser.getItemType(item) === 'process' && !!this.getImageName(item);
+    }
+
+    /**
+     * Get the process lineage of an item
+     * @param {Array} items - The root items to search
+     * @param {Object} target - The item to get the lineage for
+     * @returns {Array} - The process items from the root down to the target, empty if not found
+     */
+    getLineage(items, target) {
+        const visit = (itemList, ancestors) => {
+            if (!Array.isArray(itemList)) return null;
+
+            for (const item of itemList) {
+                if (!item) continue;
+
+                const lineage = this.canGenerate(item) ? [...ancestors, item] : ancestors;
+                if (item === target) return lineage;
+
+                const found = visit(item.children, lineage) || visit(item.nestedItems, lineage);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        return visit(items, []) || [];
+    }
+
+    /**
+     * Build the rule for the last two processes of a lineage
+     * @param {Array} lineage - The process items from the root down to the selected process
+     * @param {Array} techniques - The ATT&CK techniques of the selected process
+     * @returns {Object|null} - The rule fields, or null for an empty lineage
+     */
+    buildRule(lineage, techniques = []) {
+        if (lineage.length === 0) return null;
+
+        const child = lineage[lineage.length - 1];
+        const parent = lineage.length > 1 ? lineage[lineage.length - 2] : null;
+
+        const image = this.getImageName(child);
+        // Root processes of the story only know the name of their parent
+        const parentImage = parent ? this.getImageName(parent) : this.getFileName((child.entity || {}).CreatingProcessName);
+        // The image name is already matched by Image|endswith
+        const terms = this.parser.getCommandLineTerms(this.parser.getNodeCommandLine(child), 6)
+            .filter(term => term.toLowerCase() !== image.toLowerCase())
+            .slice(0, 5);
+
+        const selection = {};
+        selection['Image|endswith'] = `\\${image}`;
+        if (parentImage) selection['ParentImage|endswith'] = `\\${parentImage}`;
+        if (terms.length > 0) selection['CommandLine|contains|all'] = terms;
+
+        const chainText = lineage.map(item => this.getImageName(item)).join(' > ');
+        const alerts = (child.associatedAlerts || []).map(alert => alert.alertDisplayName).filter(Boolean);
+
+        return {
+            title: parentImage ? `${image} started by ${parentImage}` : `Execution of ${image}`,
+            id: this.parser.uuidV4(),
+            status: 'experimental',
+            description: `Draft generated from the process lineage ${chainText}`,
+            alerts: alerts,
+            date: new Date().toISOString().slice(0, 10),
+            tags: this.getAttackTags(techniques),
+            logsource: { category: 'process_creation', product: 'windows' },
+            selection: selection,
+            falsepositives: ['Unknown'],
+            // Processes that raised an alert are more likely to be worth a high rule
+            level: alerts.length > 0 ? 'high' : 'medium'
+        };
+    }
+
+    /**
+     * Format a rule as Sigma YAML
+     * @param {Object} rule - The rule from buildRule
+     * @returns {string} - The YAML text
+     */
+    formatRule(rule) {
+        let output = `title: ${this.toYamlString(rule.title)}\n`;
+        output += `id: ${rule.id}\n`;
+        output += `status: ${rule.status}\n`;
+        output += `description: ${this.toYamlString(rule.description)}\n`;
+        if (rule.alerts.length > 0) {
+            output += '# Alerts raised by this process in the story:\n';
+            rule.alerts.forEach(alertName => {
+                output += `#   - ${alertName.replace(/\r?\n/g, ' ')}\n`;
+            });
+        }
+        output += 'author: \'\'\n';
+        output += `date: ${rule.date}\n`;
+        if (rule.tags.length > 0) {
+            output += 'tags:\n';
+            rule.tags.forEach(tag => {
+                output += `    - ${tag}\n`;
+            });
+        }
+        output += 'logsource:\n';
+        output += `    category: ${rule.logsource.category}\n`;
+        output += `    product: ${rule.logsource.product}\n`;
+        output += 'detection:\n';
+        output += '    selection:\n';
+        Object.entries(rule.selection).forEach(([field, value]) => {
+            if (Array.isArray(value)) {
+                output += `        ${field}:\n`;
+                value.forEach(entry => {
+                    output += `            - ${this.toYamlString(entry)}\n`;
+                });
+            } else {
+                output += `        ${field}: ${this.toYamlString(value)}\n`;
+            }
+        });
+        output += '    condition: selection\n';
+        output += 'falsepositives:\n';
+        rule.falsepositives.forEach(entry => {
+            output += `    - ${entry}\n`;
+        });
+        output += `level: ${rule.level}\n`;
+        return output;
+    }
+
+    /**
+     * Convert ATT&CK techniques to Sigma tags, tactics first
+     * @param {Array} techniques - Techniques with technique ID and tactic
+     * @returns {Array<string>} - Tags like attack.execution and attack.t1059.001
+     */
+    getAttackTags(techniques) {
+        const tactics = techniques.map(technique => `attack.${technique.tactic.toLowerCase().replace(/\s+/g, '-')}`);
+        const ids = techniques.map(technique => `attack.${technique.technique.toLowerCase()}`);
+        return Array.from(new Set([...tactics, ...ids]));
+    }
+
+    /**
+     * Get the image file name of a process
+     * @param {Object} item - The process item
+     * @returns {string|null} - The file name
+     */
+    getImageName(item) {
+        const imageFile = (item.entity || {}).ImageFile || {};
+        return this.getFileName(imageFile.FullPath) || imageFile.FileName || null;
+    }
+
+    /**
+     * Get the file name of a path
+     * @param {string} path - The Windows or Unix path
+     * @returns {string|null} - The last path segment
+     */
+    getFileName(path) {
+        if (!path || typeof path !== 'string') return null;
+        return path.split(/[\\/]/).pop() || null;
+    }
+
+    /**
+     * Format a value as single-quoted YAML string
+     * @param {string} value - The value
+     * @returns {string} - The quoted value
+     */
+    toYamlString(value) {
+        return `'${String(value).replace(/\r?\n/g, ' ').replace(/'/g, '\'\'')}'`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRSigmaGenerator;
+}
@@ -0,0 +1,405 @@
+/**
+ * XDR Story Parser - STIX Export Module
+ * Converts processes, image files, users and alerts of a story into a STIX 2.1 bundle
+ */
+
+class XDRStixExporter {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Namespace for deterministic SCO identifiers defined by the STIX 2.1 specification
+        this.scoNamespace = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+    }
+
+    /**
+     * Build a STIX 2.1 bundle from story items
+     * Works on original and redacted data alike, redacted values are exported as they are
+     * @param {Array} items - The root items
+     * @returns {Object} - The STIX bundle
+     */
+    buildBundle(items) {
+        const now = new Date().toISOString();
+        const objects = new Map();
+        const indicators = new Map();
+
+        const addObject = (object) => {
+            if (!objects.has(object.id)) {
+                objects.set(object.id, object);
+            }
+            return object.id;
+        };
+
+        const visit = (itemList, parentProcessId) => {
+            if (!Array.isArray(itemList)) return;
+
+            itemList.forEach(item => {
+                if (!item) return;
+
+                let processId = parentProcessId;
+                if (this.parser.getItemType(item) === 'process' && item.entity) {
+                    const process = this.createProcess(item);
+
+                    if (item.entity.ImageFile) {
+                        const file = this.createFile(item.entity.ImageFile);
+                        if (file) process.image_ref = addObject(file);
+                    }
+
+                    if (item.entity.User) {
+                        const account = this.createUserAccount(item.entity.User);
+                        if (account) process.creator_user_ref = addObject(account);
+                    }
+
+                    if (parentProcessId) {
+                        process.parent_ref = parentProcessId;
+                    }
+
+                    processId = addObject(process);
+
+                    if (parentProcessId) {
+                        addObject(this.createRelationship(parentProcessId, processId, 'parent-of', now));
+                    }
+
+                    (item.associatedAlerts || []).forEach(alert => {
+                        if (!alert.alertDisplayName) return;
+
+                        // One indicator per alert, every occurrence is a sighting of it
+                        let indicator = indicators.get(alert.alertDisplayName);
+                        if (!indicator) {
+                            indicator = this.createIndicator(alert, item, process, now);
+                            indicators.set(alert.alertDisplayName, indicator);
+                            addObject(indicator);
+                        }
+
+                        const observedRefs = [processId, process.image_ref, process.creator_user_ref].filter(Boolean);
+                        const observedData = this.createObservedData(item, observedRefs, now);
+                        addObject(observedData);
+                        addObject(this.createSighting(indicator.id, observedData, now));
+                    });
+                }
+
+                visit(item.children, processId);
+                visit(item.nestedItems, processId);
+            });
+        };
+
+        visit(items, null);
+
+        return {
+            type: 'bundle',
+            id: `bundle--${this.parser.uuidV4()}`,
+            objects: Array.from(objects.values())
+        };
+    }
+
+    /**
+     * Create a process SCO
+     * @param {Object} item - The process item
+     * @returns {Object} - The process object
+     */
+    createProcess(item) {
+        const entity = item.entity;
+        const process = {
+            type: 'process',
+            spec_version: '2.1',
+            id: `process--${this.parser.uuidV4()}`
+        };
+
+        if (entity.ProcessId !== undefined && entity.ProcessId !== null && !isNaN(Number(entity.ProcessId))) {
+            process.pid = Number(entity.ProcessId);
+        }
+
+        const createdTime = this.toTimestamp(entity.CreationTime || item.time);
+        if (createdTime) process.created_time = createdTime;
+
+        if (entity.Commandline) {
+            process.command_line = this.parser.unescapeForwardSlashes(entity.Commandline);
+        }
+
+        return process;
+    }
+
+    /**
+     * Create a file SCO from an image file
+     * Malformed hashes are left out, STIX only allows hex strings of the right length
+     * @param {Object} imageFile - The entity.ImageFile object
+     * @returns {Object|null} - The file object, or null without name and hashes
+     */
+    createFile(imageFile) {
+        const hashes = {};
+        if (this.parser.isValidHash('md5', imageFile.Md5)) hashes.MD5 = imageFile.Md5;
+        if (this.parser.isValidHash('sha1', imageFile.Sha1)) hashes['SHA-1'] = imageFile.Sha1;
+        if (this.parser.isValidHash('sha256', imageFile.Sha256)) hashes['SHA-256'] = imageFile.Sha256;
+
+        const name = imageFile.FileName || (imageFile.FullPath ? imageFile.FullPath.split('\\').pop() : null);
+        if (!name && Object.keys(hashes).length === 0) return null;
+
+        // The identifier is based on name and the first hash in order of the specification
+        const idContributors = {};
+        const preferredHash = ['MD5', 'SHA-1', 'SHA-256'].find(algorithm => hashes[algorithm]);
+        if (preferredHash) idContributors.hashes = { [preferredHash]: hashes[preferredHash] };
+        if (name) idContributors.name = name;
+
+        const file = {
+            type: 'file',
+            spec_version: '2.1',
+            id: `file--${this.uuidV5(this.canonicalJson(idContributors))}`
+        };
+        if (Object.keys(hashes).length > 0) file.hashes = hashes;
+        if (name) file.name = name;
+        if (imageFile.Size !== undefined && imageFile.Size !== null) file.size = Number(imageFile.Size);
+
+        return file;
+    }
+
+    /**
+     * Create a user-account SCO
+     * @param {Object} user - The entity.User object
+     * @returns {Object|null} - The user account object, or null without user name and SID
+     */
+    createUserAccount(user) {
+        if (!user.UserName && !user.Sid) return null;
+
+        const idContributors = {};
+        if (user.Sid) idContributors.user_id = user.Sid;
+        if (user.UserName) idContributors.account_login = user.UserName;
+
+        const account = {
+            type: 'user-account',
+            spec_version: '2.1',
+            id: `user-account--${this.uuidV5(this.canonicalJson(idContributors))}`,
+            ...idContributors
+        };
+
+        if (user.UserName) {
+            account.display_name = user.DomainName ? `${user.DomainName}\\${user.UserName}` : user.UserName;
+        }
+
+        return account;
+    }
+
+    /**
+     * Create a relationship SRO
+     * @param {string} sourceRef - The source object ID
+     * @param {string} targetRef - The target object ID
+     * @param {string} relationshipType - The relationship type
+     * @param {string} timestamp - The created and modified timestamp
+     * @returns {Object} - The relationship object
+     */
+    createRelationship(sourceRef, targetRef, relationshipType, timestamp) {
+        return {
+            type: 'relationship',
+            spec_version: '2.1',
+            id: `relationship--${this.parser.uuidV4()}`,
+            created: timestamp,
+            modified: timestamp,
+            relationship_type: relationshipType,
+            source_ref: sourceRef,
+            target_ref: targetRef
+        };
+    }
+
+    /**
+     * Create an indicator SDO for an alert, with a pattern for the process that raised it
+     * @param {Object} alert - The associated alert
+     * @param {Object} item - The process item
+     * @param {Object} process - The process SCO
+     * @param {string} timestamp - The created and modified timestamp
+     * @returns {Object} - The indicator object
+     */
+    createIndicator(alert, item, process, timestamp) {
+        const imageFile = item.entity.ImageFile || {};
+
+        let pattern;
+        if (this.parser.isValidHash('sha256', imageFile.Sha256)) {
+            pattern = `[file:hashes.'SHA-256' = '${this.escapePattern(imageFile.Sha256)}']`;
+        } else if (imageFile.FileName) {
+            pattern = `[file:name = '${this.escapePattern(imageFile.FileName)}']`;
+        } else if (process.command_line) {
+            pattern = `[process:command_line = '${this.escapePattern(process.command_line)}']`;
+        } else {
+            pattern = `[process:pid = ${process.pid || 0}]`;
+        }
+
+        return {
+            type: 'indicator',
+            spec_version: '2.1',
+            id: `indicator--${this.parser.uuidV4()}`,
+            created: timestamp,
+            modified: timestamp,
+            name: alert.alertDisplayName,
+            indicator_types: ['malicious-activity'],
+            pattern: pattern,
+            pattern_type: 'stix',
+            valid_from: this.toTimestamp(alert.time || item.time) || timestamp
+        };
+    }
+
+    /**
+     * Create an observed-data SDO for the objects of an alert
+     * @param {Object} item - The process item
+     * @param {Array<string>} objectRefs - The observed object IDs
+     * @param {string} timestamp - The created and modified timestamp
+     * @returns {Object} - The observed data object
+     */
+    createObservedData(item, objectRefs, timestamp) {
+        const observedTime = this.toTimestamp(item.time || item.entity.CreationTime) || timestamp;
+        return {
+            type: 'observed-data',
+            spec_version: '2.1',
+            id: `observed-data--${this.parser.uuidV4()}`,
+            created: timestamp,
+            modified: timestamp,
+            first_observed: observedTime,
+            last_observed: observedTime,
+            number_observed: 1,
+            object_refs: objectRefs
+        };
+    }
+
+    /**
+     * Create a sighting SRO of an indicator
+     * @param {string} indicatorId - The indicator ID
+     * @param {Object} observedData - The observed data object
+     * @param {string} timestamp - The created and modified timestamp
+     * @returns {Object} - The sighting object
+     */
+    createSighting(indicatorId, observedData, timestamp) {
+        return {
+            type: 'sighting',
+            spec_version: '2.1',
+            id: `sighting--${this.parser.uuidV4()}`,
+            created: timestamp,
+            modified: timestamp,
+            first_seen: observedData.first_observed,
+            last_seen: observedData.last_observed,
+            count: 1,
+            sighting_of_ref: indicatorId,
+            observed_data_refs: [observedData.id]
+        };
+    }
+
+    /**
+     * Format a bundle as JSON
+     * @param {Array} items - The root items
+     * @returns {string} - The bundle as indented JSON
+     */
+    formatBundle(items) {
+        return JSON.stringify(this.buildBundle(items), null, 2);
+    }
+
+    /**
+     * Convert a date to a STIX timestamp
+     * @param {string} value - The date
+     * @returns {string|null} - The UTC timestamp, or null for invalid dates
+     */
+    toTimestamp(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Escape a string literal of a STIX pattern
+     * @param {string} value - The value
+     * @returns {string} - The escaped value
+     */
+    escapePattern(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    /**
+     * Serialize an object with sorted keys, as required for deterministic identifiers
+     * @param {*} value - The value
+     * @returns {string} - The canonical JSON
+     */
+    canonicalJson(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(entry => this.canonicalJson(entry)).join(',')}]`;
+        }
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+    }
+
+    /**
+     * Create a name-based UUID in the STIX SCO namespace
+     * @param {string} name - The canonical ID contributing properties
+     * @returns {string} - A version 5 UUID
+     */
+    uuidV5(name) {
+        const namespaceBytes = this.scoNamespace.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16));
+        const nameBytes = Array.from(new TextEncoder().encode(name));
+        const hash = this.sha1([...namespaceBytes, ...nameBytes]);
+
+        const bytes = hash.slice(0, 16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x50;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        return this.parser.formatUuid(bytes);
+    }
+
+    /**
+     * Compute the SHA-1 digest synchronously, Web Crypto is only available as async API
+     * @param {Array<number>} bytes - The message bytes
+     * @returns {Array<number>} - The 20 byte digest
+     */
+    sha1(bytes) {
+        const message = bytes.slice();
+        const bitLength = bytes.length * 8;
+
+        message.push(0x80);
+        while (message.length % 64 !== 56) message.push(0);
+        for (let i = 7; i >= 0; i--) {
+            message.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        }
+
+        let h0 = 0x67452301, h1 = 0xefcdab89, h2 = 0x98badcfe, h3 = 0x10325476, h4 = 0xc3d2e1f0;
+        const rotate = (value, count) => (value << count) | (value >>> (32 - count));
+        const words = new Array(80);
+
+        for (let offset = 0; offset < message.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const index = offset + i * 4;
+                words[i] = (message[index] << 24) | (message[index + 1] << 16) | (message[index + 2] << 8) | message[index + 3];
+            }
+            for (let i = 16; i < 80; i++) {
+                words[i] = rotate(words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16], 1);
+            }
+
+            let a = h0, b = h1, c = h2, d = h3, e = h4;
+            for (let i = 0; i < 80; i++) {
+                let f, k;
+                if (i < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+                else if (i < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+                else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+                else { f = b ^ c ^ d; k = 0xca62c1d6; }
+
+                const temp = (rotate(a, 5) + f + e + k + words[i]) | 0;
+                e = d;
+                d = c;
+                c = rotate(b, 30);
+                b = a;
+                a = temp;
+            }
+
+            h0 = (h0 + a) | 0;
+            h1 = (h1 + b) | 0;
+            h2 = (h2 + c) | 0;
+            h3 = (h3 + d) | 0;
+            h4 = (h4 + e) | 0;
+        }
+
+        const digest = [];
+        [h0, h1, h2, h3, h4].forEach(value => {
+            digest.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+        });
+        return digest;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRStixExporter;
+}
@@ -0,0 +1,312 @@
+/**
+ * XDR Story Parser - Story Comparison Module
+ * Aligns the nodes of two stories and tags what was added, removed or changed
+ */
+
+class XDRStoryDiff {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        this.statuses = {
+            added: { label: 'Added', icon: '➕' },
+            removed: { label: 'Removed', icon: '➖' },
+            changed: { label: 'Changed', icon: '✏️' }
+        };
+    }
+
+    /**
+     * Compare two stories
+     * Nodes are aligned level by level below their aligned parent, first by image path and command line,
+     * then by image path alone for nodes whose command line changed
+     * @param {Object} baseStory - The earlier export or the first device
+     * @param {Object} otherStory - The later export or the second device
+     * @param {Object} labels - The labels of both stories
+     * @param {string} labels.base - The label of the base story
+     * @param {string} labels.other - The label of the other story
+     * @returns {Object} - A story with the nodes of both, tagged with diffStatus and diffChanges
+     */
+    compareStories(baseStory, otherStory, labels) {
+        const base = JSON.parse(JSON.stringify(baseStory));
+        const other = JSON.parse(JSON.stringify(otherStory));
+
+        const compared = {
+            items: this.compareLists(base.items, other.items),
+            storyDiff: {
+                base: this.getStoryHeader(base, labels.base),
+                other: this.getStoryHeader(other, labels.other)
+            }
+        };
+
+        // The device and user of the newer story describe the compared tree
+        ['deviceName', 'deviceId', 'mainUser'].forEach(field => {
+            if (other[field] || base[field]) compared[field] = other[field] || base[field];
+        });
+
+        return compared;
+    }
+
+    /**
+     * Get the header fields of a compared story
+     * @param {Object} story - The story
+     * @param {string} label - The label of the story
+     * @returns {Object} - Label, device and main user
+     */
+    getStoryHeader(story, label) {
+        return {
+            label: label,
+            deviceName: story.deviceName || null,
+            deviceId: story.deviceId || null,
+            mainUser: story.mainUser ? story.mainUser.name || null : null
+        };
+    }
+
+    /**
+     * Align two sibling lists and build the compared list
+     * Removed nodes are placed after the node their previous sibling was aligned with
+     * @param {Array} baseItems - The siblings in the base story
+     * @param {Array} otherItems - The siblings in the other story
+     * @returns {Array} - The compared siblings
+     */
+    compareLists(baseItems, otherItems) {
+        const baseList = Array.isArray(baseItems) ? baseItems.filter(Boolean) : [];
+        const otherList = Array.isArray(otherItems) ? otherItems.filter(Boolean) : [];
+
+        // Base index to other index
+        const matches = new Map();
+        const matchedOther = new Set();
+
+        [item => this.getNodeKey(item, true), item => this.getNodeKey(item, false)].forEach(getKey => {
+            const candidates = new Map();
+            baseList.forEach((item, index) => {
+                if (matches.has(index)) return;
+                const key = getKey(item);
+                if (!candidates.has(key)) candidates.set(key, []);
+                candidates.get(key).push(index);
+            });
+
+            otherList.forEach((item, index) => {
+                if (matchedOther.has(index)) return;
+                const queue = candidates.get(getKey(item));
+                if (queue && queue.length > 0) {
+                    matches.set(queue.shift(), index);
+                    matchedOther.add(index);
+                }
+            });
+        });
+
+        const otherToBase = new Map(Array.from(matches, ([baseIndex, otherIndex]) => [otherIndex, baseIndex]));
+        const result = otherList.map((item, index) => otherToBase.has(index)
+            ? this.compareNodes(baseList[otherToBase.get(index)], item)
+            : this.tagSubtree(item, 'added'));
+
+        // Insert removed nodes from the end, so the positions before them stay valid
+        const removed = [];
+        let anchor = null;
+        baseList.forEach((item, index) => {
+            if (matches.has(index)) {
+                anchor = result[matches.get(index)];
+            } else {
+                removed.push({ anchor: anchor, node: this.tagSubtree(item, 'removed') });
+            }
+        });
+        removed.reverse().forEach(({ anchor: anchorNode, node }) => {
+            result.splice(anchorNode ? result.indexOf(anchorNode) + 1 : 0, 0, node);
+        });
+
+        return result;
+    }
+
+    /**
+     * Compare two aligned nodes and their children
+     * @param {Object} baseItem - The node in the base story
+     * @param {Object} otherItem - The node in the other story
+     * @returns {Object} - The node of the other story, tagged as changed or unchanged
+     */
+    compareNodes(baseItem, otherItem) {
+        const { children: baseChildren, nestedItems: baseNested } = baseItem;
+        const { children, nestedItems, ...node } = otherItem;
+
+        const changes = this.getChanges(baseItem, otherItem);
+        node.diffStatus = changes.length > 0 ? 'changed' : 'unchanged';
+        if (changes.length > 0) node.diffChanges = changes;
+
+        const comparedChildren = this.compareLists(baseChildren, children);
+        const comparedNested = this.compareLists(baseNested, nestedItems);
+        if (comparedChildren.length > 0) node.children = comparedChildren;
+        if (comparedNested.length > 0) node.nestedItems = comparedNested;
+
+        return node;
+    }
+
+    /**
+     * Tag a node and all its descendants
+     * @param {Object} item - The node
+     * @param {string} status - added or removed
+     * @returns {Object} - The tagged node
+     */
+    tagSubtree(item, status) {
+        this.parser.walkItems([item], node => {
+            node.diffStatus = status;
+        });
+        return item;
+    }
+
+    /**
+     * Build the alignment key of a node
+     * Process IDs and times are left out, they differ between exports and devices
+     * @param {Object} item - The node
+     * @param {boolean} withCommandLine - Include the command line
+     * @returns {string} - The key
+     */
+    getNodeKey(item, withCommandLine) {
+        const type = this.parser.getItemType(item);
+        const imageFile = (item.entity || {}).ImageFile || {};
+        const name = imageFile.FullPath || imageFile.FileName || (item.title && item.title.main) || this.parser.getNodeTitle(item);
+
+        let key = `${type}|${this.normalize(name)}`;
+        if (withCommandLine) {
+            key += `|${this.normalize(this.parser.getNodeCommandLine(item))}`;
+        }
+        return key;
+    }
+
+    /**
+     * Get the differences of two aligned nodes
+     * @param {Object} baseItem - The node in the base story
+     * @param {Object} otherItem - The node in the other story
+     * @returns {Array} - Changes with field, before and after
+     */
+    getChanges(baseItem, otherItem) {
+        const changes = [];
+        const base = this.getComparedFields(baseItem);
+        const other = this.getComparedFields(otherItem);
+
+        Object.keys(base).forEach(field => {
+            if (this.normalize(base[field]) !== this.normalize(other[field])) {
+                changes.push({ field: field, before: base[field], after: other[field] });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get the values of a node that are compared
+     * @param {Object} item - The node
+     * @returns {Object} - Field name to value
+     */
+    getComparedFields(item) {
+        const entity = item.entity || {};
+        const user = entity.User || entity.Account || {};
+        const commandLine = this.parser.getNodeCommandLine(item);
+        const alerts = (item.associatedAlerts || []).map(alert => alert.alertDisplayName).filter(Boolean).sort();
+
+        return {
+            'Command line': commandLine ? this.parser.unescapeForwardSlashes(commandLine) : '',
+            'SHA256': (entity.ImageFile || {}).Sha256 || '',
+            'User': user.UserName ? `${user.DomainName ? `${user.DomainName}\\` : ''}${user.UserName}` : '',
+            'Integrity level': entity.IntegrityLevel || '',
+            'Alerts': alerts.join(', ')
+        };
+    }
+
+    /**
+     * Normalize a value for comparison
+     * @param {string} value - The value
+     * @returns {string} - Lowercase value with collapsed whitespace
+     */
+    normalize(value) {
+        return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Count the tagged nodes of a compared tree
+     * @param {Array} items - The compared items
+     * @returns {Object} - Number of added, removed, changed and unchanged nodes
+     */
+    countStatuses(items) {
+        const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+        this.parser.walkItems(items, item => {
+            if (counts[item.diffStatus] !== undefined) counts[item.diffStatus]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Format what differs between the compared stories
+     * Added and removed subtrees are listed by their top node only
+     * @param {Object} compared - The story from compareStories, optionally redacted
+     * @returns {string} - The summary text
+     */
+    formatSummary(compared) {
+        const { base, other } = compared.storyDiff;
+        const counts = this.countStatuses(compared.items);
+
+        let output = '# Story Comparison\n';
+        output += `# Base:  ${base.label}${base.deviceName ? ` (${base.deviceName})` : ''}\n`;
+        output += `# Other: ${other.label}${other.deviceName ? ` (${other.deviceName})` : ''}\n`;
+        output += `# Generated: ${new Date().toLocaleString()}\n\n`;
+
+        output += `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed, ${counts.unchanged} unchanged nodes\n`;
+        if (base.deviceName !== other.deviceName) output += `Device: ${base.deviceName || '-'} → ${other.deviceName || '-'}\n`;
+        if (base.mainUser !== other.mainUser) output += `Main user: ${base.mainUser || '-'} → ${other.mainUser || '-'}\n`;
+
+        const sections = { added: [], removed: [], changed: [] };
+        this.parser.walkItems(compared.items, (item, level, parent) => {
+            if (!sections[item.diffStatus]) return;
+            // Descendants of an added or removed node share its status
+            if (item.diffStatus !== 'changed' && parent && parent.diffStatus === item.diffStatus) return;
+            sections[item.diffStatus].push({ item, level });
+        });
+
+        Object.entries(sections).forEach(([status, entries]) => {
+            if (entries.length === 0) return;
+
+            output += `\n## ${this.statuses[status].label} (${entries.length})\n`;
+            entries.forEach(({ item }) => {
+                const lineage = this.getLineageText(compared.items, item);
+                output += `${this.statuses[status].icon} ${this.parser.getNodeTitle(item)}${lineage ? `  (under ${lineage})` : ''}\n`;
+                (item.diffChanges || []).forEach(change => {
+                    output += `    ${change.field}: ${change.before || '-'} → ${change.after || '-'}\n`;
+                });
+            });
+        });
+
+        if (counts.added + counts.removed + counts.changed === 0) {
+            output += '\nThe stories have the same nodes\n';
+        }
+
+        return output;
+    }
+
+    /**
+     * Get the parent chain of a node as text
+     * @param {Array} items - The root items
+     * @param {Object} target - The node
+     * @returns {string} - The titles of the ancestors, joined with >
+     */
+    getLineageText(items, target) {
+        const visit = (itemList, ancestors) => {
+            if (!Array.isArray(itemList)) return null;
+
+            for (const item of itemList) {
+                if (!item) continue;
+                if (item === target) return ancestors;
+
+                const lineage = [...ancestors, this.parser.getNodeTitle(item)];
+                const found = visit(item.children, lineage) || visit(item.nestedItems, lineage);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        return (visit(items, []) || []).join(' > ');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRStoryDiff;
+}
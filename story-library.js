@@ -0,0 +1,247 @@
+/**
+ * XDR Story Parser - Story Library Module
+ * Keeps recently loaded stories with their incident metadata in the IndexedDB of the browser
+ */
+
+class XDRStoryLibrary {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for story helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        this.databaseName = 'xdr-story-library';
+        this.databaseVersion = 1;
+        // The list is kept small, the stories themselves are in a separate store
+        this.entryStore = 'entries';
+        this.storyStore = 'stories';
+        this.maxEntries = 25;
+
+        this.database = null;
+    }
+
+    /**
+     * Check if the browser supports IndexedDB
+     * @returns {boolean} - Whether the library can be used
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the stores on first use
+     * @returns {Promise<IDBDatabase>} - The database
+     */
+    openDatabase() {
+        if (this.database) return Promise.resolve(this.database);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.databaseVersion);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(this.entryStore)) {
+                    database.createObjectStore(this.entryStore, { keyPath: 'key' });
+                }
+                if (!database.objectStoreNames.contains(this.storyStore)) {
+                    database.createObjectStore(this.storyStore, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error || new Error('Failed to open the story library'));
+        });
+    }
+
+    /**
+     * Run a transaction on both stores
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} callback - Gets the entry and story stores, may return a request whose result is resolved
+     * @returns {Promise<*>} - The result of the returned request once the transaction is complete
+     */
+    async runTransaction(mode, callback) {
+        const database = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([this.entryStore, this.storyStore], mode);
+            const request = callback(transaction.objectStore(this.entryStore), transaction.objectStore(this.storyStore));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error || new Error('Story library transaction failed'));
+            transaction.onabort = () => reject(transaction.error || new Error('Story library transaction aborted'));
+        });
+    }
+
+    /**
+     * Collect the incident metadata of a story for the list
+     * @param {Object} story - The story as it will be stored
+     * @returns {Object} - Device, main user, first and last item time, alert names and node count
+     */
+    getMetadata(story) {
+        let firstTime = null;
+        let lastTime = null;
+        let nodeCount = 0;
+        const alertNames = new Set();
+
+        this.parser.walkItems(story.items, item => {
+            nodeCount++;
+
+            const timestamp = new Date(item.time || '').getTime();
+            if (!isNaN(timestamp)) {
+                if (firstTime === null || timestamp < firstTime) firstTime = timestamp;
+                if (lastTime === null || timestamp > lastTime) lastTime = timestamp;
+            }
+
+            (item.associatedAlerts || []).forEach(alert => {
+                if (alert.alertDisplayName) alertNames.add(alert.alertDisplayName);
+            });
+        });
+
+        const mainUser = story.mainUser || {};
+        const devices = Array.isArray(story.mergedStories)
+            ? Array.from(new Set(story.mergedStories.map(mergedStory => mergedStory.deviceName).filter(Boolean)))
+            : [];
+
+        return {
+            deviceName: story.deviceName || devices.join(', ') || null,
+            mainUser: mainUser.name ? (mainUser.domainName ? `${mainUser.domainName}\\${mainUser.name}` : mainUser.name) : null,
+            firstTime: firstTime !== null ? new Date(firstTime).toISOString() : null,
+            lastTime: lastTime !== null ? new Date(lastTime).toISOString() : null,
+            alertNames: Array.from(alertNames),
+            nodeCount: nodeCount
+        };
+    }
+
+    /**
+     * Build the library key of a story
+     * The key is a hash of the device and the IDs and times of all nodes, so stories without node IDs get different keys
+     * @param {Object} story - The story
+     * @returns {string} - The story key
+     */
+    getStoryKey(story) {
+        const parts = [story.deviceId || story.deviceName || ''];
+        this.parser.walkItems(story.items, item => {
+            parts.push(`${item.id || ''}@${item.time || ''}`);
+        });
+
+        return this.parser.hashText(parts.join('|'));
+    }
+
+    /**
+     * Add a story to the library or move it to the top if it is already there
+     * The oldest stories are removed when the library is full
+     * @param {Object} story - The story to store, already redacted if raw data must not be kept
+     * @param {string} label - The file name(s) of the story
+     * @param {boolean} redacted - Whether the story is redacted
+     * @returns {Promise<Object>} - The stored list entry
+     */
+    async addStory(story, label, redacted) {
+        const entry = {
+            key: `${redacted ? 'redacted' : 'raw'}-${this.getStoryKey(story)}`,
+            label: label,
+            loaded: new Date().toISOString(),
+            redacted: redacted,
+            ...this.getMetadata(story)
+        };
+
+        await this.runTransaction('readwrite', (entries, stories) => {
+            entries.put(entry);
+            stories.put({ key: entry.key, story: story });
+        });
+
+        const staleEntries = (await this.listEntries()).slice(this.maxEntries);
+        for (const staleEntry of staleEntries) {
+            await this.deleteStory(staleEntry.key);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get the list entries, most recently loaded first
+     * @returns {Promise<Array>} - The entries without the story data
+     */
+    async listEntries() {
+        const entries = await this.runTransaction('readonly', entryStore => entryStore.getAll());
+        return (entries || []).sort((a, b) => b.loaded.localeCompare(a.loaded));
+    }
+
+    /**
+     * Load a stored story and mark it as recently loaded
+     * @param {string} key - The entry key
+     * @returns {Promise<Object|null>} - The entry and the story, or null if it is gone
+     */
+    async openStory(key) {
+        let entryRequest = null;
+        const record = await this.runTransaction('readonly', (entries, stories) => {
+            entryRequest = entries.get(key);
+            return stories.get(key);
+        });
+        const entry = entryRequest ? entryRequest.result : null;
+        if (!record || !entry) return null;
+
+        entry.loaded = new Date().toISOString();
+        await this.runTransaction('readwrite', entries => {
+            entries.put(entry);
+        });
+
+        return { entry: entry, story: record.story };
+    }
+
+    /**
+     * Remove a story from the library
+     * @param {string} key - The entry key
+     * @returns {Promise<void>}
+     */
+    async deleteStory(key) {
+        await this.runTransaction('readwrite', (entries, stories) => {
+            entries.delete(key);
+            stories.delete(key);
+        });
+    }
+
+    /**
+     * Remove all stories that were stored without redaction
+     * @returns {Promise<number>} - The number of removed stories
+     */
+    async deleteRawStories() {
+        const rawEntries = (await this.listEntries()).filter(entry => !entry.redacted);
+        for (const entry of rawEntries) {
+            await this.deleteStory(entry.key);
+        }
+        return rawEntries.length;
+    }
+
+    /**
+     * Remove all stories from the library
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.runTransaction('readwrite', (entries, stories) => {
+            entries.clear();
+            stories.clear();
+        });
+    }
+
+    /**
+     * Filter list entries by a search text
+     * Matches file name, device, main user and alert names
+     * @param {Array} entries - The list entries
+     * @param {string} query - The search text
+     * @returns {Array} - The matching entries
+     */
+    filterEntries(entries, query) {
+        const lowerQuery = (query || '').trim().toLowerCase();
+        if (!lowerQuery) return entries;
+
+        return entries.filter(entry =>
+            [entry.label, entry.deviceName, entry.mainUser, ...entry.alertNames]
+                .some(value => value && value.toLowerCase().includes(lowerQuery))
+        );
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRStoryLibrary;
+}
@@ -0,0 +1,2293 @@
+/**
+ * XDR Story Parser - Core Module
+ * DOM-free parsing, normalization, anonymization and extraction of XDR story data.
+ * Used by the browser visualizer (script.js) and can be required from Node.
+ */
+
+class XDRStoryParser {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Console-like logger, defaults to console
+     * @param {Object} [options.redaction] - Pattern-based redaction categories to enable or disable
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        this.anonymizationInfo = this.createEmptyAnonymizationInfo();
+
+        // Pattern-based redaction of values that don't show up in user or device fields
+        this.redactionOptions = {
+            ipAddresses: true,
+            hostnames: true,
+            uncPaths: true,
+            emails: true,
+            userProfilePaths: true
+        };
+        this.setRedactionOptions(options.redaction || {});
+
+        // 'redact' replaces every value with REDACTED, 'pseudonymize' with stable tokens like USER-1
+        this.redactionMode = options.redactionMode === 'pseudonymize' ? 'pseudonymize' : 'redact';
+        this.pseudonymPrefixes = {
+            username: 'USER',
+            domain: 'DOMAIN',
+            device: 'HOST',
+            hostname: 'HOST',
+            deviceId: 'DEVICE',
+            sid: 'SID',
+            ip: 'IP',
+            email: 'EMAIL',
+            custom: 'VALUE'
+        };
+        this.resetPseudonyms();
+
+        // Every replaced value with its count, filled by createAnonymizedData for the redaction review
+        this.replacementLog = new Map();
+
+        this.patterns = {
+            ipv4: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\d.])/g,
+            ipv6: /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])|(?<![\w:])(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?(?![\w:])/gi,
+            email: /\b[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\b/gi,
+            uncPath: /(?<![:\w\\])(\\{2,})([a-z0-9_.$-]+)(?=\\)/gi,
+            userProfileDirectory: /\b([a-z]:\\+(?:users|documents and settings)\\+)([^\\\/:*?"<>|\r\n]+)(?=\\)/gi,
+            userProfileEnd: /\b([a-z]:\\+(?:users|documents and settings)\\+)([^\\\/:*?"<>|\s]+)/gi,
+            internalHostname: /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:local|lan|internal|intranet|corp|home|localdomain|ad|private)\b/gi
+        };
+
+        // Command line tokens that match almost every process
+        this.commonCommandLineTerms = new Set([
+            'windows', 'system32', 'syswow64', 'program', 'files', 'users', 'appdata', 'local', 'roaming',
+            'temp', 'exe', 'cmd', 'powershell', 'bypass', 'hidden', 'noprofile', 'command', 'true', 'false'
+        ]);
+    }
+
+    /**
+     * Enable or disable pattern-based redaction categories
+     * @param {Object} options - Booleans for ipAddresses, hostnames, uncPaths, emails and userProfilePaths
+     */
+    setRedactionOptions(options) {
+        Object.keys(this.redactionOptions).forEach(category => {
+            if (typeof options[category] === 'boolean') {
+                this.redactionOptions[category] = options[category];
+            }
+        });
+    }
+
+    /**
+     * Check if file type is valid
+     * @param {string} filename - The filename to check
+     * @returns {boolean} - Whether the file type is valid
+     */
+    isValidFileType(filename) {
+        const validExtensions = ['.json', '.jsonc'];
+        return validExtensions.some(ext => filename.toLowerCase().endsWith(ext));
+    }
+
+    /**
+     * Parse raw story text using the same fallback chain as the file upload
+     * @param {string} text - The raw JSON/JSONC text
+     * @returns {Object} - The parsed story object
+     */
+    parseStoryText(text) {
+        // Clean JSONC content first
+        let jsonText = this.fixForwardSlashes(text);
+
+        // Try parsing with basic cleaning first
+        try {
+            return JSON.parse(jsonText);
+        } catch (parseError) {
+            this.logger.warn('Basic parsing failed, applying forward slash fix:', parseError.message);
+        }
+
+        // Simple fix: escape forward slashes in JSON string values
+        jsonText = this.fixForwardSlashes(jsonText);
+
+        try {
+            return JSON.parse(jsonText);
+        } catch (secondParseError) {
+            this.logger.warn('Forward slash fix failed, attempting deep cleaning:', secondParseError.message);
+        }
+
+        // Fallback to existing deep cleaning
+        jsonText = this.deepCleanJson(jsonText);
+
+        try {
+            return JSON.parse(jsonText);
+        } catch (thirdParseError) {
+            this.logger.warn('Deep cleaning failed, attempting JSON repair:', thirdParseError.message);
+        }
+
+        // Last resort: try to repair the JSON structure
+        jsonText = this.repairJson(jsonText);
+        return JSON.parse(jsonText);
+    }
+
+    /**
+     * Fix forward slashes by escaping them throughout the JSON
+     * @param {string} jsonText - JSON text that may contain unescaped forward slashes
+     * @returns {string} - JSON text with all forward slashes escaped
+     */
+    fixForwardSlashes(jsonText) {
+        this.logger.log('Fixing forward slashes by escaping all / to \/...');
+
+        // Global replacement: / -> \/
+        let fixed = jsonText.replace(/\//g, '\\/');
+
+        this.logger.log('Forward slash fix complete');
+        return fixed;
+    }
+
+    /**
+     * Clean JSONC content by removing comments, trailing commas, and handling control characters
+     * @param {string} text - The JSONC text to clean
+     * @returns {string} - Clean JSON text
+     */
+    cleanJsonC(text) {
+        this.logger.log('Starting conservative JSON cleaning...');
+
+        // Basic JSONC cleaning
+        let cleaned = text
+            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove /* */ comments
+            .replace(/\/\/.*$/gm, '') // Remove // comments
+            .replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
+
+        this.logger.log('JSON cleaning completed');
+        return cleaned;
+    }
+
+    /**
+     * Deep clean JSON with more aggressive fixes for problematic content
+     * @param {string} text - The JSON text to deep clean
+     * @returns {string} - Deeply cleaned JSON text
+     */
+    deepCleanJson(text) {
+        let cleaned = text;
+
+        try {
+            this.logger.log('Starting conservative deep JSON cleaning...');
+
+            // Handle structural issues
+            cleaned = cleaned
+                .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
+                .replace(/([{\[])\s*,/g, '$1') // Remove commas right after opening brackets
+                .trim();
+
+        } catch (cleaningError) {
+            this.logger.warn('Deep cleaning encountered issues:', cleaningError);
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Last resort JSON repair for severely malformed JSON
+     * @param {string} text - The malformed JSON text
+     * @returns {string} - Repaired JSON text
+     */
+    repairJson(text) {
+        this.logger.log('Attempting JSON repair...');
+
+        try {
+            // Try to extract and repair the main structure
+            let repaired = text.trim();
+
+            // Find the main JSON object boundaries more carefully
+            let depth = 0;
+            let start = -1;
+            let end = -1;
+            let inString = false;
+            let escape = false;
+
+            for (let i = 0; i < repaired.length; i++) {
+                const char = repaired[i];
+
+                if (escape) {
+                    escape = false;
+                    continue;
+                }
+
+                if (char === '\\') {
+                    escape = true;
+                    continue;
+                }
+
+                if (char === '"' && !escape) {
+                    inString = !inString;
+                    continue;
+                }
+
+                if (!inString) {
+                    if (char === '{') {
+                        if (start === -1) start = i;
+                        depth++;
+                    } else if (char === '}') {
+                        depth--;
+                        if (depth === 0 && start !== -1) {
+                            end = i;
+                            break;
+                        }
+                    }
+                }
+            }
+
+            if (start !== -1 && end !== -1) {
+                repaired = repaired.substring(start, end + 1);
+                this.logger.log('Extracted main JSON object');
+            }
+
+            repaired = repaired
+                // Fix incomplete key-value pairs
+                .replace(/:\s*$/gm, ': ""')
+                .replace(/:\s*,/g, ': "",')
+                .replace(/:\s*}/g, ': ""}')
+                .replace(/:\s*]/g, ': ""]')
+                // Fix incomplete arrays and objects
+                .replace(/,\s*}/g, '}')
+                .replace(/,\s*]/g, ']')
+                // Fix missing quotes on keys
+                .replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":')
+                // Remove trailing commas
+                .replace(/,(\s*[}\]])/g, '$1');
+
+            this.logger.log('JSON repair completed');
+            return repaired;
+
+        } catch (repairError) {
+            this.logger.error('JSON repair failed:', repairError);
+            // Ultimate fallback: return a minimal valid JSON
+            return '{"error": "Failed to parse malformed JSON", "items": []}';
+        }
+    }
+
+    /**
+     * Validate that the data structure matches expected XDR story format
+     * @param {Object} data - The parsed story
+     */
+    validateDataStructure(data) {
+        if (!data) {
+            throw new Error('No data found in file');
+        }
+
+        if (!data.items || !Array.isArray(data.items)) {
+            throw new Error('Invalid data structure: missing or invalid "items" array');
+        }
+
+        if (data.items.length === 0) {
+            throw new Error('No items found in the data');
+        }
+    }
+
+    /**
+     * Merge several alert stories of one incident into a single story
+     * Process nodes sharing device, ProcessId and CreationTime are de-duplicated and every
+     * node is tagged with the alert(s) it came from in `sourceAlerts`
+     * @param {Array<{label: string, data: Object}>} stories - The parsed stories and their alert labels
+     * @returns {Object} - A story object with the merged items tree
+     */
+    mergeStories(stories) {
+        const merged = {
+            items: [],
+            mergedStories: []
+        };
+        const processNodes = new Map();
+
+        const addAlertLabel = (node, label) => {
+            node.sourceAlerts = node.sourceAlerts || [];
+            if (!node.sourceAlerts.includes(label)) {
+                node.sourceAlerts.push(label);
+            }
+        };
+
+        const mergeAlerts = (target, source) => {
+            if (!Array.isArray(source.associatedAlerts)) return;
+            target.associatedAlerts = target.associatedAlerts || [];
+            source.associatedAlerts.forEach(alert => {
+                const exists = target.associatedAlerts.some(existing =>
+                    (existing.alertId && existing.alertId === alert.alertId) ||
+                    (!existing.alertId && existing.alertDisplayName === alert.alertDisplayName)
+                );
+                if (!exists) {
+                    target.associatedAlerts.push(alert);
+                }
+            });
+        };
+
+        const mergeItems = (targetList, sourceItems, device, label) => {
+            if (!Array.isArray(sourceItems)) return;
+
+            sourceItems.forEach(sourceItem => {
+                if (!sourceItem) return;
+
+                const { children, nestedItems, ...itemData } = sourceItem;
+                const processKey = this.getProcessKey(sourceItem, device);
+
+                // Reuse an already merged node for the same process or the same sibling id
+                let target = processKey ? processNodes.get(processKey) : null;
+                if (!target && !processKey && sourceItem.id) {
+                    target = targetList.find(existing => existing.id === sourceItem.id) || null;
+                }
+
+                if (target) {
+                    mergeAlerts(target, itemData);
+                } else {
+                    target = itemData;
+                    targetList.push(target);
+                    if (processKey) {
+                        processNodes.set(processKey, target);
+                    }
+                }
+
+                addAlertLabel(target, label);
+
+                if (Array.isArray(children) && children.length > 0) {
+                    target.children = target.children || [];
+                    mergeItems(target.children, children, device, label);
+                }
+                if (Array.isArray(nestedItems) && nestedItems.length > 0) {
+                    target.nestedItems = target.nestedItems || [];
+                    mergeItems(target.nestedItems, nestedItems, device, label);
+                }
+            });
+        };
+
+        stories.forEach(({ label, data }) => {
+            const story = JSON.parse(JSON.stringify(data));
+            const device = story.deviceId || story.deviceName || '';
+
+            merged.mergedStories.push({
+                label: label,
+                deviceName: story.deviceName || null,
+                deviceId: story.deviceId || null,
+                mainUser: story.mainUser || null
+            });
+
+            mergeItems(merged.items, story.items, device, label);
+        });
+
+        // Keep the single-story header fields when all stories agree on them
+        const first = merged.mergedStories[0];
+        if (first) {
+            const sameDevice = merged.mergedStories.every(story =>
+                story.deviceName === first.deviceName && story.deviceId === first.deviceId
+            );
+            if (sameDevice) {
+                if (first.deviceName) merged.deviceName = first.deviceName;
+                if (first.deviceId) merged.deviceId = first.deviceId;
+            }
+            const mainUser = merged.mergedStories.find(story => story.mainUser);
+            if (mainUser) merged.mainUser = mainUser.mainUser;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Build the de-duplication key for a process node
+     * @param {Object} item - The item
+     * @param {string} device - The device ID or name of the story the item came from
+     * @returns {string|null} - The key, or null if the item is not an identifiable process
+     */
+    getProcessKey(item, device) {
+        const entity = item.entity;
+        if (!entity || entity.ProcessId === undefined || entity.ProcessId === null || !entity.CreationTime) {
+            return null;
+        }
+        return `${String(device).toLowerCase()}|${entity.ProcessId}|${entity.CreationTime}`;
+    }
+
+    /**
+     * Analyze a story and return a normalized model with all extractions as plain data
+     * @param {Object} story - The parsed story object
+     * @param {Object} [options]
+     * @param {boolean} [options.anonymize=false] - Run the extractions on the redacted story
+     * @returns {Object} - The normalized story model
+     */
+    analyze(story, options = {}) {
+        this.validateDataStructure(story);
+        const anonymizationInfo = this.extractAnonymizationInfo(story);
+        const data = options.anonymize ? this.createAnonymizedData(story) : story;
+
+        return {
+            deviceName: data.deviceName || null,
+            deviceId: data.deviceId || null,
+            mainUser: data.mainUser ? {
+                name: data.mainUser.name || null,
+                domainName: data.mainUser.domainName || null,
+                sid: data.mainUser.sid || null
+            } : null,
+            anonymized: !!options.anonymize,
+            stats: this.computeStats(data.items),
+            anonymizationInfo: {
+                usernames: Array.from(anonymizationInfo.usernames),
+                domains: Array.from(anonymizationInfo.domains),
+                deviceIds: Array.from(anonymizationInfo.deviceIds),
+                deviceNames: Array.from(anonymizationInfo.deviceNames),
+                sids: Array.from(anonymizationInfo.sids),
+                customValues: Array.from(anonymizationInfo.customValues),
+                excludedValues: Array.from(anonymizationInfo.excludedValues)
+            },
+            pseudonyms: options.anonymize ? this.getPseudonymMapping() : [],
+            commandLines: this.extractCommandLines(data.items),
+            powerShellScripts: this.extractPowerShellScripts(data.items),
+            processTree: this.buildProcessTreeText(data.items),
+            data: data
+        };
+    }
+
+    /**
+     * Create an empty anonymization info structure
+     * @returns {Object} - Sets of values to redact
+     */
+    createEmptyAnonymizationInfo() {
+        return {
+            usernames: new Set(),
+            domains: new Set(),
+            deviceIds: new Set(),
+            deviceNames: new Set(),
+            sids: new Set(),
+            // Values added or kept by hand during the redaction review
+            customValues: new Set(),
+            excludedValues: new Set()
+        };
+    }
+
+    /**
+     * Extract information that should be anonymized
+     * @param {Object} data - The story to inspect
+     * @returns {Object} - The collected anonymization info
+     */
+    extractAnonymizationInfo(data) {
+        this.anonymizationInfo = this.createEmptyAnonymizationInfo();
+
+        // Pseudonyms are only stable within one story
+        this.resetPseudonyms();
+
+        // Extract from main user and device info, including every story of a merged incident
+        this.extractHeaderAnonymizationInfo(data);
+        if (Array.isArray(data.mergedStories)) {
+            data.mergedStories.forEach(story => this.extractHeaderAnonymizationInfo(story));
+        }
+
+        // Extract from all items recursively
+        if (data.items) {
+            data.items.forEach(item => this.extractItemAnonymizationInfo(item));
+        }
+
+        return this.anonymizationInfo;
+    }
+
+    /**
+     * Extract anonymization info from the main user and device fields of a story header
+     * @param {Object} header - A story or a merged story entry
+     */
+    extractHeaderAnonymizationInfo(header) {
+        if (header.mainUser) {
+            if (header.mainUser.name && !this.isSystemAccount(header.mainUser.name)) {
+                this.anonymizationInfo.usernames.add(header.mainUser.name);
+            }
+            if (header.mainUser.domainName && !this.isSystemDomain(header.mainUser.domainName)) {
+                this.anonymizationInfo.domains.add(header.mainUser.domainName);
+            }
+            if (header.mainUser.sid) this.anonymizationInfo.sids.add(header.mainUser.sid);
+        }
+
+        if (header.deviceId) this.anonymizationInfo.deviceIds.add(header.deviceId);
+        if (header.deviceName) {
+            // Add the full device name for redaction
+            this.anonymizationInfo.deviceNames.add(header.deviceName);
+
+            // For FQDN device names, also add just the hostname part
+            const deviceParts = header.deviceName.split('.');
+            if (deviceParts.length > 1) {
+                // Add just the hostname (first part) for separate redaction
+                const hostname = deviceParts[0];
+                this.anonymizationInfo.deviceNames.add(hostname);
+
+                // Domain extraction - only add proper domains, not infrastructure components
+                if (deviceParts.length >= 3) {
+                    const potentialDomain = deviceParts.slice(-2).join('.');
+                    // Only add if it looks like a proper domain and isn't a system domain
+                    if (potentialDomain.match(/^[a-zA-Z0-9-]+\.[a-zA-Z]{2,}$/) &&
+                        !this.isSystemDomain(potentialDomain)) {
+                        this.anonymizationInfo.domains.add(potentialDomain);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Extract anonymization info from individual items
+     */
+    extractItemAnonymizationInfo(item) {
+        if (!item) return;
+
+        // Extract from entity
+        if (item.entity) {
+            if (item.entity.User) {
+                // Skip system usernames
+                if (item.entity.User.UserName && !this.isSystemAccount(item.entity.User.UserName)) {
+                    this.anonymizationInfo.usernames.add(item.entity.User.UserName);
+                }
+                // Skip system domains
+                if (item.entity.User.DomainName && !this.isSystemDomain(item.entity.User.DomainName)) {
+                    this.anonymizationInfo.domains.add(item.entity.User.DomainName);
+                }
+                if (item.entity.User.Sid) this.anonymizationInfo.sids.add(item.entity.User.Sid);
+            }
+        }
+
+        // Process children and nested items
+        if (item.children) {
+            item.children.forEach(child => this.extractItemAnonymizationInfo(child));
+        }
+        if (item.nestedItems) {
+            item.nestedItems.forEach(nested => this.extractItemAnonymizationInfo(nested));
+        }
+    }
+
+    /**
+     * Check if a username is a system account that shouldn't be redacted
+     */
+    isSystemAccount(username) {
+        const systemAccounts = [
+            'SYSTEM',
+            'LOCAL SERVICE',
+            'NETWORK SERVICE',
+            'ANONYMOUS LOGON',
+            'SERVICE',
+            'BATCH',
+            'DIALUP',
+            'EVERYONE',
+            'AUTHENTICATED USERS',
+            'IUSR',
+            'IWAM',
+            'ASPNET',
+            'KRBTGT',
+            'GUEST'
+        ];
+        return systemAccounts.includes(username.toUpperCase());
+    }
+
+    /**
+     * Check if a domain name is a system domain that shouldn't be redacted
+     */
+    isSystemDomain(domainName) {
+        const systemDomains = [
+            'NT AUTHORITY',
+            'NT SERVICE',
+            'BUILTIN'
+        ];
+        return systemDomains.includes(domainName.toUpperCase());
+    }
+
+    /**
+     * Create anonymized version of the data
+     */
+    createAnonymizedData(data) {
+        const anonymized = JSON.parse(JSON.stringify(data));
+        this.replacementLog = new Map();
+
+        // Recursively anonymize all string values in the entire JSON structure
+        this.deepAnonymizeObject(anonymized);
+
+        return anonymized;
+    }
+
+    /**
+     * Recursively anonymize all string values in an object/array
+     */
+    deepAnonymizeObject(obj) {
+        if (obj === null || obj === undefined) return;
+
+        if (typeof obj === 'string') {
+            return this.anonymizeString(obj);
+        }
+
+        if (Array.isArray(obj)) {
+            for (let i = 0; i < obj.length; i++) {
+                if (typeof obj[i] === 'string') {
+                    obj[i] = this.anonymizeString(obj[i]);
+                } else if (typeof obj[i] === 'object') {
+                    this.deepAnonymizeObject(obj[i]);
+                }
+            }
+        } else if (typeof obj === 'object') {
+            for (const key in obj) {
+                if (obj.hasOwnProperty(key)) {
+                    if (typeof obj[key] === 'string') {
+                        obj[key] = this.anonymizeString(obj[key]);
+                    } else if (typeof obj[key] === 'object') {
+                        this.deepAnonymizeObject(obj[key]);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Anonymize a string by replacing sensitive information
+     */
+    anonymizeString(str) {
+        let result = this.applyPatternRedaction(str);
+
+        // Replace device names first (before domains) to handle FQDNs properly
+        this.anonymizationInfo.deviceNames.forEach(deviceName => {
+            const regex = new RegExp(this.escapeRegExp(deviceName), 'gi');
+            result = result.replace(regex, match => this.getReplacement('device', match));
+        });
+
+        // Replace usernames
+        this.anonymizationInfo.usernames.forEach(username => {
+            const regex = new RegExp(this.escapeRegExp(username), 'gi');
+            result = result.replace(regex, match => this.getReplacement('username', match));
+        });
+
+        // Replace domains - use word boundaries for short domains to prevent partial matches
+        this.anonymizationInfo.domains.forEach(domain => {
+            // For very short domain components (3 chars or less), use word boundaries
+            if (domain.length <= 3) {
+                const regex = new RegExp('\\b' + this.escapeRegExp(domain) + '\\b', 'gi');
+                result = result.replace(regex, match => this.getReplacement('domain', match));
+            } else {
+                const regex = new RegExp(this.escapeRegExp(domain), 'gi');
+                result = result.replace(regex, match => this.getReplacement('domain', match));
+            }
+        });
+
+        // Replace device IDs
+        this.anonymizationInfo.deviceIds.forEach(deviceId => {
+            const regex = new RegExp(this.escapeRegExp(deviceId), 'gi');
+            result = result.replace(regex, match => this.getReplacement('deviceId', match));
+        });
+
+        // Replace SIDs
+        this.anonymizationInfo.sids.forEach(sid => {
+            const regex = new RegExp(this.escapeRegExp(sid), 'gi');
+            result = result.replace(regex, match => this.getReplacement('sid', match));
+        });
+
+        // Replace values added by hand during the redaction review
+        this.anonymizationInfo.customValues.forEach(value => {
+            const regex = new RegExp(this.escapeRegExp(value), 'gi');
+            result = result.replace(regex, match => this.getReplacement('custom', match));
+        });
+
+        return result;
+    }
+
+    /**
+     * Redact values found by pattern in free text (IPs, hostnames, UNC paths, emails, profile paths)
+     * @param {string} str - The string to redact
+     * @returns {string} - The redacted string
+     */
+    applyPatternRedaction(str) {
+        let result = str;
+        const options = this.redactionOptions;
+
+        // Server part of \\server\share
+        if (options.uncPaths) {
+            result = result.replace(this.patterns.uncPath, (match, slashes, server) =>
+                `${slashes}${this.getReplacement('hostname', server)}`
+            );
+        }
+
+        // User name in C:\Users\<name>, even if the user never shows up in an entity.User block
+        if (options.userProfilePaths) {
+            const replaceProfile = (match, prefix, name) =>
+                this.isWellKnownProfile(name) ? match : `${prefix}${this.getReplacement('username', name)}`;
+            result = result
+                .replace(this.patterns.userProfileDirectory, replaceProfile)
+                .replace(this.patterns.userProfileEnd, replaceProfile);
+        }
+
+        if (options.emails) {
+            result = result.replace(this.patterns.email, match => this.getReplacement('email', match));
+        }
+
+        if (options.hostnames) {
+            // Hosts below a known domain of the story, e.g. srv01.contoso.com
+            this.anonymizationInfo.domains.forEach(domain => {
+                if (!domain.includes('.')) return;
+                const regex = new RegExp('\\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+' + this.escapeRegExp(domain) + '\\b', 'gi');
+                result = result.replace(regex, match => this.getReplacement('hostname', match));
+            });
+            result = result.replace(this.patterns.internalHostname, match => this.getReplacement('hostname', match));
+        }
+
+        if (options.ipAddresses) {
+            result = result.replace(this.patterns.ipv4, match =>
+                this.isWellKnownAddress(match) ? match : this.getReplacement('ip', match)
+            );
+            result = result.replace(this.patterns.ipv6, match =>
+                this.isWellKnownAddress(match) || match.split(':').filter(Boolean).length < 2
+                    ? match
+                    : this.getReplacement('ip', match)
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the replacement for a sensitive value
+     * @param {string} category - The value category (username, domain, hostname, ip, email, ...)
+     * @param {string} value - The original value
+     * @returns {string} - The replacement text
+     */
+    getReplacement(category, value) {
+        // Values the analyst chose to keep during the redaction review
+        if (this.anonymizationInfo.excludedValues.has(String(value).toLowerCase())) {
+            return value;
+        }
+
+        const replacement = this.redactionMode === 'pseudonymize'
+            ? this.getPseudonym(category, value)
+            : 'REDACTED';
+
+        const logKey = `${category}|${String(value).toLowerCase()}`;
+        const logEntry = this.replacementLog.get(logKey);
+        if (logEntry) {
+            logEntry.count++;
+        } else {
+            this.replacementLog.set(logKey, { category, value, replacement, count: 1 });
+        }
+
+        return replacement;
+    }
+
+    /**
+     * Get the stable pseudonym token for a value, assigning a new one on first use
+     * @param {string} category - The value category
+     * @param {string} value - The original value
+     * @returns {string} - The token, e.g. USER-1
+     */
+    getPseudonym(category, value) {
+        const prefix = this.pseudonymPrefixes[category] || 'VALUE';
+        const key = `${prefix}|${this.normalizePseudonymValue(category, value)}`;
+
+        let entry = this.pseudonyms.get(key);
+        if (!entry) {
+            this.pseudonymCounters[prefix] = (this.pseudonymCounters[prefix] || 0) + 1;
+            entry = {
+                token: `${prefix}-${this.pseudonymCounters[prefix]}`,
+                category: category,
+                value: value
+            };
+            this.pseudonyms.set(key, entry);
+        }
+
+        return entry.token;
+    }
+
+    /**
+     * Normalize a value so that spellings of the same entity share one pseudonym
+     * @param {string} category - The value category
+     * @param {string} value - The original value
+     * @returns {string} - The normalized lookup value
+     */
+    normalizePseudonymValue(category, value) {
+        const normalized = String(value).trim().toLowerCase();
+
+        // ws01 is the same host as ws01.contoso.com, if that is the only FQDN of ws01 in the story.
+        // ws01.a.com and ws01.b.com stay different hosts
+        if ((category === 'device' || category === 'hostname') && normalized && !normalized.includes('.')) {
+            if (!this.pseudonymHostAliases.has(normalized)) {
+                const fqdns = this.getKnownFqdns(normalized);
+                this.pseudonymHostAliases.set(normalized, fqdns.size === 1 ? Array.from(fqdns)[0] : normalized);
+            }
+            return this.pseudonymHostAliases.get(normalized);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Get the FQDNs of a short host name seen in the current story
+     * @param {string} shortName - The lower-cased short host name
+     * @returns {Set<string>} - The lower-cased FQDNs from the device names and the pseudonymized host names
+     */
+    getKnownFqdns(shortName) {
+        const hostNames = Array.from(this.anonymizationInfo.deviceNames);
+        this.pseudonyms.forEach(entry => {
+            if (entry.category === 'device' || entry.category === 'hostname') hostNames.push(entry.value);
+        });
+
+        return new Set(hostNames
+            .map(name => String(name).trim().toLowerCase())
+            .filter(name => name.startsWith(`${shortName}.`)));
+    }
+
+    /**
+     * Switch between flat REDACTED replacement and pseudonymization
+     * @param {string} mode - 'redact' or 'pseudonymize'
+     */
+    setRedactionMode(mode) {
+        this.redactionMode = mode === 'pseudonymize' ? 'pseudonymize' : 'redact';
+    }
+
+    /**
+     * Forget all assigned pseudonyms
+     */
+    resetPseudonyms() {
+        this.pseudonyms = new Map();
+        this.pseudonymCounters = {};
+        // Short host name to the key it was folded into
+        this.pseudonymHostAliases = new Map();
+    }
+
+    /**
+     * Get the pseudonym mapping table so the owner of the data can re-identify values
+     * @returns {Array} - Entries with token, category and original value, sorted by token
+     */
+    getPseudonymMapping() {
+        return Array.from(this.pseudonyms.values())
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => a.token.localeCompare(b.token, 'en', { numeric: true }));
+    }
+
+    /**
+     * Get every value replaced by the last createAnonymizedData run
+     * @returns {Array} - Entries with category, value, replacement and count, most frequent first
+     */
+    getReplacementLog() {
+        return Array.from(this.replacementLog.values())
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    /**
+     * Redact an additional value that was not detected automatically
+     * @param {string} value - The value to redact
+     */
+    addCustomValue(value) {
+        const trimmed = String(value || '').trim();
+        if (!trimmed) return;
+
+        this.anonymizationInfo.excludedValues.delete(trimmed.toLowerCase());
+        this.anonymizationInfo.customValues.add(trimmed);
+    }
+
+    /**
+     * Stop redacting a value that was added by hand
+     * @param {string} value - The value to remove
+     */
+    removeCustomValue(value) {
+        this.anonymizationInfo.customValues.forEach(custom => {
+            if (custom.toLowerCase() === String(value).toLowerCase()) {
+                this.anonymizationInfo.customValues.delete(custom);
+            }
+        });
+    }
+
+    /**
+     * Keep a detected value instead of redacting it
+     * @param {string} value - The value to keep
+     */
+    excludeValue(value) {
+        this.anonymizationInfo.excludedValues.add(String(value).toLowerCase());
+    }
+
+    /**
+     * Redact a previously kept value again
+     * @param {string} value - The value to redact again
+     */
+    includeValue(value) {
+        this.anonymizationInfo.excludedValues.delete(String(value).toLowerCase());
+    }
+
+    /**
+     * Check if a text is a replacement produced by redaction or pseudonymization
+     * @param {string} text - The text to check
+     * @returns {boolean} - Whether the text is REDACTED or a pseudonym token
+     */
+    isReplacementToken(text) {
+        if (text === 'REDACTED') return true;
+        return Array.from(this.pseudonyms.values()).some(entry => entry.token === text);
+    }
+
+    /**
+     * Check if a profile folder name is a built-in Windows profile that shouldn't be redacted
+     */
+    isWellKnownProfile(name) {
+        const wellKnownProfiles = [
+            'PUBLIC',
+            'DEFAULT',
+            'DEFAULT USER',
+            'ALL USERS',
+            'REDACTED'
+        ];
+        return wellKnownProfiles.includes(name.trim().toUpperCase()) || this.isReplacementToken(name.trim());
+    }
+
+    /**
+     * Check if an IP address is universal (loopback, unspecified, broadcast) and shouldn't be redacted
+     */
+    isWellKnownAddress(address) {
+        const wellKnownAddresses = [
+            '127.0.0.1',
+            '0.0.0.0',
+            '255.255.255.255',
+            '::1',
+            '::'
+        ];
+        return wellKnownAddresses.includes(address.toLowerCase());
+    }
+
+    /**
+     * Hash a text with 32-bit FNV-1a, used for short storage keys of stories
+     * @param {string} text - The text to hash
+     * @returns {string} - The hash as 8 hex characters
+     */
+    hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Create a random UUID, used for the IDs of exported STIX objects and Sigma rules
+     * @returns {string} - A version 4 UUID
+     */
+    uuidV4() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        return this.formatUuid(bytes);
+    }
+
+    /**
+     * Format 16 bytes as UUID string
+     * @param {Array<number>|Uint8Array} bytes - The bytes
+     * @returns {string} - The UUID
+     */
+    formatUuid(bytes) {
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20, 12)}`;
+    }
+
+    /**
+     * Check if a hash value has the format of its algorithm
+     * Stories can contain placeholders or truncated hashes like abc123...
+     * @param {string} type - 'sha256', 'sha1' or 'md5'
+     * @param {string} value - The hash value
+     * @returns {boolean} - Whether the value is a hex string of the right length
+     */
+    isValidHash(type, value) {
+        const lengths = { sha256: 64, sha1: 40, md5: 32 };
+        return !!lengths[type] && typeof value === 'string' && new RegExp(`^[a-f0-9]{${lengths[type]}}$`, 'i').test(value.trim());
+    }
+
+    /**
+     * Escape special regex characters
+     */
+    escapeRegExp(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Calculate statistics for a list of items
+     * @param {Array} items - The root items
+     * @returns {Object} - Item counts by type
+     */
+    computeStats(items) {
+        const stats = {
+            total: 0,
+            processes: 0,
+            files: 0,
+            accounts: 0,
+            networks: 0,
+            registry: 0,
+            others: 0
+        };
+
+        if (Array.isArray(items)) {
+            items.forEach(item => this.countItems(item, stats));
+        }
+
+        return stats;
+    }
+
+    /**
+     * Recursively count items by type
+     * @param {Object} item - The item to count
+     * @param {Object} stats - The statistics object to update
+     */
+    countItems(item, stats) {
+        if (!item) return;
+
+        stats.total++;
+
+        // Determine item type
+        const type = this.getItemType(item);
+        switch (type) {
+            case 'process':
+                stats.processes++;
+                break;
+            case 'file':
+                stats.files++;
+                break;
+            case 'account':
+                stats.accounts++;
+                break;
+            case 'network':
+                stats.networks++;
+                break;
+            case 'registry':
+                stats.registry++;
+                break;
+            default:
+                stats.others++;
+        }
+
+        // Process children recursively
+        if (item.children && Array.isArray(item.children)) {
+            item.children.forEach(child => this.countItems(child, stats));
+        }
+
+        // Process nested items
+        if (item.nestedItems && Array.isArray(item.nestedItems)) {
+            item.nestedItems.forEach(nested => this.countItems(nested, stats));
+        }
+    }
+
+    /**
+     * Visit every item depth-first, children before nested items
+     * @param {Array} items - The items to walk
+     * @param {Function} callback - Called with (item, level, parent)
+     * @param {number} level - The nesting level of the given items
+     * @param {Object|null} parent - The parent of the given items
+     */
+    walkItems(items, callback, level = 0, parent = null) {
+        if (!Array.isArray(items)) return;
+
+        items.forEach(item => {
+            if (!item) return;
+
+            callback(item, level, parent);
+
+            if (item.children && Array.isArray(item.children)) {
+                this.walkItems(item.children, callback, level + 1, item);
+            }
+            if (item.nestedItems && Array.isArray(item.nestedItems)) {
+                this.walkItems(item.nestedItems, callback, level + 1, item);
+            }
+        });
+    }
+
+    /**
+     * Create a tree filter that matches every node
+     * @returns {Object} - Filter with types, time window, user and alert presence
+     */
+    createEmptyFilter() {
+        return {
+            types: [],
+            from: null,
+            to: null,
+            user: '',
+            alertsOnly: false
+        };
+    }
+
+    /**
+     * Check if a filter hides anything
+     * @param {Object} filter - The tree filter
+     * @returns {boolean} - Whether any criterion is set
+     */
+    isFilterActive(filter) {
+        return !!(filter && (
+            (filter.types && filter.types.length > 0) ||
+            filter.from !== null ||
+            filter.to !== null ||
+            filter.user ||
+            filter.alertsOnly
+        ));
+    }
+
+    /**
+     * Get the statistics category of an item, as counted by countItems
+     * @param {Object} item - The item
+     * @returns {string} - process, file, account, network, registry or other
+     */
+    getTypeCategory(item) {
+        const type = this.getItemType(item);
+        return ['process', 'file', 'account', 'network', 'registry'].includes(type) ? type : 'other';
+    }
+
+    /**
+     * Check if a node matches all criteria of a filter
+     * @param {Object} item - The item to check
+     * @param {Object} filter - The tree filter
+     * @returns {boolean} - Whether the node matches
+     */
+    nodeMatchesFilter(item, filter) {
+        if (filter.types && filter.types.length > 0 && !filter.types.includes(this.getTypeCategory(item))) {
+            return false;
+        }
+
+        if (filter.from !== null || filter.to !== null) {
+            const timestamp = new Date(this.getTimestampFromItem(item)).getTime();
+            if (isNaN(timestamp)) return false;
+            if (filter.from !== null && timestamp < filter.from) return false;
+            if (filter.to !== null && timestamp > filter.to) return false;
+        }
+
+        if (filter.user) {
+            const user = item.entity && item.entity.User ? this.getUserInfoFromItem(item) : null;
+            if (!user || user.toLowerCase() !== filter.user.toLowerCase()) return false;
+        }
+
+        if (filter.alertsOnly && !this.nodeHasAlertsInTree(item)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Filter a tree, keeping matching nodes and their ancestors for context
+     * @param {Array} items - The items to filter
+     * @param {Object} filter - The tree filter
+     * @returns {Array} - Shallow copies of the kept items with filtered children and nested items
+     */
+    filterItems(items, filter) {
+        if (!Array.isArray(items)) return [];
+
+        const filtered = [];
+        items.forEach(item => {
+            if (!item) return;
+
+            const children = this.filterItems(item.children, filter);
+            const nestedItems = this.filterItems(item.nestedItems, filter);
+
+            if (this.nodeMatchesFilter(item, filter) || children.length > 0 || nestedItems.length > 0) {
+                const copy = { ...item };
+                if (Array.isArray(item.children)) copy.children = children;
+                if (Array.isArray(item.nestedItems)) copy.nestedItems = nestedItems;
+                filtered.push(copy);
+            }
+        });
+
+        return filtered;
+    }
+
+    /**
+     * Flatten items into a chronological timeline with one lane per process
+     * Non-process events are placed in the lane of their closest process ancestor
+     * @param {Array} items - The items to flatten
+     * @returns {Object} - Lanes, events and alert marks sorted by time, with start and end timestamps
+     */
+    buildTimeline(items) {
+        const lanes = [];
+        const events = [];
+        const alerts = [];
+        let otherLane = null;
+
+        const getOtherLane = () => {
+            if (!otherLane) {
+                otherLane = { id: lanes.length, label: 'Other events', lineage: [], depth: 0 };
+                lanes.push(otherLane);
+            }
+            return otherLane;
+        };
+
+        const visit = (itemList, lane) => {
+            if (!Array.isArray(itemList)) return;
+
+            itemList.forEach(item => {
+                if (!item) return;
+
+                const hidden = this.isHiddenNode(item);
+                let itemLane = lane;
+
+                if (!hidden && this.getItemType(item) === 'process') {
+                    const label = this.getNodeTitle(item);
+                    const lineage = lane ? [...lane.lineage, label] : [label];
+                    itemLane = { id: lanes.length, label: label, lineage: lineage, depth: lineage.length - 1 };
+                    lanes.push(itemLane);
+                }
+
+                const timestamp = new Date(this.getTimestampFromItem(item)).getTime();
+                if (!hidden && !isNaN(timestamp)) {
+                    const eventLane = itemLane || getOtherLane();
+                    events.push({
+                        item: item,
+                        time: timestamp,
+                        lane: eventLane.id,
+                        title: this.getNodeTitle(item),
+                        type: this.getTypeCategory(item)
+                    });
+
+                    (item.associatedAlerts || []).forEach(alert => {
+                        if (!alert || !alert.alertDisplayName) return;
+                        const alertTime = new Date(alert.time || alert.firstActivity || '').getTime();
+                        alerts.push({
+                            item: item,
+                            time: isNaN(alertTime) ? timestamp : alertTime,
+                            lane: eventLane.id,
+                            title: alert.alertDisplayName
+                        });
+                    });
+                }
+
+                visit(item.children, itemLane);
+                visit(item.nestedItems, itemLane);
+            });
+        };
+
+        visit(items, null);
+
+        events.sort((a, b) => a.time - b.time);
+        alerts.sort((a, b) => a.time - b.time);
+
+        // Lanes without a single timed event would only be empty rows
+        const usedLanes = new Set(events.map(event => event.lane));
+
+        return {
+            lanes: lanes.filter(lane => usedLanes.has(lane.id)),
+            events: events,
+            alerts: alerts,
+            ...this.getTimelineSpan(events, alerts)
+        };
+    }
+
+    /**
+     * Get the first and last time of timeline events and alerts
+     * Looped instead of spread into Math.min, which overflows the call stack for large stories
+     * @param {Array} events - Timeline events
+     * @param {Array} alerts - Timeline alerts
+     * @returns {Object} - The start and end time in milliseconds, null without entries
+     */
+    getTimelineSpan(events, alerts) {
+        let start = null;
+        let end = null;
+
+        [events, alerts].forEach(entries => {
+            entries.forEach(entry => {
+                if (start === null || entry.time < start) start = entry.time;
+                if (end === null || entry.time > end) end = entry.time;
+            });
+        });
+
+        return { start, end };
+    }
+
+    /**
+     * Find the longest pauses between consecutive timeline events
+     * @param {Array} events - Timeline events sorted by time
+     * @param {number} count - The number of pauses to return
+     * @returns {Array} - Pauses with duration, the event before and the event after, longest first
+     */
+    getTimelineGaps(events, count = 3) {
+        const gaps = [];
+        for (let i = 1; i < events.length; i++) {
+            const duration = events[i].time - events[i - 1].time;
+            if (duration > 0) {
+                gaps.push({ duration: duration, before: events[i - 1], after: events[i] });
+            }
+        }
+        return gaps.sort((a, b) => b.duration - a.duration).slice(0, count);
+    }
+
+    /**
+     * Format a duration as a short human readable text
+     * @param {number} milliseconds - The duration
+     * @returns {string} - The duration, e.g. 2d 3h, 1h 15m, 4m 10s or 12s
+     */
+    formatDuration(milliseconds) {
+        const seconds = Math.round(milliseconds / 1000);
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const remainingSeconds = seconds % 60;
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${remainingSeconds}s`;
+        return `${remainingSeconds}s`;
+    }
+
+    /**
+     * Get all distinct users that ran a node of the story
+     * @param {Array} items - The items to inspect
+     * @returns {Array<string>} - The users as DOMAIN\name, sorted
+     */
+    getStoryUsers(items) {
+        const users = new Set();
+        this.walkItems(items, item => {
+            if (item.entity && item.entity.User) {
+                const user = this.getUserInfoFromItem(item);
+                if (user) users.add(user);
+            }
+        });
+        return Array.from(users).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Determine the type of an item
+     * @param {Object} item - The item to analyze
+     * @returns {string} - The item type
+     */
+    getItemType(item) {
+        return item.type || item.actionType || 'other';
+    }
+
+    /**
+     * Check if a node is hidden in the tree (PE metadata, user and web data file nodes)
+     * @param {Object} node - The node to check
+     * @returns {boolean} - Whether the node is skipped while its children are still shown
+     */
+    isHiddenNode(node) {
+        const nodeSubtitle = this.getNodeSubtitle(node);
+        return !!(nodeSubtitle && (nodeSubtitle.includes('PE metadata') || nodeSubtitle.includes('User') || nodeSubtitle.includes('Web data file')));
+    }
+
+    /**
+     * Get a consistent node ID
+     * @param {Object} node - The node
+     * @returns {string} - Consistent node ID
+     */
+    getNodeId(node) {
+        return node.id || `node-${node.title?.main || 'unknown'}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    }
+
+    /**
+     * Find an item by its node ID in the data structure
+     * @param {string} nodeId - The node ID to search for
+     * @param {Array} items - The items array to search in
+     * @returns {Object|null} - The found item or null
+     */
+    findItemById(nodeId, items) {
+        if (!Array.isArray(items)) return null;
+
+        for (const item of items) {
+            // Check if this item matches the ID
+            const itemId = this.getNodeId(item);
+            if (itemId === nodeId) {
+                return item;
+            }
+
+            // Search in children
+            if (item.children && Array.isArray(item.children)) {
+                const found = this.findItemById(nodeId, item.children);
+                if (found) return found;
+            }
+
+            // Search in nested items
+            if (item.nestedItems && Array.isArray(item.nestedItems)) {
+                const found = this.findItemById(nodeId, item.nestedItems);
+                if (found) return found;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the appropriate icon for a node type
+     * @param {string} type - The node type
+     * @param {Object} node - The node object to check for specific conditions
+     * @returns {string} - The emoji icon
+     */
+    getNodeIcon(type, node = null) {
+        // Check if this is a PowerShell script execution
+        if (node && this.isPowerShellScriptNode(node)) {
+            return '📜'; // Script icon for PowerShell executions
+        }
+
+        const icons = {
+            'process': '⚙️',
+            'file': '📄',
+            'account': '👤',
+            'network': '🌐',
+            'registry': '📋',
+            'url': '🔗',
+            'ip': '🌐',
+            'domain': '🌍',
+            'other': '📦'
+        };
+        return icons[type] || '📦';
+    }
+
+    /**
+     * Check if a node is a "powershell.exe executed a script" event
+     * @param {Object} node - The node to check
+     * @returns {boolean} - Whether the node is a PowerShell script execution
+     */
+    isPowerShellScriptNode(node) {
+        const nodeTitle = this.getNodeTitle(node);
+        const nodeSubtitle = this.getNodeSubtitle(node);
+        return !!((nodeTitle && nodeTitle.toLowerCase().includes('powershell.exe executed a script')) ||
+            (nodeSubtitle && nodeSubtitle.toLowerCase().includes('powershell.exe executed a script')));
+    }
+
+    /**
+     * Extract the main title from a node
+     * @param {Object} node - The node
+     * @returns {string} - The node title
+     */
+    getNodeTitle(node) {
+        if (node.title) {
+            const parts = [];
+            if (node.title.prefix && node.title.prefix.trim()) {
+                parts.push(node.title.prefix);
+            }
+            if (node.title.main) {
+                parts.push(node.title.main);
+            }
+            return parts.join(' ') || 'Unknown';
+        }
+
+        if (node.entity) {
+            if (node.entity.ImageFile && node.entity.ImageFile.FileName) {
+                return node.entity.ImageFile.FileName;
+            }
+            if (node.entity.User && node.entity.User.UserName) {
+                return `${node.entity.User.DomainName || ''}\\${node.entity.User.UserName}`;
+            }
+        }
+
+        return 'Unknown';
+    }
+
+    /**
+     * Extract the subtitle from a node
+     * @param {Object} node - The node
+     * @returns {string|null} - The node subtitle
+     */
+    getNodeSubtitle(node) {
+        return node.title && node.title.intro ? node.title.intro : null;
+    }
+
+    /**
+     * Extract the command line from a node's entity
+     * @param {Object} node - The node
+     * @returns {string|null} - The command line or null
+     */
+    getNodeCommandLine(node) {
+        // First check for command line in entity
+        if (node.entity && node.entity.Commandline) {
+            return node.entity.Commandline;
+        }
+
+        // Check for command line in node details array
+        if (node.details && Array.isArray(node.details)) {
+            const commandLineDetail = node.details.find(detail =>
+                detail.key && detail.key.toLowerCase() === 'command line' && detail.value
+            );
+            if (commandLineDetail) {
+                return commandLineDetail.value;
+            }
+
+            // Also check for WMI Query in node details
+            const wmiQuery = node.details.find(detail =>
+                detail.key && detail.key.toLowerCase().includes('wmi query') && detail.value
+            );
+            if (wmiQuery) {
+                return `WMI: ${wmiQuery.value}`;
+            }
+        }
+
+        // Check in additionalDetails as a fallback
+        if (node.additionalDetails && Array.isArray(node.additionalDetails)) {
+            for (const additionalDetail of node.additionalDetails) {
+                if (additionalDetail.details && Array.isArray(additionalDetail.details)) {
+                    const commandLineDetail = additionalDetail.details.find(detail =>
+                        detail.key && detail.key.toLowerCase() === 'command line' && detail.value
+                    );
+                    if (commandLineDetail) {
+                        return commandLineDetail.value;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if node has children or nested items
+     * @param {Object} node - The node to check
+     * @returns {boolean} - Whether the node has children
+     */
+    nodeHasChildren(node) {
+        return (node.children && node.children.length > 0) ||
+            (node.nestedItems && node.nestedItems.length > 0);
+    }
+
+    /**
+     * Check if node has details to display
+     * @param {Object} node - The node to check
+     * @returns {boolean} - Whether the node has details
+     */
+    nodeHasDetails(node) {
+        const hasNodeDetails = node.details && Array.isArray(node.details) && node.details.length > 0;
+        const hasAdditionalDetails = node.additionalDetails && Array.isArray(node.additionalDetails) && node.additionalDetails.length > 0;
+        const hasEntityDetails = node.entity && this.entityHasMeaningfulData(node.entity);
+
+        return hasNodeDetails || hasAdditionalDetails || hasEntityDetails;
+    }
+
+    /**
+     * Check if entity has meaningful data to display
+     * @param {Object} entity - The entity to check
+     * @returns {boolean} - Whether the entity has meaningful data
+     */
+    entityHasMeaningfulData(entity) {
+        if (!entity) return false;
+
+        // Check for ImageFile information
+        if (entity.ImageFile) {
+            const img = entity.ImageFile;
+            if (img.FullPath || img.Size || img.Sha256 || img.Sha1 || img.Md5 || img.CreationTime) {
+                return true;
+            }
+        }
+
+        // Check for User information
+        if (entity.User) {
+            const user = entity.User;
+            if (user.DomainName || user.UserName || user.Sid) {
+                return true;
+            }
+        }
+
+        // Check for Process information
+        if (entity.ProcessId || entity.Commandline || entity.CreatingProcessId ||
+            entity.CreatingProcessName || entity.CreationTime || entity.IntegrityLevel ||
+            entity.TokenElevation) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if node or any of its descendants has alerts
+     * @param {Object} node - The node to check
+     * @returns {boolean} - Whether the node or its descendants have alerts
+     */
+    nodeHasAlertsInTree(node) {
+        // Check if the current node has associated alerts
+        if (node.associatedAlerts && node.associatedAlerts.length > 0) {
+            return true;
+        }
+
+        // Check children recursively
+        if (node.children && node.children.length > 0) {
+            for (const child of node.children) {
+                if (this.nodeHasAlertsInTree(child)) {
+                    return true;
+                }
+            }
+        }
+
+        // Check nested items recursively
+        if (node.nestedItems && node.nestedItems.length > 0) {
+            for (const nested of node.nestedItems) {
+                if (this.nodeHasAlertsInTree(nested)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Format timestamp for display
+     * @param {string} timeString - The timestamp string
+     * @returns {string|null} - Formatted time or null
+     */
+    formatTime(timeString) {
+        if (!timeString) return null;
+
+        try {
+            const date = new Date(timeString);
+            return date.toLocaleString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        } catch (error) {
+            this.logger.warn('Invalid date format:', timeString);
+            return timeString;
+        }
+    }
+
+    /**
+     * Extract timestamp from an item
+     * @param {Object} item - The item to extract timestamp from
+     * @returns {string|null} - The timestamp or null
+     */
+    getTimestampFromItem(item) {
+        // Check various timestamp fields
+        if (item.time) return item.time;
+        if (item.entity && item.entity.CreationTime) return item.entity.CreationTime;
+        if (item.processCreationTime) return item.processCreationTime;
+        if (item.timestamp) return item.timestamp;
+        return null;
+    }
+
+    /**
+     * Extract process name from an item using similar logic as getNodeTitle
+     * @param {Object} item - The item to extract process name from
+     * @returns {string} - The process name
+     */
+    getProcessNameFromItem(item) {
+        // Check title first
+        if (item.title && item.title.main) {
+            return item.title.main;
+        }
+
+        // Check entity
+        if (item.entity) {
+            if (item.entity.ImageFile && item.entity.ImageFile.FileName) {
+                return item.entity.ImageFile.FileName;
+            }
+            if (item.entity.User && item.entity.User.UserName) {
+                return `${item.entity.User.DomainName || ''}\\${item.entity.User.UserName}`;
+            }
+        }
+
+        // Fallback checks
+        if (item.fileName) return item.fileName;
+        if (item.processName) return item.processName;
+        if (item.name) return item.name;
+
+        return 'Unknown Process';
+    }
+
+    /**
+     * Extract user information from an item
+     * @param {Object} item - The item to extract user info from
+     * @returns {string} - The user information
+     */
+    getUserInfoFromItem(item) {
+        // Check entity first
+        if (item.entity && item.entity.User) {
+            const user = item.entity.User;
+            if (user.UserName) {
+                if (user.DomainName) {
+                    return `${user.DomainName}\\${user.UserName}`;
+                }
+                return user.UserName;
+            }
+            if (user.Sid) {
+                return `SID: ${user.Sid}`;
+            }
+        }
+
+        // Check direct properties
+        if (item.accountName) {
+            if (item.accountDomain) {
+                return `${item.accountDomain}\\${item.accountName}`;
+            }
+            return item.accountName;
+        }
+
+        if (item.initiatingProcessAccountName) {
+            if (item.initiatingProcessAccountDomain) {
+                return `${item.initiatingProcessAccountDomain}\\${item.initiatingProcessAccountName}`;
+            }
+            return item.initiatingProcessAccountName;
+        }
+
+        if (item.accountUpn) {
+            return item.accountUpn;
+        }
+
+        if (item.accountSid) {
+            return `SID: ${item.accountSid}`;
+        }
+
+        return 'Unknown User';
+    }
+
+    /**
+     * Extract PowerShell script content from an item
+     * @param {Object} item - The item to extract PowerShell script from
+     * @returns {string|null} - The PowerShell script content or null
+     */
+    getPowerShellScriptFromItem(item) {
+        // Check if this is a PowerShell script execution event
+        if (!this.isPowerShellScriptNode(item)) {
+            return null;
+        }
+
+        // Look for Content in the details and additionalDetails
+        return this.findDetailValue(item, detail => detail.key.toLowerCase() === 'content' && detail.value);
+    }
+
+    /**
+     * Find the value of the first detail matching a predicate, in details and additionalDetails
+     * @param {Object} item - The item
+     * @param {Function} predicate - Called with each detail that has a key
+     * @returns {*} - The detail value or null
+     */
+    findDetailValue(item, predicate) {
+        const sections = [item.details, ...(Array.isArray(item.additionalDetails) ? item.additionalDetails.map(section => section && section.details) : [])];
+
+        for (const details of sections) {
+            if (!Array.isArray(details)) continue;
+            const detail = details.find(entry => entry && entry.key && predicate(entry));
+            if (detail && detail.value !== undefined && detail.value !== null) {
+                return detail.value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Unescape forward slashes for better readability in command lines
+     * @param {string} str - The string with escaped forward slashes
+     * @returns {string} - The string with unescaped forward slashes
+     */
+    unescapeForwardSlashes(str) {
+        if (!str || typeof str !== 'string') return str;
+        return str.replace(/\\\//g, '/');
+    }
+
+    /**
+     * Pick the most distinctive terms of a command line for hunting queries and detection rules
+     * @param {string} commandLine - The command line
+     * @param {number} count - The maximum number of terms
+     * @returns {Array<string>} - The terms, longest first
+     */
+    getCommandLineTerms(commandLine, count = 3) {
+        if (!commandLine) return [];
+
+        const terms = this.unescapeForwardSlashes(commandLine)
+            .split(/[\s"'\\\/,;=|&()<>]+/)
+            .map(term => term.trim())
+            .filter(term => term.length >= 4 && term.length <= 100)
+            .filter(term => !this.commonCommandLineTerms.has(term.toLowerCase().replace(/\.exe$/, '')))
+            // KQL has_all matches whole terms, terms with punctuation inside rarely match
+            .filter(term => /^[\w.-]+$/.test(term));
+
+        return Array.from(new Set(terms))
+            .sort((a, b) => b.length - a.length)
+            .slice(0, count);
+    }
+
+    /**
+     * Unescape script content for better readability
+     * @param {string} str - The script content with escaped characters
+     * @returns {string} - The script content with unescaped characters
+     */
+    unescapeScriptContent(str) {
+        if (!str || typeof str !== 'string') return str;
+
+        return str
+            .replace(/\\\//g, '/') // Unescape forward slashes
+            .replace(/\\r\\n/g, '\n') // Convert Windows line breaks
+            .replace(/\\n/g, '\n') // Convert Unix line breaks
+            .replace(/\\r/g, '\n') // Convert Mac line breaks
+            .replace(/\\t/g, '\t') // Convert tabs
+            .replace(/\\"/g, '"') // Unescape double quotes
+            .replace(/\\\\/g, '\\'); // Unescape backslashes (do this last)
+    }
+
+    /**
+     * Sort extraction entries by timestamp (ascending, missing timestamps last)
+     * @param {Array} entries - Entries with a timestamp property
+     * @returns {Array} - The sorted entries
+     */
+    sortByTimestamp(entries) {
+        return entries.sort((a, b) => {
+            if (!a.timestamp && !b.timestamp) return 0;
+            if (!a.timestamp) return 1;
+            if (!b.timestamp) return -1;
+            return new Date(a.timestamp) - new Date(b.timestamp);
+        });
+    }
+
+    /**
+     * Collect all command lines, sorted by timestamp
+     * @param {Array} items - The items to extract from
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive=true] - Also walk children and nested items
+     * @returns {Array} - Entries with timestamp, processName, userInfo and commandLine
+     */
+    extractCommandLines(items, options = {}) {
+        const recursive = options.recursive !== false;
+        const commandLines = [];
+
+        const collect = (item) => {
+            const commandLine = this.getNodeCommandLine(item);
+            if (commandLine && commandLine.trim() !== '') {
+                commandLines.push({
+                    timestamp: this.getTimestampFromItem(item),
+                    processName: this.getProcessNameFromItem(item),
+                    userInfo: this.getUserInfoFromItem(item),
+                    commandLine: commandLine.trim()
+                });
+            }
+        };
+
+        if (recursive) {
+            this.walkItems(items, collect);
+        } else if (Array.isArray(items)) {
+            items.forEach(collect);
+        }
+
+        return this.sortByTimestamp(commandLines);
+    }
+
+    /**
+     * Format command line entries as text
+     * @param {Array} commandLines - Entries from extractCommandLines, optionally with the deobfuscated command line
+     * @returns {string} - The formatted output, empty if there are no entries
+     */
+    formatCommandLines(commandLines) {
+        let output = '';
+        commandLines.forEach(cmd => {
+            const timeStr = cmd.timestamp ? new Date(cmd.timestamp).toLocaleString() : 'No timestamp';
+            // Unescape forward slashes in command line for better readability
+            const unescapedCommandLine = this.unescapeForwardSlashes(cmd.commandLine);
+            output += `# ${timeStr} - ${cmd.processName} - User: ${cmd.userInfo}\n`;
+            output += `${unescapedCommandLine}\n\n`;
+            output += this.formatDeobfuscated(cmd.deobfuscated);
+        });
+        return output;
+    }
+
+    /**
+     * Format the part information of a reassembled script
+     * @param {Object} script - The script entry
+     * @returns {string} - The comment line, empty for scripts that were not segmented
+     */
+    formatScriptParts(script) {
+        if (!script.parts || (script.parts === 1 && !script.missingParts.length)) return '';
+
+        const id = script.scriptBlockId ? ` (ScriptBlockId ${script.scriptBlockId})` : '';
+        const total = script.partTotal ? ` of ${script.partTotal}` : '';
+        const missing = script.missingParts.length > 0 ? `, missing parts: ${script.missingParts.join(', ')}` : '';
+        return `# Reassembled from ${script.parts}${total} parts${id}${missing}\n`;
+    }
+
+    /**
+     * Format the deobfuscated version of an extraction entry
+     * @param {Object|null} deobfuscated - The text and steps from the deobfuscator
+     * @returns {string} - The formatted output, empty if there is nothing deobfuscated
+     */
+    formatDeobfuscated(deobfuscated) {
+        if (!deobfuscated) return '';
+        return `# Deobfuscated (${deobfuscated.steps.join(', ')}):\n${deobfuscated.text}\n\n`;
+    }
+
+    /**
+     * Collect all PowerShell scripts, sorted by timestamp
+     * Fragments of segmented script blocks are stitched back together
+     * @param {Array} items - The items to extract from
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive=true] - Also walk children and nested items
+     * @param {boolean} [options.reassemble=true] - Stitch fragments of the same script block together
+     * @returns {Array} - Entries with timestamp, processName, userInfo and scriptContent, plus the part information of reassembled scripts
+     */
+    extractPowerShellScripts(items, options = {}) {
+        const recursive = options.recursive !== false;
+        const scripts = [];
+
+        const collect = (item, level, parent) => {
+            const scriptContent = this.getPowerShellScriptFromItem(item);
+            if (scriptContent && scriptContent.trim() !== '') {
+                const fragment = this.getScriptFragmentInfo(item, scriptContent);
+                scripts.push({
+                    timestamp: this.getTimestampFromItem(item),
+                    processName: this.getProcessNameFromItem(item),
+                    userInfo: this.getUserInfoFromItem(item),
+                    scriptContent: fragment.content.trim(),
+                    processKey: this.getScriptProcessKey(item, parent),
+                    ...fragment
+                });
+            }
+        };
+
+        if (recursive) {
+            this.walkItems(items, collect);
+        } else if (Array.isArray(items)) {
+            items.forEach(item => collect(item, 0, null));
+        }
+
+        const sorted = this.sortByTimestamp(scripts);
+        return options.reassemble === false ? sorted : this.reassembleScriptBlocks(sorted);
+    }
+
+    /**
+     * Get the script block markers of a script node
+     * Uses ScriptBlockId, MessageNumber/MessageTotal style details and the "Creating Scriptblock text (3 of 7)" prefix of event 4104
+     * @param {Object} item - The script node
+     * @param {string} content - The script content
+     * @returns {Object} - The content without prefix, scriptBlockId, part and partTotal (null if unknown)
+     */
+    getScriptFragmentInfo(item, content) {
+        const normalize = key => String(key).toLowerCase().replace(/[\s_-]/g, '');
+        const findValue = keys => this.findDetailValue(item, detail => keys.includes(normalize(detail.key)));
+
+        const scriptBlockId = findValue(['scriptblockid', 'scriptblock']);
+        let part = findValue(['messagenumber', 'part', 'partnumber', 'segment', 'segmentnumber', 'fragment']);
+        let partTotal = findValue(['messagetotal', 'parttotal', 'totalparts', 'parts', 'partcount', 'segmentcount', 'segments']);
+
+        // Part values like "3 of 7" or "3/7" also carry the total
+        const combined = /^\s*(\d+)\s*(?:of|\/)\s*(\d+)\s*$/i.exec(String(part || ''));
+        if (combined) {
+            part = combined[1];
+            partTotal = partTotal || combined[2];
+        }
+
+        let text = content;
+        const prefix = /^\s*Creating Scriptblock text \((\d+) of (\d+)\):\s*(?:\\r\\n|\\n|\r?\n)?/i.exec(text);
+        if (prefix) {
+            text = text.substring(prefix[0].length);
+            part = part || prefix[1];
+            partTotal = partTotal || prefix[2];
+        }
+
+        const toNumber = value => (value !== null && /^\d+$/.test(String(value).trim()) ? Number(value) : null);
+        return {
+            content: text,
+            scriptBlockId: scriptBlockId ? String(scriptBlockId) : null,
+            part: toNumber(part),
+            partTotal: toNumber(partTotal)
+        };
+    }
+
+    /**
+     * Get the identity of the process that ran a script
+     * @param {Object} item - The script node
+     * @param {Object|null} parent - The parent item, usually the powershell.exe process
+     * @returns {string} - The process key
+     */
+    getScriptProcessKey(item, parent) {
+        const entity = [parent && parent.entity, item.entity].find(candidate => candidate && candidate.ProcessId);
+        if (entity) {
+            return `${entity.ProcessId}|${entity.CreationTime || ''}`;
+        }
+        return `${this.getProcessNameFromItem(parent || item)}|${this.getUserInfoFromItem(item)}`;
+    }
+
+    /**
+     * Stitch fragments of segmented script blocks back into one script
+     * Fragments belong together if they share a ScriptBlockId, or run in the same process within a few seconds
+     * with part numbers of the same block. Scripts without either marker are never joined, separate commands
+     * of one session would otherwise end up in one script
+     * @param {Array} scripts - Script entries sorted by timestamp
+     * @param {number} maxGap - The maximum gap between fragments with part numbers in milliseconds
+     * @returns {Array} - The reassembled script entries, sorted by timestamp
+     */
+    reassembleScriptBlocks(scripts, maxGap = 2000) {
+        const groups = [];
+        const groupsById = new Map();
+        const lastGroupByProcess = new Map();
+
+        scripts.forEach(script => {
+            if (script.scriptBlockId) {
+                const key = `${script.processKey}|${script.scriptBlockId}`;
+                if (!groupsById.has(key)) {
+                    const group = { fragments: [] };
+                    groupsById.set(key, group);
+                    groups.push(group);
+                }
+                groupsById.get(key).fragments.push(script);
+                return;
+            }
+
+            const previousGroup = lastGroupByProcess.get(script.processKey);
+            const previous = previousGroup ? previousGroup.fragments[previousGroup.fragments.length - 1] : null;
+            const isAdjacent = previous && (!script.timestamp || !previous.timestamp ||
+                new Date(script.timestamp) - new Date(previous.timestamp) <= maxGap);
+            // Parts of the same block can be logged out of order, but never twice
+            const belongsToPrevious = isAdjacent && script.part !== null && previous.part !== null &&
+                script.partTotal === previous.partTotal &&
+                !previousGroup.fragments.some(fragment => fragment.part === script.part);
+
+            if (belongsToPrevious) {
+                previousGroup.fragments.push(script);
+            } else {
+                const group = { fragments: [script] };
+                groups.push(group);
+                lastGroupByProcess.set(script.processKey, group);
+            }
+        });
+
+        return this.sortByTimestamp(groups.map(group => this.joinScriptFragments(group.fragments)));
+    }
+
+    /**
+     * Join the fragments of one script block, marking missing parts
+     * @param {Array} fragments - The fragments of the script block
+     * @returns {Object} - The script entry with the joined content, parts, partTotal and missingParts
+     */
+    joinScriptFragments(fragments) {
+        const first = fragments[0];
+        if (fragments.length === 1 && (first.partTotal === null || first.partTotal <= 1)) {
+            return { ...first, parts: 1, missingParts: [] };
+        }
+
+        const hasParts = fragments.every(fragment => fragment.part !== null);
+        const ordered = hasParts ? [...fragments].sort((a, b) => a.part - b.part) : fragments;
+        const partTotal = Math.max(...fragments.map(fragment => fragment.partTotal || 0), hasParts ? ordered[ordered.length - 1].part : 0) || null;
+
+        let content = '';
+        const missingParts = [];
+        let expectedPart = 1;
+
+        ordered.forEach(fragment => {
+            if (hasParts) {
+                if (fragment.part < expectedPart) return; // Duplicate part
+                for (; expectedPart < fragment.part; expectedPart++) {
+                    missingParts.push(expectedPart);
+                    content += `\n# ===== part ${expectedPart} of ${partTotal} missing =====\n`;
+                }
+                expectedPart = fragment.part + 1;
+                // Event 4104 splits the script at arbitrary positions, the parts are joined as they are
+                content += fragment.content;
+            } else {
+                content += (content ? '\n' : '') + fragment.content;
+            }
+        });
+
+        if (hasParts && partTotal) {
+            for (; expectedPart <= partTotal; expectedPart++) {
+                missingParts.push(expectedPart);
+                content += `\n# ===== part ${expectedPart} of ${partTotal} missing =====\n`;
+            }
+        }
+
+        return {
+            ...first,
+            scriptContent: content.trim(),
+            parts: ordered.length,
+            partTotal: partTotal,
+            missingParts: missingParts
+        };
+    }
+
+    /**
+     * Format PowerShell script entries as text
+     * @param {Array} scripts - Entries from extractPowerShellScripts, optionally with the deobfuscated script
+     * @returns {string} - The formatted output, empty if there are no entries
+     */
+    formatPowerShellScripts(scripts) {
+        let output = '';
+        scripts.forEach(script => {
+            const timeStr = script.timestamp ? new Date(script.timestamp).toLocaleString() : 'No timestamp';
+            // Unescape forward slashes and other escaped characters for better readability
+            const unescapedScript = this.unescapeScriptContent(script.scriptContent);
+            output += `# ${timeStr} - ${script.processName} - User: ${script.userInfo}\n`;
+            output += this.formatScriptParts(script);
+            output += `${unescapedScript}\n\n`;
+            output += this.formatDeobfuscated(script.deobfuscated);
+            output += `# ${'='.repeat(80)}\n\n`; // Add separator between scripts
+        });
+        return output;
+    }
+
+    /**
+     * Flatten every item to one row of an event table, using the same traversal as countItems
+     * @param {Array} items - The root items
+     * @returns {Array} - Rows with id, parent, depth, time, type, title, process, file, user and alert columns
+     */
+    buildEventTable(items) {
+        const rows = [];
+
+        this.walkItems(items, (item, level, parent) => {
+            const entity = item.entity || {};
+            const imageFile = entity.ImageFile || {};
+            const user = entity.User || {};
+            const commandLine = this.getNodeCommandLine(item);
+
+            rows.push({
+                id: item.id || '',
+                parentId: parent && parent.id ? parent.id : '',
+                depth: level,
+                time: this.getTimestampFromItem(item) || '',
+                type: this.getItemType(item),
+                title: this.getNodeTitle(item),
+                intro: item.title && item.title.intro ? item.title.intro : '',
+                commandLine: commandLine ? this.unescapeForwardSlashes(commandLine) : '',
+                pid: entity.ProcessId !== undefined && entity.ProcessId !== null ? entity.ProcessId : '',
+                parentPid: entity.CreatingProcessId !== undefined && entity.CreatingProcessId !== null ? entity.CreatingProcessId : '',
+                imagePath: imageFile.FullPath || '',
+                sha256: imageFile.Sha256 || '',
+                user: user.UserName || '',
+                domain: user.DomainName || '',
+                integrityLevel: entity.IntegrityLevel || '',
+                alerts: (item.associatedAlerts || [])
+                    .filter(alert => alert.alertDisplayName)
+                    .map(alert => alert.alertDisplayName)
+                    .join('; ')
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Format event table rows as CSV or TSV
+     * @param {Array} rows - Rows from buildEventTable
+     * @param {string} delimiter - ',' for CSV or '\t' for TSV
+     * @returns {string} - The table with a header row
+     */
+    formatEventTable(rows, delimiter = ',') {
+        const columns = [
+            ['id', 'id'],
+            ['parentId', 'parent_id'],
+            ['depth', 'depth'],
+            ['time', 'time'],
+            ['type', 'type'],
+            ['title', 'title'],
+            ['intro', 'intro'],
+            ['commandLine', 'command_line'],
+            ['pid', 'pid'],
+            ['parentPid', 'parent_pid'],
+            ['imagePath', 'image_path'],
+            ['sha256', 'sha256'],
+            ['user', 'user'],
+            ['domain', 'domain'],
+            ['integrityLevel', 'integrity_level'],
+            ['alerts', 'alerts']
+        ];
+
+        const lines = [columns.map(([, header]) => header).join(delimiter)];
+        rows.forEach(row => {
+            lines.push(columns.map(([key]) => this.formatTableCell(row[key], delimiter)).join(delimiter));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format a value as a CSV or TSV cell
+     * Values come from the attacker, text starting like a formula gets a leading ' so spreadsheets show it as text
+     * @param {*} value - The value
+     * @param {string} delimiter - ',' for CSV or '\t' for TSV
+     * @returns {string} - The cell text
+     */
+    formatTableCell(value, delimiter = ',') {
+        let text = String(value === undefined || value === null ? '' : value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (delimiter === '\t') {
+            // TSV has no quoting, tabs and line breaks inside values become spaces
+            return text.replace(/[\t\r\n]+/g, ' ');
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build the text representation of the complete process tree
+     * @param {Array} items - The root items
+     * @param {number} level - The starting indentation level
+     * @returns {string} - The text tree
+     */
+    buildProcessTreeText(items, level = 0) {
+        if (!Array.isArray(items)) return '';
+
+        let output = '';
+        items.forEach(item => {
+            if (!item) return;
+
+            // Filter out nodes we don't display (same logic as renderNode), still process children
+            const hidden = this.isHiddenNode(item);
+            const childLevel = hidden ? level : level + 1;
+
+            if (!hidden) {
+                output += this.formatNodeAsText(item, level);
+            }
+
+            // Recursively process children
+            if (item.children && Array.isArray(item.children)) {
+                output += this.buildProcessTreeText(item.children, childLevel);
+            }
+            if (item.nestedItems && Array.isArray(item.nestedItems)) {
+                output += this.buildProcessTreeText(item.nestedItems, childLevel);
+            }
+        });
+        return output;
+    }
+
+    /**
+     * Get the displayed data of a node, shared by the text, Markdown and HTML exports
+     * @param {Object} item - The item
+     * @returns {Object} - Icon, title, subtitle, unescaped command line, formatted time and alert names
+     */
+    getNodeTextData(item) {
+        const type = this.getItemType(item);
+        const subtitle = this.getNodeSubtitle(item);
+        const commandLine = this.getNodeCommandLine(item);
+
+        return {
+            type: type,
+            icon: this.getNodeIcon(type, item),
+            title: this.getNodeTitle(item),
+            subtitle: subtitle && subtitle.trim() !== '' ? subtitle : null,
+            commandLine: commandLine && commandLine.trim() !== '' ? this.unescapeForwardSlashes(commandLine) : null,
+            time: this.formatTime(item.time),
+            hasAlertsInTree: this.nodeHasAlertsInTree(item),
+            alerts: Array.isArray(item.associatedAlerts)
+                ? item.associatedAlerts.filter(alert => alert.alertDisplayName).map(alert => alert.alertDisplayName)
+                : []
+        };
+    }
+
+    /**
+     * Format a node as text with proper indentation and tree structure
+     * @param {Object} item - The item to format
+     * @param {number} level - The indentation level
+     * @returns {string} - Formatted text representation
+     */
+    formatNodeAsText(item, level) {
+        if (!item) return '';
+
+        // Create tree-style indentation
+        let indent = '';
+        for (let i = 0; i < level; i++) {
+            indent += '    '; // 4 spaces per level
+        }
+
+        // Get node information
+        const node = this.getNodeTextData(item);
+        const alertIndicator = node.hasAlertsInTree ? '🚨 ' : '';
+
+        // Build the main line
+        let line = `${indent}${node.icon} ${alertIndicator}${node.title}`;
+
+        // Add timestamp if available
+        if (node.time) {
+            line += ` [${node.time}]`;
+        }
+
+        line += '\n';
+
+        // Add subtitle if available
+        if (node.subtitle) {
+            line += `${indent}    └─ ${node.subtitle}\n`;
+        }
+
+        // Add command line if available
+        if (node.commandLine) {
+            line += `${indent}    └─ Command: ${node.commandLine}\n`;
+        }
+
+        // Add associated alerts
+        node.alerts.forEach(alertName => {
+            line += `${indent}    └─ 🚨 Alert: ${alertName}\n`;
+        });
+
+        return line;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRStoryParser;
+}
@@ -0,0 +1,106 @@
+/**
+ * XDR Story Parser - Deobfuscator Checks
+ * Runs the PowerShell deobfuscation steps, without a browser or test framework:
+ * node test/powershell-deobfuscator.test.js
+ */
+
+const assert = require('assert');
+const XDRPowerShellDeobfuscator = require('../powershell-deobfuscator.js');
+
+const deobfuscator = new XDRPowerShellDeobfuscator();
+
+let failed = 0;
+
+/**
+ * Run a single check and report the result
+ * @param {string} name - The check name
+ * @param {Function} check - Throws if the check fails
+ */
+function test(name, check) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+/**
+ * Deobfuscate a text and fail if it takes longer than a backtracking-free run would
+ * @param {string} text - The command line or script
+ * @returns {Object|null} - The deobfuscation result
+ */
+function deobfuscateQuickly(text) {
+    const start = Date.now();
+    const result = deobfuscator.deobfuscate(text);
+    const elapsed = Date.now() - start;
+    assert.ok(elapsed < 1000, `took ${elapsed} ms`);
+    return result;
+}
+
+/**
+ * Base64-encode a text the way PowerShell expects it
+ * @param {string} text - The script
+ * @param {string} encoding - The Buffer encoding, -EncodedCommand uses utf16le
+ * @returns {string} - The base64 string
+ */
+function toBase64(text, encoding) {
+    return Buffer.from(text, encoding).toString('base64');
+}
+
+test('plain command lines are left alone', () => {
+    assert.strictEqual(deobfuscator.deobfuscate('Get-Process -Name explorer'), null);
+    assert.strictEqual(deobfuscator.deobfuscate(''), null);
+});
+
+test('-enc and -EncodedCommand are decoded as UTF-16LE', () => {
+    const encoded = toBase64('Write-Host hello', 'utf16le');
+
+    assert.deepStrictEqual(deobfuscator.deobfuscate(`powershell.exe -NoP -enc ${encoded}`), {
+        text: 'powershell.exe -NoP -Command Write-Host hello',
+        steps: ['Decoded -EncodedCommand']
+    });
+    assert.strictEqual(deobfuscator.deobfuscate(`powershell -EncodedCommand ${encoded}`).text, 'powershell -Command Write-Host hello');
+});
+
+test('FromBase64String calls become string literals', () => {
+    const result = deobfuscator.deobfuscate(`[Text.Encoding]::UTF8.GetString([Convert]::FromBase64String('${toBase64('IEX evil', 'utf8')}'))`);
+
+    assert.deepStrictEqual(result, { text: "'IEX evil'", steps: ['Decoded FromBase64String'] });
+});
+
+test('[char] arrays and casts are resolved', () => {
+    assert.strictEqual(deobfuscator.deobfuscate("iex ([string]::join('',[char[]](73,69,88)))").text, "iex ([string]::join('','IEX'))");
+    assert.deepStrictEqual(deobfuscator.deobfuscate('[char]73+[char]69+[char]88'), {
+        text: "'IEX'",
+        steps: ['Resolved [char] casts', 'Joined concatenated strings']
+    });
+});
+
+test('-f format strings are resolved', () => {
+    assert.deepStrictEqual(deobfuscator.deobfuscate(`("{1}{0}" -f 'X','IE')`), { text: "'IEX'", steps: ['Resolved -f format strings'] });
+});
+
+test('concatenated strings are joined', () => {
+    assert.strictEqual(deobfuscator.deobfuscate("& ('I'+'E'+'X') 'a'").text, "& ('IEX') 'a'");
+});
+
+test('backtick and caret escapes are removed', () => {
+    assert.strictEqual(deobfuscator.deobfuscate('I`E`X (New-Object Net.WebClient)').text, 'IEX (New-Object Net.WebClient)');
+    assert.strictEqual(deobfuscator.deobfuscate('cmd /c p^o^w^e^r^s^h^e^l^l').text, 'cmd /c powershell');
+});
+
+test('format strings without -f fail in linear time', () => {
+    assert.strictEqual(deobfuscateQuickly(`("${'{0}'.repeat(40)}"`), null);
+    assert.strictEqual(deobfuscateQuickly(`('${'{0}'.repeat(40)}' -f 'a'`), null);
+});
+
+test('format argument lists with long separators fail in linear time', () => {
+    assert.strictEqual(deobfuscateQuickly(`("{0}" -f ${"'a'    ".repeat(40)}`), null);
+});
+
+if (failed > 0) {
+    console.error(`${failed} check(s) failed`);
+    process.exitCode = 1;
+}
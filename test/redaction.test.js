@@ -0,0 +1,95 @@
+/**
+ * XDR Story Parser - Redaction Checks
+ * Runs the pattern-based redaction of free text, without a browser or test framework:
+ * node test/redaction.test.js
+ */
+
+const assert = require('assert');
+const XDRStoryParser = require('../story-parser.js');
+
+let failed = 0;
+
+/**
+ * Run a single check and report the result
+ * @param {string} name - The check name
+ * @param {Function} check - Throws if the check fails
+ */
+function test(name, check) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+/**
+ * Create a quiet parser that knows contoso.com as a story domain
+ * @param {Object} options - Further parser options
+ * @returns {XDRStoryParser} - The parser
+ */
+function createParser(options = {}) {
+    const parser = new XDRStoryParser({ ...options, logger: { log() { }, warn() { }, error() { } } });
+    parser.anonymizationInfo.domains = ['contoso.com'];
+    return parser;
+}
+
+test('IPv4 and IPv6 addresses are redacted, well-known addresses are kept', () => {
+    const parser = createParser();
+
+    assert.strictEqual(parser.anonymizeString('ping.exe 10.20.30.40 -n 1'), 'ping.exe REDACTED -n 1');
+    assert.strictEqual(parser.anonymizeString('curl http://[FE80::1:2:3]/a'), 'curl http://[REDACTED]/a');
+    assert.strictEqual(parser.anonymizeString('ping 127.0.0.1 && ping 8.8.8.8'), 'ping 127.0.0.1 && ping REDACTED');
+    assert.strictEqual(parser.anonymizeString('::1'), '::1');
+});
+
+test('hostnames below story domains and internal suffixes are redacted', () => {
+    const parser = createParser();
+
+    assert.strictEqual(parser.anonymizeString('nslookup SRV01.CONTOSO.com'), 'nslookup REDACTED');
+    assert.strictEqual(parser.anonymizeString('Enter-PSSession -ComputerName WKS-0042.Corp.Local'), 'Enter-PSSession -ComputerName REDACTED');
+    assert.strictEqual(parser.anonymizeString('connect dc01.ad.internal:389'), 'connect REDACTED:389');
+});
+
+test('the server of UNC paths is redacted, the share is kept', () => {
+    const parser = createParser();
+
+    assert.strictEqual(parser.anonymizeString('net use Z: \\\\FS01\\share /persistent:no'), 'net use Z: \\\\REDACTED\\share /persistent:no');
+    assert.strictEqual(parser.anonymizeString('copy x.exe \\\\10.1.2.3\\c$\\x.exe'), 'copy x.exe \\\\REDACTED\\c$\\x.exe');
+});
+
+test('email addresses are redacted in any case', () => {
+    const parser = createParser();
+
+    assert.strictEqual(parser.anonymizeString('Send-MailMessage -To John.Doe@Contoso.COM -Subject x'), 'Send-MailMessage -To REDACTED -Subject x');
+});
+
+test('the user of profile paths is redacted, well-known profiles are kept', () => {
+    const parser = createParser();
+
+    assert.strictEqual(parser.anonymizeString('cmd.exe /c "C:\\Users\\JDoe\\AppData\\x.exe"'), 'cmd.exe /c "C:\\Users\\REDACTED\\AppData\\x.exe"');
+    assert.strictEqual(parser.anonymizeString('dir c:\\USERS\\admin-x'), 'dir c:\\USERS\\REDACTED');
+    assert.strictEqual(parser.anonymizeString('C:\\Users\\Public\\x.exe'), 'C:\\Users\\Public\\x.exe');
+});
+
+test('pseudonyms stay the same across case differences', () => {
+    const parser = createParser({ redactionMode: 'pseudonymize' });
+
+    const first = parser.anonymizeString('\\\\FS01.corp.local\\share and jdoe@contoso.com');
+    const second = parser.anonymizeString('\\\\fs01.CORP.LOCAL\\share and JDOE@CONTOSO.COM');
+    assert.strictEqual(first, '\\\\HOST-1\\share and EMAIL-1');
+    assert.strictEqual(second, first);
+});
+
+test('disabled categories are left alone', () => {
+    const parser = createParser({ redaction: { ipAddresses: false, emails: false } });
+    const text = 'ping 10.20.30.40 && mail jdoe@example.org';
+
+    assert.strictEqual(parser.anonymizeString(text), text);
+});
+
+if (failed > 0) {
+    console.error(`${failed} check(s) failed`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,143 @@
+/**
+ * XDR Story Parser - Parser Checks
+ * Runs the fallback parsing and analyze() against the demo story, without a browser or test framework:
+ * node test/story-parser.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const XDRStoryParser = require('../story-parser.js');
+
+const demoText = fs.readFileSync(path.join(__dirname, '..', 'demo-sample.json'), 'utf8');
+
+let failed = 0;
+
+/**
+ * Run a single check and report the result
+ * @param {string} name - The check name
+ * @param {Function} check - Throws if the check fails
+ */
+function test(name, check) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+/**
+ * Create a parser that records its warnings instead of printing them
+ * Every failed parse attempt of the fallback chain logs one warning
+ * @param {Object} options - Further parser options
+ * @returns {XDRStoryParser} - The parser, with the warnings in parser.warnings
+ */
+function createParser(options = {}) {
+    const warnings = [];
+    const parser = new XDRStoryParser({
+        ...options,
+        logger: { log() { }, warn: message => warnings.push(message), error() { } }
+    });
+    parser.warnings = warnings;
+    return parser;
+}
+
+test('parseStoryText parses valid JSON on the first attempt', () => {
+    const parser = createParser();
+    const story = parser.parseStoryText(demoText);
+
+    assert.strictEqual(parser.warnings.length, 0);
+    assert.strictEqual(story.items.length, 1);
+    // Forward slashes are escaped before parsing and come back unchanged
+    assert.strictEqual(story.items[0].title.suffix, '/select,C:\\Downloads\\suspicious.exe');
+});
+
+test('parseStoryText removes trailing commas in the deep cleaning step', () => {
+    const parser = createParser();
+    const story = parser.parseStoryText(demoText.replace(/\]\s*\}\s*$/, '],\n}'));
+
+    assert.strictEqual(parser.warnings.length, 2);
+    assert.strictEqual(story.items.length, 1);
+    // The second step escapes forward slashes once more, they are unescaped for display
+    assert.strictEqual(parser.unescapeForwardSlashes(story.items[0].title.suffix), '/select,C:\\Downloads\\suspicious.exe');
+});
+
+test('parseStoryText quotes keys and drops surrounding text in the repair step', () => {
+    const parser = createParser();
+    const story = parser.parseStoryText('Response body:\n{ items: [{ id: "root-1", type: "process" }] }\n-- end of response --');
+
+    assert.strictEqual(parser.warnings.length, 3);
+    assert.deepStrictEqual(story, { items: [{ id: 'root-1', type: 'process' }] });
+});
+
+test('parseStoryText throws when every step fails', () => {
+    const parser = createParser();
+
+    assert.throws(() => parser.parseStoryText('not a story'), SyntaxError);
+    assert.strictEqual(parser.warnings.length, 3);
+});
+
+test('analyze returns the extractions of the demo story', () => {
+    const parser = createParser();
+    const model = parser.analyze(parser.parseStoryText(demoText));
+
+    assert.strictEqual(model.anonymized, false);
+    assert.deepStrictEqual(model.stats, { total: 5, processes: 2, files: 1, accounts: 1, networks: 1, registry: 0, others: 0 });
+    assert.deepStrictEqual(model.anonymizationInfo.usernames, ['john.doe']);
+    assert.deepStrictEqual(model.anonymizationInfo.domains, ['CORPORATE']);
+    assert.deepStrictEqual(model.commandLines.map(cmd => cmd.commandLine), [
+        'explorer.exe /select,C:\\Downloads\\suspicious.exe',
+        'suspicious.exe --hidden-flag'
+    ]);
+    assert.strictEqual(model.commandLines[0].userInfo, 'CORPORATE\\john.doe');
+    assert.deepStrictEqual(model.powerShellScripts, []);
+    assert.deepStrictEqual(model.pseudonyms, []);
+    assert.ok(model.processTree.startsWith('⚙️ [1234] explorer.exe'));
+    assert.ok(model.processTree.includes('[5678] suspicious.exe'));
+});
+
+test('analyze with anonymize: true leaves no user, domain or SID in the results', () => {
+    const parser = createParser();
+    const model = parser.analyze(parser.parseStoryText(demoText), { anonymize: true });
+
+    assert.strictEqual(model.anonymized, true);
+    assert.strictEqual(model.stats.total, 5);
+    assert.strictEqual(model.commandLines[0].userInfo, 'REDACTED\\REDACTED');
+
+    // The detected values themselves are listed in anonymizationInfo, everything else must be redacted
+    const results = JSON.stringify({ ...model, anonymizationInfo: null });
+    ['john.doe', 'CORPORATE', 'S-1-5-21-1234567890-987654321-1122334455-1001'].forEach(value => {
+        assert.ok(!results.includes(value), `${value} was not redacted`);
+    });
+});
+
+test('analyze with anonymize: true and pseudonyms returns the mapping table', () => {
+    const parser = createParser({ redactionMode: 'pseudonymize' });
+    const model = parser.analyze(parser.parseStoryText(demoText), { anonymize: true });
+
+    assert.strictEqual(model.commandLines[0].userInfo, 'DOMAIN-1\\USER-1');
+    assert.ok(model.pseudonyms.some(entry => entry.token === 'USER-1' && entry.value === 'john.doe'));
+    assert.ok(!JSON.stringify(model.data).includes('john.doe'));
+});
+
+test('formatEventTable keeps formulas from running in spreadsheets', () => {
+    const parser = createParser();
+    const rows = [{ id: 'node-1', depth: 0, commandLine: '=HYPERLINK("http://x","y")', title: '@SUM(1)', intro: '-2+3', user: 'john.doe' }];
+
+    const csv = parser.formatEventTable(rows).split('\r\n')[1].split(',');
+    assert.strictEqual(csv[2], '0');
+    assert.strictEqual(csv[5], "'@SUM(1)");
+    assert.strictEqual(csv[6], "'-2+3");
+    assert.ok(parser.formatEventTable(rows).includes('"\'=HYPERLINK(""http://x"",""y"")"'));
+
+    const tsv = parser.formatEventTable(rows, '\t').split('\r\n')[1].split('\t');
+    assert.strictEqual(tsv[7], '\'=HYPERLINK("http://x","y")');
+    assert.strictEqual(tsv[12], 'john.doe');
+});
+
+if (failed > 0) {
+    console.error(`${failed} check(s) failed`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,296 @@
+/**
+ * XDR Story Parser - Tree Row Module
+ * Flattens the displayed tree into the rows that are expanded, so only the rows in view need DOM elements
+ */
+
+class XDRTreeRows {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used for node helpers
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Used for rows that were not rendered yet
+        this.estimatedRowHeight = 64;
+        // Rows rendered above and below the visible area, in pixels
+        this.overscanHeight = 800;
+
+        this.setItems([]);
+    }
+
+    /**
+     * Index the displayed items and reset the view state
+     * Every node gets a node ID that stays the same until the items are set again
+     * @param {Array} items - The displayed root items
+     */
+    setItems(items) {
+        this.nodeIds = new WeakMap();
+        this.itemsById = new Map();
+        this.parents = new WeakMap();
+
+        this.parser.walkItems(items, (item, level, parent) => {
+            const baseId = this.parser.getNodeId(item);
+            let nodeId = baseId;
+            // Rows are looked up by node ID, duplicate IDs get a suffix
+            for (let suffix = 2; this.itemsById.has(nodeId); suffix++) {
+                nodeId = `${baseId}-${suffix}`;
+            }
+
+            this.nodeIds.set(item, nodeId);
+            this.itemsById.set(nodeId, item);
+            this.parents.set(item, parent);
+        });
+
+        this.collapsed = new Set();
+        this.openDetails = new Set();
+        this.rowHeights = new WeakMap();
+        this.rows = [];
+        this.rowIndexes = new Map();
+        this.offsets = null;
+    }
+
+    /**
+     * Get the node ID of an indexed item
+     * @param {Object} item - The item
+     * @returns {string|null} - The node ID
+     */
+    getNodeId(item) {
+        return this.nodeIds.get(item) || null;
+    }
+
+    /**
+     * Find an indexed item by its node ID
+     * @param {string} nodeId - The node ID
+     * @returns {Object|null} - The item
+     */
+    findItem(nodeId) {
+        return this.itemsById.get(nodeId) || null;
+    }
+
+    /**
+     * Check if a node has children or nested items
+     * @param {Object} item - The item
+     * @returns {boolean} - Whether the node can be expanded
+     */
+    hasChildren(item) {
+        return (Array.isArray(item.children) && item.children.length > 0) ||
+            (Array.isArray(item.nestedItems) && item.nestedItems.length > 0);
+    }
+
+    /**
+     * Check if an item is a node of a subtree
+     * @param {Object} item - The item
+     * @param {Object} root - The top node of the subtree
+     * @returns {boolean} - Whether the item is the root or one of its descendants
+     */
+    isInSubtree(item, root) {
+        for (let node = item; node; node = this.parents.get(node)) {
+            if (node === root) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Flatten items into rows, leaving out the descendants of collapsed nodes
+     * Hidden nodes get no row, their children are shown at their level.
+     * Alerts of a node follow it as rows of their own
+     * @param {Array} items - The root items of the view
+     * @returns {Array} - Rows with item, node ID, level and expand state, alert rows also have alert and alertIndex
+     */
+    buildRows(items) {
+        const rows = [];
+
+        const visit = (itemList, level) => {
+            if (!Array.isArray(itemList)) return;
+
+            itemList.forEach(item => {
+                if (!item) return;
+
+                if (this.parser.isHiddenNode(item)) {
+                    visit(item.children, level);
+                    visit(item.nestedItems, level);
+                    return;
+                }
+
+                const nodeId = this.getNodeId(item);
+                const hasChildren = this.hasChildren(item);
+                const collapsed = hasChildren && this.collapsed.has(item);
+                rows.push({ item, nodeId, level, hasChildren, collapsed });
+
+                (item.associatedAlerts || []).forEach((alert, alertIndex) => {
+                    if (alert && alert.alertDisplayName) {
+                        rows.push({ item, nodeId, level, alert, alertIndex });
+                    }
+                });
+
+                if (hasChildren && !collapsed) {
+                    visit(item.children, level + 1);
+                    visit(item.nestedItems, level + 1);
+                }
+            });
+        };
+
+        visit(items, 0);
+
+        this.rows = rows;
+        this.rowIndexes = new Map();
+        rows.forEach((row, index) => {
+            if (!row.alert) this.rowIndexes.set(row.item, index);
+        });
+        this.offsets = null;
+
+        return rows;
+    }
+
+    /**
+     * Get the row index of a node
+     * @param {Object} item - The item
+     * @returns {number} - The index, or -1 if the node has no row
+     */
+    getRowIndex(item) {
+        return this.rowIndexes.has(item) ? this.rowIndexes.get(item) : -1;
+    }
+
+    /**
+     * Collapse or expand a node
+     * @param {Object} item - The item
+     * @param {boolean} collapsed - Whether the children are hidden
+     */
+    setCollapsed(item, collapsed) {
+        if (collapsed && this.hasChildren(item)) {
+            this.collapsed.add(item);
+        } else {
+            this.collapsed.delete(item);
+        }
+    }
+
+    /**
+     * Expand every node of a tree
+     * @param {Array} items - The root items
+     */
+    expandAll(items) {
+        this.parser.walkItems(items, item => this.collapsed.delete(item));
+    }
+
+    /**
+     * Collapse every node of a tree that has children
+     * @param {Array} items - The root items
+     */
+    collapseAll(items) {
+        this.parser.walkItems(items, item => this.setCollapsed(item, true));
+    }
+
+    /**
+     * Expand the collapsed ancestors of a node
+     * @param {Object} item - The item
+     * @returns {boolean} - Whether an ancestor was expanded
+     */
+    expandAncestors(item) {
+        let expanded = false;
+        for (let parent = this.parents.get(item); parent; parent = this.parents.get(parent)) {
+            expanded = this.collapsed.delete(parent) || expanded;
+        }
+        return expanded;
+    }
+
+    /**
+     * Open or close the details panel of a node
+     * @param {Object} item - The item
+     * @param {boolean} open - Whether the panel is shown
+     */
+    setDetailsOpen(item, open) {
+        if (open) {
+            this.openDetails.add(item);
+        } else {
+            this.openDetails.delete(item);
+        }
+    }
+
+    /**
+     * Get the node IDs of a set of items, e.g. the collapsed nodes
+     * @param {Set} items - The items
+     * @returns {Array<string>} - The node IDs
+     */
+    getNodeIds(items) {
+        return Array.from(items, item => this.getNodeId(item)).filter(Boolean);
+    }
+
+    /**
+     * Get the height of a row, measured or estimated
+     * @param {Object} row - The row
+     * @returns {number} - The height in pixels, including the gap to the next row
+     */
+    getRowHeight(row) {
+        return this.rowHeights.get(row.alert || row.item) || this.estimatedRowHeight;
+    }
+
+    /**
+     * Store the measured height of a rendered row
+     * @param {Object} row - The row
+     * @param {number} height - The height in pixels
+     * @returns {boolean} - Whether the height changed
+     */
+    setRowHeight(row, height) {
+        const rounded = Math.round(height);
+        if (rounded <= 0 || rounded === this.getRowHeight(row)) return false;
+
+        this.rowHeights.set(row.alert || row.item, rounded);
+        this.offsets = null;
+        return true;
+    }
+
+    /**
+     * Get the top offset of every row
+     * @returns {Float64Array} - The offsets, with the total height as last entry
+     */
+    getOffsets() {
+        if (!this.offsets) {
+            this.offsets = new Float64Array(this.rows.length + 1);
+            this.rows.forEach((row, index) => {
+                this.offsets[index + 1] = this.offsets[index] + this.getRowHeight(row);
+            });
+        }
+        return this.offsets;
+    }
+
+    /**
+     * Find the row at a vertical position
+     * @param {number} offset - The position in pixels from the top of the first row
+     * @returns {number} - The row index, clamped to the rows
+     */
+    getRowIndexAt(offset) {
+        const offsets = this.getOffsets();
+        let low = 0;
+        let high = this.rows.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return Math.max(low, 0);
+    }
+
+    /**
+     * Get the rows to render for a visible area
+     * @param {number} top - The top of the visible area in pixels from the top of the first row
+     * @param {number} height - The height of the visible area
+     * @returns {Object} - The first row index and the index after the last row
+     */
+    getWindow(top, height) {
+        if (this.rows.length === 0) return { first: 0, last: 0 };
+
+        return {
+            first: this.getRowIndexAt(top - this.overscanHeight),
+            last: Math.min(this.rows.length, this.getRowIndexAt(top + height + this.overscanHeight) + 1)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRTreeRows;
+}
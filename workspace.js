@@ -0,0 +1,107 @@
+/**
+ * XDR Story Parser - Workspace Module
+ * Bundles a story with the view state, so a case can be handed over as one file
+ */
+
+class XDRWorkspace {
+    /**
+     * @param {XDRStoryParser} parser - The story parser used to validate the story
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Bump when the workspace format changes
+        this.version = 1;
+        this.workspaceKey = 'xdrWorkspace';
+        this.themes = ['cyberpunk', 'professional', 'timeline'];
+    }
+
+    /**
+     * Check if parsed JSON is a workspace file instead of a story
+     * @param {Object} data - The parsed JSON
+     * @returns {boolean} - Whether the data has a workspace section
+     */
+    isWorkspace(data) {
+        return !!(data && typeof data === 'object' && data[this.workspaceKey]);
+    }
+
+    /**
+     * Create a workspace file
+     * @param {Object} story - The story as it is shown, already redacted if anonymization is on
+     * @param {Object} state - The view state
+     * @param {boolean} state.anonymized - Whether anonymization is on
+     * @param {string} state.theme - The active theme
+     * @param {string|null} state.zoomedNodeId - The node ID of the zoomed node
+     * @param {Array<string>} state.collapsedNodes - Node IDs with collapsed children
+     * @param {Array<string>} state.openDetails - Node IDs with an open details panel
+     * @param {Object} state.filter - The tree filter
+     * @param {string} state.searchQuery - The search text
+     * @param {boolean} state.timelineVisible - Whether the timeline is shown
+     * @param {Object|null} state.annotations - The annotation sidecar
+     * @returns {Object} - The workspace, ready for JSON.stringify
+     */
+    createWorkspace(story, state) {
+        return {
+            [this.workspaceKey]: {
+                version: this.version,
+                saved: new Date().toISOString(),
+                anonymized: !!state.anonymized,
+                theme: state.theme,
+                zoomedNodeId: state.zoomedNodeId || null,
+                collapsedNodes: state.collapsedNodes || [],
+                openDetails: state.openDetails || [],
+                filter: state.filter,
+                searchQuery: state.searchQuery || '',
+                timelineVisible: !!state.timelineVisible,
+                annotations: state.annotations || null
+            },
+            story: story
+        };
+    }
+
+    /**
+     * Read and validate a workspace file
+     * Unknown or invalid view settings fall back to the defaults, an invalid story throws
+     * @param {Object} data - The parsed workspace JSON
+     * @returns {Object} - The story and the normalized view state
+     */
+    readWorkspace(data) {
+        const workspace = data[this.workspaceKey];
+        if (typeof workspace !== 'object' || Array.isArray(workspace)) {
+            throw new Error('Invalid workspace section');
+        }
+        if (typeof workspace.version !== 'number' || workspace.version > this.version) {
+            throw new Error(`Unsupported workspace version ${workspace.version}, please update XDR Story Parser`);
+        }
+
+        this.parser.validateDataStructure(data.story);
+
+        const toIdList = value => Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : [];
+        const filter = { ...this.parser.createEmptyFilter(), ...(workspace.filter || {}) };
+        filter.types = toIdList(filter.types);
+        ['from', 'to'].forEach(bound => {
+            if (typeof filter[bound] !== 'number') filter[bound] = null;
+        });
+        filter.user = typeof filter.user === 'string' ? filter.user : '';
+        filter.alertsOnly = !!filter.alertsOnly;
+
+        return {
+            story: data.story,
+            anonymized: !!workspace.anonymized,
+            theme: this.themes.includes(workspace.theme) ? workspace.theme : null,
+            zoomedNodeId: typeof workspace.zoomedNodeId === 'string' ? workspace.zoomedNodeId : null,
+            collapsedNodes: toIdList(workspace.collapsedNodes),
+            openDetails: toIdList(workspace.openDetails),
+            filter: filter,
+            searchQuery: typeof workspace.searchQuery === 'string' ? workspace.searchQuery : '',
+            timelineVisible: !!workspace.timelineVisible,
+            annotations: workspace.annotations && typeof workspace.annotations === 'object'
+                ? workspace.annotations.annotations || null
+                : null
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XDRWorkspace;
+}